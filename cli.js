@@ -0,0 +1,9 @@
+// Import necessary packages
+import dotenv from 'dotenv';
+import { runCli } from "./lib/cli.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Usage: node cli.js <ingest|ask|chat|search|recommend|eval|config> [options]
+runCli(process.argv.slice(2));
@@ -0,0 +1,10 @@
+// Import necessary packages
+import dotenv from 'dotenv';
+import { runCli } from "./lib/cli.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Evaluates retrieval on a golden question set; the same as `node cli.js eval`.
+// Usage: node evaluate.js <golden.jsonl> [options], or --help for the options
+runCli(["eval", ...process.argv.slice(2)]);
@@ -0,0 +1,41 @@
+// index.js - Public API of the package. Importing it has no side effects:
+// nothing reads .env, connects to a store or loads documents until called.
+
+export { createRagPipeline } from "./lib/pipeline.js";
+export { createProvider } from "./lib/providers.js";
+export { createVectorStore } from "./lib/vectorStores.js";
+export { createReranker, RERANKER_NAMES } from "./lib/rerankers.js";
+export { CHUNK_STRATEGIES, resolveChunking, describeChunking } from "./lib/chunkers.js";
+export {
+    RETRIEVAL_STRATEGIES,
+    SEARCH_MODES,
+    searchDefaults,
+    similaritySearch,
+    parallelQuerySearch
+} from "./lib/retrieval.js";
+export { normalizeFilter, parseFilterQuery, describeFilter } from "./lib/filters.js";
+export { findDocuments, loadDocuments, supportedExtensions } from "./lib/loaders.js";
+export { splitDocuments, addDocumentsToVectorStore, findChangedSources, indexPaths } from "./lib/indexer.js";
+export { QUERY_TRANSFORMS, TRANSFORM_NAMES, parseTransforms, transformQuery } from "./lib/queryTransforms.js";
+export { createEmbeddingQueue } from "./lib/embeddingQueue.js";
+export { createChatHistory } from "./lib/memory.js";
+export { createCache } from "./lib/cache.js";
+export { describeSource, verifyGrounding } from "./lib/citations.js";
+export { createApiServer } from "./lib/api.js";
+export {
+    logger,
+    trace,
+    withSpan,
+    currentSpan,
+    summarizeTrace,
+    toOtlp,
+    flushTraces,
+    parseTraceparent,
+    formatTraceparent,
+    TRACE_STAGES
+} from "./lib/telemetry.js";
+export { loadAIModelData, recommendAIModel, recommendAIModelStructured, validateRecommendation } from "./lib/modelRecommender.js";
+export { extractRequirements, shortlistModels, estimateMonthlyCost, recommendFromShortlist } from "./lib/requirements.js";
+export { createCatalogIndex, retrieveShortlist } from "./lib/catalogIndex.js";
+export { createRouter, classifyTask, selectCandidates, TASK_TYPES } from "./lib/router.js";
+export { loadCatalog, validateCatalog, queryModels, formatPricing, CAPABILITIES, MODALITIES } from "./lib/catalog.js";
@@ -0,0 +1,10 @@
+// Import necessary packages
+import dotenv from 'dotenv';
+import { runCli } from "./lib/cli.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+// Ingests every supported file named on the command line; the same as `node cli.js ingest`.
+// Usage: node ingest.js [--tags a,b] <file|directory|glob> [...more]
+runCli(["ingest", ...process.argv.slice(2)]);
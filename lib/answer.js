@@ -0,0 +1,151 @@
+// answer.js - Generates cited answers from retrieved context
+
+import { formatContext, CITATION_INSTRUCTIONS } from "./citations.js";
+import { logger } from "./telemetry.js";
+
+/**
+ * Logs a failed generation and returns the error to throw in its place: it
+ * names the model, keeps the provider's error as its cause, and records how
+ * much of the answer had already streamed
+ * @param {Error} error - Error thrown by the provider
+ * @param {Object} provider - Provider from createProvider()
+ * @param {string} partialAnswer - Answer streamed before the failure
+ * @returns {Error} Error with code "generation_failed" and details { model, streamedCharacters }
+ */
+function generationError(error, provider, partialAnswer) {
+    const details = { model: provider.generationModel, streamedCharacters: partialAnswer.length };
+    logger.error("Error generating answer", { error, ...details });
+    const wrapped = new Error(`Generating the answer with ${provider.generationModel} failed: ${error.message}`, { cause: error });
+    wrapped.code = "generation_failed";
+    wrapped.details = details;
+    return wrapped;
+}
+
+/**
+ * Formats earlier turns for an answer prompt, so the answer can build on them
+ * @param {Object|null} history - History from createChatHistory()
+ * @returns {string} Conversation block, empty without earlier turns
+ */
+function formatConversation(history) {
+    return history && !history.isEmpty()
+        ? `\nUse the conversation so far to understand what the question refers to.\n\nCONVERSATION SO FAR:\n${history.format()}\n`
+        : '';
+}
+
+/**
+ * Builds the prompt that answers a question from numbered context entries
+ * @param {string} question - Question to answer
+ * @param {string} contextEntries - Context block from formatContext()
+ * @param {string} conversation - Block from formatConversation()
+ * @returns {string} Prompt
+ */
+function answerPrompt(question, contextEntries, conversation) {
+    return `
+You are a knowledgeable assistant helping with Node.js questions.
+Use the following context to answer the question accurately and precisely.
+If the information is not in the context, say you don't have enough information to answer.
+${CITATION_INSTRUCTIONS}
+${conversation}
+CONTEXT:
+${contextEntries}
+
+QUESTION:
+${question}
+
+ANSWER:
+`;
+}
+
+/**
+ * Streams an answer to a query from the retrieved context, citing the
+ * context entries by number. If the signal is aborted, the partial answer
+ * generated so far is returned; if generation fails, an error with code
+ * "generation_failed" is thrown, even when part of the answer already streamed.
+ * @param {string} originalQuery - Question to answer
+ * @param {Array<Object>} context - Search results to answer from
+ * @param {Object} options - Generation options
+ * @param {Object} options.provider - Provider from createProvider()
+ * @param {Object} [options.history] - History from createChatHistory()
+ * @param {AbortSignal} [options.signal] - Aborts generation
+ * @param {Function} [options.onToken] - Called with each chunk of text as it streams in
+ * @returns {Promise<string>} The answer
+ */
+export async function generateAnswer(originalQuery, context, { provider, history = null, signal, onToken } = {}) {
+    let answer = '';
+    try {
+        // Number each context entry with its source and the query that retrieved it
+        const prompt = answerPrompt(originalQuery, formatContext(context), formatConversation(history));
+
+        // Stream the response
+        for await (const token of provider.generateStream(prompt, { signal })) {
+            answer += token;
+            onToken?.(token);
+        }
+        return answer;
+    } catch (error) {
+        if (signal?.aborted) {
+            return answer;
+        }
+        throw generationError(error, provider, answer);
+    }
+}
+
+/**
+ * Answers a question that the decompose transform split into sub-questions.
+ * Each sub-question is answered from the chunks it retrieved plus the chunks
+ * the other queries retrieved, then the sub-answers are combined into one
+ * streamed answer. Context entries keep their numbers in the full result list
+ * throughout, so the combined answer cites and is checked against `context`
+ * like any other. If the signal is aborted, the partial answer is returned,
+ * and failures are thrown as by generateAnswer().
+ * @param {string} originalQuery - Question to answer
+ * @param {Array<Object>} context - Results of parallelQuerySearch() with the decompose transform
+ * @param {Object} options - Generation options, as for generateAnswer()
+ * @returns {Promise<string>} The answer
+ */
+export async function generateDecomposedAnswer(originalQuery, context, { provider, history = null, signal, onToken } = {}) {
+    let answer = '';
+    try {
+        const numbered = context.map((result, index) => ({ result, number: index + 1 }));
+        const shared = numbered.filter(({ result }) => result.transform !== "decompose");
+        const subQuestions = [...new Set(context.filter(result => result.transform === "decompose").map(result => result.query))];
+
+        const subAnswers = await Promise.all(subQuestions.map(async subQuestion => {
+            const entries = [
+                ...numbered.filter(({ result }) => result.transform === "decompose" && result.query === subQuestion),
+                ...shared
+            ];
+            const contextEntries = formatContext(entries.map(entry => entry.result), entries.map(entry => entry.number));
+            return { subQuestion, answer: (await provider.generate(answerPrompt(subQuestion, contextEntries, ''))).trim() };
+        }));
+        if (signal?.aborted) {
+            return answer;
+        }
+
+        const prompt = `
+You are a knowledgeable assistant helping with Node.js questions.
+The question below was split into sub-questions, and each sub-question was answered from numbered documentation excerpts.
+Combine the sub-answers into one answer to the question. Keep each citation in square brackets exactly as it appears,
+since the numbers refer to the excerpts. Where a sub-answer lacked information, say so for that part.
+${formatConversation(history)}
+CONTEXT:
+${subAnswers.map(({ subQuestion, answer: subAnswer }) => `Sub-question: ${subQuestion}\nSub-answer: ${subAnswer}`).join('\n\n')}
+
+QUESTION:
+${originalQuery}
+
+ANSWER:
+`;
+
+        for await (const token of provider.generateStream(prompt, { signal })) {
+            answer += token;
+            onToken?.(token);
+        }
+        return answer;
+    } catch (error) {
+        if (signal?.aborted) {
+            return answer;
+        }
+        throw generationError(error, provider, answer);
+    }
+}
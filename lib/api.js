@@ -0,0 +1,579 @@
+// api.js - HTTP API exposing ingestion, search, answers and model recommendations as JSON endpoints
+
+import http from 'http';
+import path from 'path';
+import { Document } from "@langchain/core/documents";
+import { findDocuments, loadDocuments, supportedExtensions } from "./loaders.js";
+import { splitDocuments, addDocumentsToVectorStore } from "./indexer.js";
+import { SEARCH_MODES, RETRIEVAL_STRATEGIES } from "./retrieval.js";
+import { RERANKER_NAMES } from "./rerankers.js";
+import { TRANSFORM_NAMES } from "./queryTransforms.js";
+import { normalizeFilter } from "./filters.js";
+import { createChatHistory } from "./memory.js";
+import { formatResults, verifyGrounding } from "./citations.js";
+import { recommendAIModel, recommendAIModelStructured } from "./modelRecommender.js";
+import { summarizeShortlist, noMatchingModelError } from "./requirements.js";
+import { createCatalogIndex, retrieveShortlist } from "./catalogIndex.js";
+import { logger, trace, currentSpan, parseExporters, SPAN_KINDS } from "./telemetry.js";
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Largest number of results a request may ask for
+const MAX_K = 50;
+
+// Errors of the provider or vector store behind a request, answered with 502 and their message
+const UPSTREAM_ERROR_CODES = new Set(["embedding_failed", "search_failed", "generation_failed"]);
+
+/**
+ * Creates an error that is sent to the client as
+ * { error: { code, message, details } } with the given HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Human-readable message
+ * @param {*} [details] - Extra information, e.g. the fields that failed validation
+ * @returns {Error} Error carrying status, code and details
+ */
+function apiError(status, code, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body, or {} when the body is empty
+ */
+async function readJsonBody(req) {
+    const contentType = req.headers['content-type'];
+    if (contentType && !contentType.includes('application/json')) {
+        throw apiError(415, "unsupported_media_type", "Request body must be JSON (Content-Type: application/json).");
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_SIZE) {
+            throw apiError(413, "payload_too_large", `Request body exceeds ${MAX_BODY_SIZE} bytes.`);
+        }
+        chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString('utf8').trim();
+    if (!text) {
+        return {};
+    }
+
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        throw apiError(400, "invalid_json", "Request body is not valid JSON.", { reason: error.message });
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw apiError(400, "invalid_json", "Request body must be a JSON object.");
+    }
+    return body;
+}
+
+/**
+ * Checks a request body against a schema and throws a 400 listing every
+ * field that failed. Schema entries are { type, required, min, max, values }
+ * where type is "string", "integer", "number", "boolean", "array", "object" or "enum".
+ * @param {Object} body - Parsed request body
+ * @param {Object} schema - Field rules keyed by field name
+ * @returns {Object} The body, with defaults left to the caller
+ */
+function validateBody(body, schema) {
+    const details = [];
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                details.push({ field, message: "is required" });
+            }
+            continue;
+        }
+
+        if (rule.type === "string" && (typeof value !== "string" || !value.trim())) {
+            details.push({ field, message: "must be a non-empty string" });
+        } else if (rule.type === "integer" && (!Number.isInteger(value) || value < rule.min || value > rule.max)) {
+            details.push({ field, message: `must be an integer from ${rule.min} to ${rule.max}` });
+        } else if (rule.type === "number" && (typeof value !== "number" || !(value >= rule.min && value <= rule.max))) {
+            details.push({ field, message: `must be a number from ${rule.min} to ${rule.max}` });
+        } else if (rule.type === "boolean" && typeof value !== "boolean") {
+            details.push({ field, message: "must be true or false" });
+        } else if (rule.type === "array" && !Array.isArray(value)) {
+            details.push({ field, message: "must be an array" });
+        } else if (rule.type === "object" && (typeof value !== "object" || Array.isArray(value))) {
+            details.push({ field, message: "must be an object" });
+        } else if (rule.type === "enum" && !rule.values.includes(value)) {
+            details.push({ field, message: `must be one of: ${rule.values.join(", ")}` });
+        } else if (rule.type === "enumList" && (!Array.isArray(value) || value.length === 0 || value.some(item => !rule.values.includes(item)))) {
+            details.push({ field, message: `must be a non-empty array of: ${rule.values.join(", ")}` });
+        }
+    }
+
+    for (const field of Object.keys(body)) {
+        if (!Object.hasOwn(schema, field)) {
+            details.push({ field, message: "is not a recognised field" });
+        }
+    }
+
+    if (details.length > 0) {
+        throw apiError(400, "validation_error", "Request body failed validation.", details);
+    }
+    return body;
+}
+
+/**
+ * Whether a value is an array of non-empty strings
+ * @param {*} value - Value to check
+ * @returns {boolean} True for arrays of non-empty strings
+ */
+function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === "string" && item.trim());
+}
+
+/**
+ * Writes a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Body to serialize
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Switches a response to Server-Sent Events
+ * @param {http.ServerResponse} res - Response
+ * @returns {Function} send(event, data), which writes one event with a JSON data line
+ */
+function startEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Whether the client asked for a streamed response, in the body or the Accept header
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} body - Parsed request body
+ * @returns {boolean} True for Server-Sent Events
+ */
+function wantsStream(req, body) {
+    return body.stream ?? (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Returns an AbortSignal that fires when the client disconnects before the
+ * response is finished, so generation stops instead of running for nobody
+ * @param {http.ServerResponse} res - Response
+ * @returns {AbortSignal} Signal
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            controller.abort();
+        }
+    });
+    return controller.signal;
+}
+
+/**
+ * Returns the summary of the current request's trace: its stage timings and
+ * the token usage and cost of its model calls
+ * @returns {Object} Summary from summarizeTrace()
+ */
+function traceSummary() {
+    return currentSpan().trace.summarize();
+}
+
+/**
+ * Resolves an ingestion target, refusing anything outside the root directory
+ * @param {string} target - File path, directory or glob pattern from the request
+ * @param {string} rootDir - Directory that ingestion is confined to
+ * @returns {string} Target resolved against the root directory
+ */
+function resolveTarget(target, rootDir) {
+    const resolved = path.resolve(rootDir, target);
+    const relative = path.relative(rootDir, resolved);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+        throw apiError(400, "validation_error", "Request body failed validation.", [
+            { field: "paths", message: `"${target}" is outside the project directory` }
+        ]);
+    }
+    return resolved;
+}
+
+/**
+ * Creates the API server. Endpoints:
+ *   GET  /health     Vector store connectivity and point count (503 when unreachable)
+ *   POST /ingest     { paths } of files, directories or globs, or { documents: [{ content, metadata }] }, plus optional { tags }
+ *   POST /search     { query, k, strategy: "single" | "multi", mode: "vector" | "keyword" | "hybrid", vectorWeight, reranker, transforms, filter }
+ *   POST /ask        { query, k, strategy, mode, vectorWeight, reranker, transforms, filter, history: [{ question, answer }], stream }
+ *   POST /recommend  { query, structured, stream }
+ * /ask and /recommend stream Server-Sent Events when `stream` is true or the
+ * client accepts text/event-stream, except structured recommendations, which are
+ * validated JSON. /recommend responses include the requirements read from the
+ * query and the shortlist of models that meet them (422 when none does).
+ * Every request runs in a trace whose ID is returned in the X-Request-Id header;
+ * a W3C traceparent header makes it part of the caller's trace. /search and /ask
+ * responses include the trace summary with stage timings, tokens and cost.
+ * Errors are sent as { error: { code, message, details, requestId } }; a failure of the
+ * provider or vector store is a 502 with code embedding_failed, search_failed or generation_failed.
+ * @param {Object} options - Server dependencies
+ * @param {Object} options.pipeline - Pipeline from createRagPipeline(); its settings are the request defaults
+ * @param {Object} [options.recommender] - Provider for /recommend (defaults to the ROUTER_MODEL provider)
+ * @param {Object} [options.catalogIndex] - Catalog index for /recommend (defaults to one embedding with the pipeline's provider)
+ * @param {string} [options.rootDir] - Directory /ingest paths are confined to (defaults to the working directory)
+ * @returns {http.Server} Server, not yet listening
+ */
+export function createApiServer({ pipeline, recommender, catalogIndex, rootDir = process.cwd() }) {
+    const { provider, vectorStore } = pipeline;
+    // Checked at startup, so a misspelt TRACE_EXPORTERS fails here rather than on every request
+    parseExporters(process.env.TRACE_EXPORTERS);
+    // Ingestion rewrites the manifest, so requests take turns
+    let ingestQueue = Promise.resolve();
+    // The index re-reads the catalog file when it changes, so edits need no restart
+    catalogIndex = catalogIndex || createCatalogIndex({ provider, cache: pipeline.cache });
+
+    async function search(query, { k, strategy, mode, vectorWeight, reranker, transforms, filter }) {
+        try {
+            filter = normalizeFilter(filter);
+        } catch (error) {
+            throw apiError(400, "validation_error", "Request body failed validation.", [{ field: "filter", message: error.message }]);
+        }
+
+        return pipeline.search(query, { k, strategy, mode, vectorWeight, reranker, transforms, filter });
+    }
+
+    const routes = {
+        "/health": {
+            async GET(req, res) {
+                try {
+                    const exists = await vectorStore.collectionExists();
+                    const info = exists ? await vectorStore.info() : null;
+                    sendJson(res, 200, {
+                        status: "ok",
+                        provider: provider.name,
+                        vectorStore: {
+                            name: vectorStore.name,
+                            collection: vectorStore.collectionName,
+                            connected: true,
+                            collectionExists: exists,
+                            pointsCount: info ? info.pointsCount : 0
+                        },
+                        cache: pipeline.cache.stats()
+                    });
+                } catch (error) {
+                    logger.error("Health check failed", { error, store: vectorStore.name, collection: vectorStore.collectionName });
+                    sendJson(res, 503, {
+                        status: "degraded",
+                        provider: provider.name,
+                        vectorStore: {
+                            name: vectorStore.name,
+                            collection: vectorStore.collectionName,
+                            connected: false,
+                            error: error.message
+                        }
+                    });
+                }
+            }
+        },
+
+        "/ingest": {
+            async POST(req, res) {
+                const body = validateBody(await readJsonBody(req), {
+                    paths: { type: "array" },
+                    documents: { type: "array" },
+                    tags: { type: "array" }
+                });
+                if (!body.paths === !body.documents) {
+                    throw apiError(400, "validation_error", "Request body failed validation.", [
+                        { field: "paths", message: "exactly one of paths or documents is required" }
+                    ]);
+                }
+
+                let docs;
+                if (body.paths) {
+                    const files = [];
+                    for (const target of body.paths) {
+                        if (typeof target !== "string" || !target.trim()) {
+                            throw apiError(400, "validation_error", "Request body failed validation.", [
+                                { field: "paths", message: "must contain non-empty strings" }
+                            ]);
+                        }
+                        let found;
+                        try {
+                            found = await findDocuments(resolveTarget(target, rootDir));
+                        } catch (error) {
+                            // A missing path or an unsupported file type is a bad request, not a server fault
+                            const reasons = {
+                                ENOENT: "does not exist",
+                                unsupported_file_type: `is not a supported file type (${supportedExtensions().join(", ")})`
+                            };
+                            if (!reasons[error.code]) {
+                                throw error;
+                            }
+                            throw apiError(400, "validation_error", "Request body failed validation.", [
+                                { field: "paths", message: `"${target}" ${reasons[error.code]}` }
+                            ]);
+                        }
+                        files.push(...found.filter(file => !path.relative(rootDir, file).startsWith("..")));
+                    }
+                    if (files.length === 0) {
+                        throw apiError(400, "no_documents", "No supported files matched the given paths.");
+                    }
+                    docs = await loadDocuments(files);
+                } else {
+                    const details = [];
+                    docs = body.documents.map((document, index) => {
+                        if (typeof document?.content !== "string" || !document.content.trim()) {
+                            details.push({ field: `documents[${index}].content`, message: "must be a non-empty string" });
+                        }
+                        if (typeof document?.metadata?.source !== "string" || !document.metadata.source.trim()) {
+                            details.push({ field: `documents[${index}].metadata.source`, message: "must be a non-empty string" });
+                        }
+                        if (document?.metadata?.tags !== undefined && !isStringList(document.metadata.tags)) {
+                            details.push({ field: `documents[${index}].metadata.tags`, message: "must be an array of non-empty strings" });
+                        }
+                        return new Document({
+                            pageContent: document?.content,
+                            metadata: { fileType: "text", ...document?.metadata }
+                        });
+                    });
+                    if (details.length > 0 || docs.length === 0) {
+                        throw apiError(400, "validation_error", "Request body failed validation.",
+                            details.length > 0 ? details : [{ field: "documents", message: "must not be empty" }]);
+                    }
+                }
+
+                if (body.tags) {
+                    if (!isStringList(body.tags)) {
+                        throw apiError(400, "validation_error", "Request body failed validation.", [
+                            { field: "tags", message: "must be an array of non-empty strings" }
+                        ]);
+                    }
+                    docs.forEach(doc => {
+                        doc.metadata.tags = [...new Set([...(doc.metadata.tags || []), ...body.tags])];
+                    });
+                }
+
+                const splitDocs = await splitDocuments(docs, { provider });
+                const run = ingestQueue.then(() => addDocumentsToVectorStore(splitDocs, { provider, vectorStore }));
+                ingestQueue = run.catch(() => {});
+                const summary = await run.catch(error => {
+                    if (error.code === "CHUNKING_MISMATCH") {
+                        throw apiError(409, "chunking_mismatch", error.message);
+                    }
+                    throw error;
+                });
+
+                sendJson(res, 200, {
+                    documents: docs.length,
+                    chunks: splitDocs.length,
+                    sources: [...new Set(docs.map(doc => doc.metadata.source))],
+                    ...summary
+                });
+            }
+        },
+
+        "/search": {
+            async POST(req, res) {
+                const body = validateBody(await readJsonBody(req), {
+                    query: { type: "string", required: true },
+                    k: { type: "integer", min: 1, max: MAX_K },
+                    strategy: { type: "enum", values: Object.keys(RETRIEVAL_STRATEGIES) },
+                    mode: { type: "enum", values: SEARCH_MODES },
+                    vectorWeight: { type: "number", min: 0, max: 1 },
+                    reranker: { type: "enum", values: RERANKER_NAMES },
+                    transforms: { type: "enumList", values: TRANSFORM_NAMES },
+                    filter: { type: "object" }
+                });
+
+                const results = await search(body.query, body);
+                sendJson(res, 200, { query: body.query, results: formatResults(results), trace: traceSummary() });
+            }
+        },
+
+        "/ask": {
+            async POST(req, res) {
+                const body = validateBody(await readJsonBody(req), {
+                    query: { type: "string", required: true },
+                    k: { type: "integer", min: 1, max: MAX_K },
+                    strategy: { type: "enum", values: Object.keys(RETRIEVAL_STRATEGIES) },
+                    mode: { type: "enum", values: SEARCH_MODES },
+                    vectorWeight: { type: "number", min: 0, max: 1 },
+                    reranker: { type: "enum", values: RERANKER_NAMES },
+                    transforms: { type: "enumList", values: TRANSFORM_NAMES },
+                    filter: { type: "object" },
+                    history: { type: "array" },
+                    stream: { type: "boolean" }
+                });
+
+                // Earlier turns come from the client, so the server stays stateless
+                const turns = body.history || [];
+                if (turns.some(turn => typeof turn?.question !== "string" || typeof turn?.answer !== "string")) {
+                    throw apiError(400, "validation_error", "Request body failed validation.", [
+                        { field: "history", message: "must contain { question, answer } strings" }
+                    ]);
+                }
+                const history = createChatHistory({ maxTurns: Math.max(turns.length, 1) });
+                turns.forEach(turn => history.add(turn.question, turn.answer));
+
+                const standaloneQuery = await pipeline.condense(body.query, history);
+                const results = await search(standaloneQuery, body);
+                const sources = formatResults(results);
+                const signal = abortOnDisconnect(res);
+
+                if (wantsStream(req, body)) {
+                    const send = startEventStream(res);
+                    send("sources", { query: standaloneQuery, sources });
+                    const answer = await pipeline.answer(standaloneQuery, results, {
+                        history,
+                        signal,
+                        onToken: text => send("token", { text })
+                    });
+                    if (!signal.aborted) {
+                        send("done", { answer, grounding: verifyGrounding(answer, results), trace: traceSummary() });
+                    }
+                    res.end();
+                    return;
+                }
+
+                const answer = await pipeline.answer(standaloneQuery, results, { history, signal });
+                sendJson(res, 200, {
+                    query: body.query,
+                    standaloneQuery,
+                    answer,
+                    sources,
+                    grounding: verifyGrounding(answer, results),
+                    trace: traceSummary()
+                });
+            }
+        },
+
+        "/recommend": {
+            async POST(req, res) {
+                const body = validateBody(await readJsonBody(req), {
+                    query: { type: "string", required: true },
+                    structured: { type: "boolean" },
+                    stream: { type: "boolean" }
+                });
+
+                // A structured recommendation is only usable once validated, so it is never streamed
+                if (body.structured && body.stream) {
+                    throw apiError(400, "validation_error", "Request body failed validation.", [
+                        { field: "stream", message: "cannot be combined with structured" }
+                    ]);
+                }
+
+                const shortlist = await retrieveShortlist(body.query, catalogIndex);
+                if (shortlist.shortlist.length === 0) {
+                    const error = noMatchingModelError(shortlist);
+                    throw apiError(422, error.code, error.message, error.details);
+                }
+                const candidates = shortlist.shortlist.map(candidate => candidate.model);
+                const signal = abortOnDisconnect(res);
+
+                if (body.structured) {
+                    let recommendation;
+                    try {
+                        recommendation = await recommendAIModelStructured(body.query, candidates, { provider: recommender, signal, shortlist });
+                    } catch (error) {
+                        if (signal.aborted) {
+                            return;
+                        }
+                        if (!error.details) {
+                            throw error;
+                        }
+                        throw apiError(502, "invalid_model_output", error.message, error.details);
+                    }
+                    sendJson(res, 200, { query: body.query, ...summarizeShortlist(shortlist), recommendation });
+                    return;
+                }
+
+                if (wantsStream(req, body)) {
+                    const send = startEventStream(res);
+                    send("shortlist", summarizeShortlist(shortlist));
+                    const recommendation = await recommendAIModel(body.query, candidates, {
+                        provider: recommender,
+                        signal,
+                        shortlist,
+                        onToken: text => send("token", { text })
+                    });
+                    if (!signal.aborted) {
+                        send("done", { recommendation });
+                    }
+                    res.end();
+                    return;
+                }
+
+                const recommendation = await recommendAIModel(body.query, candidates, { provider: recommender, signal, shortlist });
+                sendJson(res, 200, { query: body.query, ...summarizeShortlist(shortlist), recommendation });
+            }
+        }
+    };
+
+    return http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, "http://localhost");
+        const route = routes[pathname];
+        const attributes = { "http.request.method": req.method, "url.path": pathname };
+
+        // Unknown paths share one span name, so scanners cannot flood a tracing backend with names
+        return trace(route ? `${req.method} ${pathname}` : req.method, attributes, async span => {
+            res.setHeader('X-Request-Id', span.traceId);
+            try {
+                if (!route) {
+                    throw apiError(404, "not_found", `No endpoint at ${pathname}.`);
+                }
+                const handler = route[req.method];
+                if (!handler) {
+                    res.setHeader('Allow', Object.keys(route).join(", "));
+                    throw apiError(405, "method_not_allowed", `${req.method} is not allowed on ${pathname}.`);
+                }
+                await handler(req, res);
+            } catch (error) {
+                const upstream = !error.status && UPSTREAM_ERROR_CODES.has(error.code);
+                if (!error.status) {
+                    logger.error(`Error handling ${req.method} ${pathname}`, { error, method: req.method, path: pathname });
+                    span.recordError(error);
+                }
+                const status = error.status || (upstream ? 502 : 500);
+                const payload = {
+                    error: {
+                        code: (error.code && error.status) || upstream ? error.code : "internal_error",
+                        message: error.status || upstream ? error.message : "An internal error occurred.",
+                        ...(error.details ? { details: error.details } : {}),
+                        requestId: span.traceId
+                    }
+                };
+
+                // A streamed response has already sent its headers, so report the error as an event
+                if (res.headersSent) {
+                    if (!res.writableEnded) {
+                        res.write(`event: error\ndata: ${JSON.stringify(payload)}\n\n`);
+                        res.end();
+                    }
+                    return;
+                }
+                sendJson(res, status, payload);
+            } finally {
+                span.setAttributes({ "http.response.status_code": res.statusCode });
+            }
+        }, { kind: SPAN_KINDS.server, traceparent: req.headers.traceparent });
+    });
+}
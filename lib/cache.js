@@ -0,0 +1,227 @@
+// cache.js - Persistent cache of query embeddings, query variations and answers, with hit statistics
+
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./telemetry.js";
+
+// What can be cached, and what each kind's scope is: entries of one scope are invalidated together
+export const CACHE_KINDS = {
+    embeddings: "embedding model",
+    variations: "generation model",
+    answers: "collection"
+};
+
+/**
+ * Turns a model or collection name into a directory name
+ * @param {string} scope - Model or collection name
+ * @returns {string} Name safe to use as a directory
+ */
+function scopeDir(scope) {
+    return String(scope).replace(/[^a-zA-Z0-9._-]/g, "_");
+}
+
+/**
+ * Hashes a cache key. Keys may be strings or objects; objects are hashed by their JSON.
+ * @param {string|Object} key - Cache key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+    return createHash("sha256").update(typeof key === "string" ? key : JSON.stringify(key)).digest("hex");
+}
+
+/**
+ * Sums the entries and bytes under a directory
+ * @param {string} dir - Directory to measure
+ * @returns {Promise<{entries: number, bytes: number}>} Totals, zero if the directory does not exist
+ */
+async function measure(dir) {
+    const totals = { entries: 0, bytes: 0 };
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return totals;
+        }
+        throw error;
+    }
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const inner = await measure(entryPath);
+            totals.entries += inner.entries;
+            totals.bytes += inner.bytes;
+        } else if (entry.name.endsWith(".json")) {
+            totals.entries++;
+            totals.bytes += (await fs.stat(entryPath)).size;
+        }
+    }
+    return totals;
+}
+
+/**
+ * Creates a cache stored as one JSON file per entry under
+ * RAG_DATA_DIR/cache/<kind>/<scope>/, named by a hash of the key. Entries are
+ * filed under the model or collection they belong to, so a new embedding or
+ * generation model never sees the previous model's entries, and clear() can
+ * remove a kind, or one scope of it, at once.
+ * Cache failures are logged and treated as misses, so they never fail a query.
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.enabled] - Use the cache at all (defaults to CACHE_ENABLED, on unless "false")
+ * @param {boolean} [options.answers] - Also cache answers (defaults to CACHE_ANSWERS, off unless "true")
+ * @param {string} [options.dataDir] - Data directory (defaults to RAG_DATA_DIR or ./.rag)
+ * @returns {Object} Cache with enabled, answers, get(), set(), remember(), stats(), info() and clear()
+ */
+export function createCache(options = {}) {
+    const enabled = options.enabled ?? process.env.CACHE_ENABLED !== "false";
+    const answers = enabled && (options.answers ?? process.env.CACHE_ANSWERS === "true");
+    const cacheDir = path.resolve(options.dataDir || process.env.RAG_DATA_DIR || "./.rag", "cache");
+
+    // Hits and misses of this process, by kind
+    const counters = Object.fromEntries(Object.keys(CACHE_KINDS).map(kind => [kind, { hits: 0, misses: 0 }]));
+    let warned = false;
+
+    function entryPath(kind, scope, key) {
+        if (!CACHE_KINDS[kind]) {
+            throw new Error(`Unknown cache kind "${kind}". Expected one of: ${Object.keys(CACHE_KINDS).join(", ")}`);
+        }
+        return path.join(cacheDir, kind, scopeDir(scope), `${hashKey(key)}.json`);
+    }
+
+    function warn(error) {
+        if (!warned) {
+            warned = true;
+            logger.warn(`Cache unavailable, continuing without it: ${error.message}`, { cacheDir });
+        }
+    }
+
+    return {
+        enabled,
+        answers,
+
+        /**
+         * Returns a cached value, or undefined on a miss
+         * @param {string} kind - "embeddings", "variations" or "answers"
+         * @param {string} scope - Model or collection the entry belongs to
+         * @param {string|Object} key - Cache key
+         * @returns {Promise<*>} Cached value
+         */
+        async get(kind, scope, key) {
+            if (!enabled) {
+                return undefined;
+            }
+            const filePath = entryPath(kind, scope, key);
+            try {
+                const { value } = JSON.parse(await fs.readFile(filePath, "utf8"));
+                counters[kind].hits++;
+                return value;
+            } catch (error) {
+                if (error.code !== "ENOENT") {
+                    warn(error);
+                }
+                counters[kind].misses++;
+                return undefined;
+            }
+        },
+
+        /**
+         * Stores a value
+         * @param {string} kind - "embeddings", "variations" or "answers"
+         * @param {string} scope - Model or collection the entry belongs to
+         * @param {string|Object} key - Cache key
+         * @param {*} value - JSON-serializable value
+         */
+        async set(kind, scope, key, value) {
+            if (!enabled) {
+                return;
+            }
+            const filePath = entryPath(kind, scope, key);
+            // A unique temporary file, as two requests may store the same key at once
+            const tempPath = `${filePath}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+            try {
+                await fs.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.writeFile(tempPath, JSON.stringify({ createdAt: new Date().toISOString(), value }));
+                await fs.rename(tempPath, filePath);
+            } catch (error) {
+                warn(error);
+                await fs.rm(tempPath, { force: true });
+            }
+        },
+
+        /**
+         * Returns the cached value, or computes, stores and returns it
+         * @param {string} kind - "embeddings", "variations" or "answers"
+         * @param {string} scope - Model or collection the entry belongs to
+         * @param {string|Object} key - Cache key
+         * @param {Function} compute - Async function producing the value on a miss
+         * @returns {Promise<*>} Value
+         */
+        async remember(kind, scope, key, compute) {
+            const cached = await this.get(kind, scope, key);
+            if (cached !== undefined) {
+                return cached;
+            }
+            const value = await compute();
+            await this.set(kind, scope, key, value);
+            return value;
+        },
+
+        /**
+         * Returns the hits, misses and hit rate of each kind in this process
+         * @returns {Object} Statistics keyed by kind
+         */
+        stats() {
+            return Object.fromEntries(Object.entries(counters).map(([kind, { hits, misses }]) => [kind, {
+                hits,
+                misses,
+                hitRate: hits + misses > 0 ? hits / (hits + misses) : null
+            }]));
+        },
+
+        /**
+         * Returns the entries and bytes stored on disk for each kind
+         * @returns {Promise<Object>} Totals keyed by kind
+         */
+        async info() {
+            const totals = {};
+            for (const kind of Object.keys(CACHE_KINDS)) {
+                totals[kind] = await measure(path.join(cacheDir, kind));
+            }
+            return totals;
+        },
+
+        /**
+         * Removes cached entries: everything, one kind, or one scope of a kind
+         * @param {string} [kind] - Kind to clear (defaults to all)
+         * @param {string} [scope] - Model or collection to clear within the kind
+         */
+        async clear(kind, scope) {
+            if (kind && !CACHE_KINDS[kind]) {
+                throw new Error(`Unknown cache kind "${kind}". Expected one of: ${Object.keys(CACHE_KINDS).join(", ")}`);
+            }
+            const target = kind
+                ? path.join(cacheDir, kind, ...(scope !== undefined ? [scopeDir(scope)] : []))
+                : cacheDir;
+            await fs.rm(target, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Prints the hit rates of this process and the size on disk of each kind
+ * @param {Object} stats - Statistics from cache.stats(), or null to leave out hit rates
+ * @param {Object} info - Totals from cache.info()
+ */
+export function printCacheReport(stats, info) {
+    console.log(`\n${"Kind".padEnd(12)}${"Entries".padStart(9)}${"Size".padStart(11)}${stats ? `${"Hits".padStart(7)}${"Misses".padStart(8)}${"Hit rate".padStart(10)}` : ""}`);
+    for (const kind of Object.keys(CACHE_KINDS)) {
+        const { entries, bytes } = info[kind];
+        let line = `${kind.padEnd(12)}${String(entries).padStart(9)}${`${(bytes / 1024).toFixed(1)} KB`.padStart(11)}`;
+        if (stats) {
+            const { hits, misses, hitRate } = stats[kind];
+            line += `${String(hits).padStart(7)}${String(misses).padStart(8)}${(hitRate === null ? "-" : `${(hitRate * 100).toFixed(0)}%`).padStart(10)}`;
+        }
+        console.log(line);
+    }
+}
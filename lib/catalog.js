@@ -0,0 +1,310 @@
+// catalog.js - The AI model catalog in aiModels.json: schema validation, loading and queries
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Catalog read unless MODEL_CATALOG names another file
+export const DEFAULT_CATALOG_FILE = "aiModels.json";
+
+// Allowed values of the enumerated fields
+export const MODALITIES = ["text", "image", "audio", "video"];
+export const CAPABILITIES = [
+    "chat", "reasoning", "code", "math", "summarization", "creative", "long-context", "vision", "realtime",
+    "image-generation", "image-editing", "video-generation", "video-editing", "image-to-video"
+];
+export const LATENCY_CLASSES = ["fast", "medium", "slow"];
+export const STATUSES = ["active", "preview", "deprecated"];
+
+// Fields a model entry may have; anything else is reported as a typo
+const MODEL_FIELDS = [
+    "name", "provider", "status", "replacedBy", "apiModel", "bestFor", "limitations",
+    "pricing", "contextWindow", "modalities", "capabilities", "latency", "openWeights"
+];
+
+// Fields models can be sorted by, with how to read each
+const SORT_KEYS = {
+    name: model => model.name.toLowerCase(),
+    provider: model => model.provider.toLowerCase(),
+    inputPrice: model => model.pricing.inputPer1K,
+    outputPrice: model => model.pricing.outputPer1K,
+    contextWindow: model => model.contextWindow
+};
+
+/**
+ * Checks a list of values against the allowed ones
+ * @param {*} value - Value to check
+ * @param {Array<string>} allowed - Allowed values
+ * @returns {boolean} True for a non-empty array of distinct allowed values
+ */
+function isListOf(value, allowed) {
+    return Array.isArray(value)
+        && value.length > 0
+        && value.every(item => allowed.includes(item))
+        && new Set(value).size === value.length;
+}
+
+/**
+ * Checks one catalog entry
+ * @param {*} model - Entry to check
+ * @returns {Array<{field: string, message: string}>} Problems found
+ */
+function validateModel(model) {
+    if (typeof model !== 'object' || model === null || Array.isArray(model)) {
+        return [{ field: "", message: "must be an object" }];
+    }
+
+    const problems = [];
+    const problem = (field, message) => problems.push({ field, message });
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const isPrice = value => value === null || (typeof value === 'number' && value >= 0);
+
+    for (const field of ["name", "provider", "bestFor", "limitations"]) {
+        if (!isText(model[field])) {
+            problem(field, "must be a non-empty string");
+        } else if (model[field] !== model[field].trim()) {
+            problem(field, "has leading or trailing spaces");
+        }
+    }
+    // A label pasted into the value, e.g. "Best for: Advanced reasoning"
+    for (const field of ["bestFor", "limitations"]) {
+        if (isText(model[field]) && /^\s*(best for|limitations)\s*:/i.test(model[field])) {
+            problem(field, `starts with a stray "${model[field].trim().split(":")[0]}:" label`);
+        }
+    }
+
+    if (!STATUSES.includes(model.status)) {
+        problem("status", `must be one of: ${STATUSES.join(", ")}`);
+    }
+    if (model.replacedBy !== undefined && !isText(model.replacedBy)) {
+        problem("replacedBy", "must be a model name");
+    }
+    if (model.apiModel !== undefined && !isText(model.apiModel)) {
+        problem("apiModel", "must be a non-empty string");
+    }
+
+    const { pricing } = model;
+    if (typeof pricing !== 'object' || pricing === null || Array.isArray(pricing)) {
+        problem("pricing", "must be an object with inputPer1K and outputPer1K");
+    } else {
+        for (const field of ["inputPer1K", "outputPer1K"]) {
+            if (!isPrice(pricing[field])) {
+                problem(`pricing.${field}`, "must be a price in USD per 1K tokens, or null");
+            }
+        }
+        if ((pricing.inputPer1K === null || pricing.outputPer1K === null) && !isText(pricing.notes)) {
+            problem("pricing.notes", "must describe the pricing when there is no per-token price");
+        }
+        const unknown = Object.keys(pricing).filter(field => !["inputPer1K", "outputPer1K", "notes"].includes(field));
+        if (unknown.length > 0) {
+            problem("pricing", `has unknown field(s): ${unknown.join(", ")}`);
+        }
+    }
+
+    const { modalities } = model;
+    if (typeof modalities !== 'object' || modalities === null) {
+        problem("modalities", "must be an object with input and output lists");
+    } else {
+        for (const field of ["input", "output"]) {
+            if (!isListOf(modalities[field], MODALITIES)) {
+                problem(`modalities.${field}`, `must be a list of distinct values from: ${MODALITIES.join(", ")}`);
+            }
+        }
+    }
+
+    // Models that read or write text have a context window
+    const handlesText = Array.isArray(modalities?.output) && modalities.output.includes("text");
+    if (model.contextWindow === null ? handlesText : !(Number.isInteger(model.contextWindow) && model.contextWindow > 0)) {
+        problem("contextWindow", handlesText ? "must be a positive number of tokens" : "must be a positive number of tokens, or null");
+    }
+
+    if (!isListOf(model.capabilities, CAPABILITIES)) {
+        problem("capabilities", `must be a list of distinct values from: ${CAPABILITIES.join(", ")}`);
+    }
+    if (!LATENCY_CLASSES.includes(model.latency)) {
+        problem("latency", `must be one of: ${LATENCY_CLASSES.join(", ")}`);
+    }
+    if (typeof model.openWeights !== 'boolean') {
+        problem("openWeights", "must be true or false");
+    }
+
+    const unknown = Object.keys(model).filter(field => !MODEL_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        problem("", `has unknown field(s): ${unknown.join(", ")}`);
+    }
+    return problems;
+}
+
+/**
+ * Checks a parsed catalog: the shape of every entry, unique names, and that
+ * replacedBy names another model
+ * @param {*} catalog - Parsed catalog file
+ * @returns {Array<{index: number|null, model: string|null, field: string, message: string}>}
+ *   Problems found, empty for a valid catalog; index and model are null for problems with the file itself
+ */
+export function validateCatalog(catalog) {
+    if (typeof catalog !== 'object' || catalog === null || !Array.isArray(catalog.models)) {
+        return [{ index: null, model: null, field: "models", message: "must be a list of models" }];
+    }
+
+    const problems = [];
+    const names = new Map();
+    catalog.models.forEach((model, index) => {
+        const name = typeof model?.name === 'string' ? model.name : null;
+        validateModel(model).forEach(({ field, message }) => problems.push({ index, model: name, field, message }));
+
+        if (name) {
+            const key = name.trim().toLowerCase();
+            if (names.has(key)) {
+                problems.push({ index, model: name, field: "name", message: `repeats entry ${names.get(key)}` });
+            } else {
+                names.set(key, index);
+            }
+        }
+    });
+
+    catalog.models.forEach((model, index) => {
+        if (typeof model?.replacedBy === 'string' && model.replacedBy.trim()) {
+            const key = model.replacedBy.trim().toLowerCase();
+            if (!names.has(key)) {
+                problems.push({ index, model: model.name, field: "replacedBy", message: `"${model.replacedBy}" is not in the catalog` });
+            } else if (key === model.name?.trim().toLowerCase()) {
+                problems.push({ index, model: model.name, field: "replacedBy", message: "names the model itself" });
+            }
+        }
+    });
+    return problems;
+}
+
+/**
+ * Describes a problem found by validateCatalog()
+ * @param {Object} problem - Problem
+ * @returns {string} E.g. "[6] Claude 3.7 Sonnet: bestFor starts with a stray "Best for:" label"
+ */
+export function describeProblem(problem) {
+    const entry = problem.index === null ? "catalog" : `[${problem.index}] ${problem.model || "(unnamed)"}`;
+    return `${entry}: ${problem.field ? `${problem.field} ` : ""}${problem.message}`;
+}
+
+/**
+ * Reads and parses a catalog file without validating it
+ * @param {string} [filePath] - Catalog file (defaults to MODEL_CATALOG, then aiModels.json)
+ * @returns {Promise<{file: string, catalog: Object}>} Resolved file and parsed content
+ */
+export async function readCatalogFile(filePath) {
+    const file = path.resolve(filePath || process.env.MODEL_CATALOG || DEFAULT_CATALOG_FILE);
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        throw new Error(`Cannot read model catalog ${file}: ${error.message}`);
+    }
+    try {
+        return { file, catalog: JSON.parse(text) };
+    } catch (error) {
+        throw new Error(`Model catalog ${file} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Loads and validates the model catalog. A catalog with any problem is
+ * rejected as a whole, so no caller works from a broken entry.
+ * @param {string} [filePath] - Catalog file (defaults to MODEL_CATALOG, then aiModels.json)
+ * @returns {Promise<{file: string, version: number, models: Array<Object>}>} The catalog
+ * @throws {Error} When the file cannot be read or fails validation; `details` lists the problems
+ */
+export async function loadCatalog(filePath) {
+    const { file, catalog } = await readCatalogFile(filePath);
+    const problems = validateCatalog(catalog);
+    if (problems.length > 0) {
+        const error = new Error(`Model catalog ${file} has ${problems.length} problem(s); run "node cli.js catalog validate" for the list.`);
+        error.details = problems.map(describeProblem);
+        throw error;
+    }
+    return { file, version: catalog.version, models: catalog.models };
+}
+
+/**
+ * Filters and sorts catalog models. Deprecated models are left out unless
+ * asked for. Models without a value for the sort key sort last either way.
+ * @param {Array<Object>} models - Catalog models
+ * @param {Object} [query] - Filters and sort order
+ * @param {string} [query.provider] - Provider name, case-insensitive
+ * @param {string} [query.input] - Modality the model must accept
+ * @param {string} [query.output] - Modality the model must produce
+ * @param {Array<string>} [query.capabilities] - Capabilities the model must all have
+ * @param {string} [query.maxLatency] - Slowest latency class allowed
+ * @param {number} [query.maxInputPrice] - Highest input price per 1K tokens; unpriced models are left out
+ * @param {number} [query.maxOutputPrice] - Highest output price per 1K tokens; unpriced models are left out
+ * @param {number} [query.minContextWindow] - Smallest context window in tokens
+ * @param {boolean} [query.openWeights] - Only models whose weights can be self-hosted
+ * @param {boolean} [query.includeDeprecated] - Keep deprecated models
+ * @param {string} [query.sortBy] - "name", "provider", "inputPrice", "outputPrice" or "contextWindow" (default: catalog order)
+ * @param {boolean} [query.descending] - Sort from highest to lowest
+ * @returns {Array<Object>} Matching models
+ */
+export function queryModels(models, query = {}) {
+    const { provider, input, output, capabilities = [], maxLatency, maxInputPrice, maxOutputPrice, minContextWindow, openWeights = false, includeDeprecated = false, sortBy, descending = false } = query;
+    if (sortBy && !SORT_KEYS[sortBy]) {
+        throw new Error(`Cannot sort models by "${sortBy}". Expected one of: ${Object.keys(SORT_KEYS).join(", ")}`);
+    }
+    if (maxLatency && !LATENCY_CLASSES.includes(maxLatency)) {
+        throw new Error(`Unknown latency "${maxLatency}". Expected one of: ${LATENCY_CLASSES.join(", ")}`);
+    }
+
+    const priceAtMost = (price, max) => max === undefined || (price !== null && price <= max);
+    const matches = models.filter(model =>
+        (includeDeprecated || model.status !== "deprecated")
+        && (!provider || model.provider.toLowerCase() === provider.toLowerCase())
+        && (!input || model.modalities.input.includes(input))
+        && (!output || model.modalities.output.includes(output))
+        && capabilities.every(capability => model.capabilities.includes(capability))
+        && (!maxLatency || LATENCY_CLASSES.indexOf(model.latency) <= LATENCY_CLASSES.indexOf(maxLatency))
+        && priceAtMost(model.pricing.inputPer1K, maxInputPrice)
+        && priceAtMost(model.pricing.outputPer1K, maxOutputPrice)
+        && (minContextWindow === undefined || (model.contextWindow ?? 0) >= minContextWindow)
+        && (!openWeights || model.openWeights));
+
+    if (!sortBy) {
+        return matches;
+    }
+    const key = SORT_KEYS[sortBy];
+    const direction = descending ? -1 : 1;
+    return matches.sort((a, b) => {
+        const [x, y] = [key(a), key(b)];
+        if (x === null || y === null) {
+            return (x === null) - (y === null);
+        }
+        return (x < y ? -1 : x > y ? 1 : 0) * direction;
+    });
+}
+
+/**
+ * Describes a model's pricing in words, for prompts and tables
+ * @param {Object} model - Catalog model
+ * @returns {string} E.g. "$0.003 per 1K input tokens, $0.015 per 1K output tokens"
+ */
+export function formatPricing(model) {
+    const { inputPer1K, outputPer1K, notes } = model.pricing;
+    const prices = inputPer1K !== null && outputPer1K !== null
+        ? `$${inputPer1K} per 1K input tokens, $${outputPer1K} per 1K output tokens`
+        : null;
+    return [prices, notes].filter(Boolean).join("; ");
+}
+
+/**
+ * Prints models as a table
+ * @param {Array<Object>} models - Catalog models
+ */
+export function printModelTable(models) {
+    const width = Math.max(5, ...models.map(model => model.name.length));
+    const providerWidth = Math.max(8, ...models.map(model => model.provider.length));
+    const price = value => (value === null ? "-" : `$${value}`);
+
+    console.log(`\n${"Model".padEnd(width + 2)}${"Provider".padEnd(providerWidth + 2)}${"In/1K".padStart(9)}${"Out/1K".padStart(9)}${"Context".padStart(10)}  ${"Output".padEnd(7)}${"Latency".padEnd(9)}Status`);
+    for (const model of models) {
+        console.log(`${model.name.padEnd(width + 2)}${model.provider.padEnd(providerWidth + 2)}`
+            + `${price(model.pricing.inputPer1K).padStart(9)}${price(model.pricing.outputPer1K).padStart(9)}`
+            + `${(model.contextWindow === null ? "-" : model.contextWindow.toLocaleString("en-US")).padStart(10)}  `
+            + `${model.modalities.output.join(",").padEnd(7)}${model.latency.padEnd(9)}${model.status}${model.replacedBy ? ` (use ${model.replacedBy})` : ""}`);
+    }
+}
@@ -0,0 +1,180 @@
+// catalogIndex.js - The model catalog embedded into its own collection, kept in step with the catalog file, for semantic model retrieval
+
+import { createProvider } from "./providers.js";
+import { createVectorStore } from "./vectorStores.js";
+import { addDocumentsToVectorStore } from "./indexer.js";
+import { similaritySearch } from "./retrieval.js";
+import { loadManifest, saveManifest, hashFile } from "./manifest.js";
+import { loadCatalog } from "./catalog.js";
+import { extractRequirements, shortlistModels, DEFAULT_SHORTLIST_SIZE } from "./requirements.js";
+import { logger } from "./telemetry.js";
+
+// Models retrieved for a description before the shortlist is ranked
+export const DEFAULT_CATALOG_CANDIDATES = 10;
+
+// Every model is one chunk, so the collection's chunking never changes with CHUNK_* settings
+const CATALOG_CHUNKING = { strategy: "catalog" };
+
+/**
+ * Returns the collection the catalog is embedded into: CATALOG_COLLECTION,
+ * or the document collection's name with a "_models" suffix
+ * @returns {string} Collection name
+ */
+export function catalogCollectionName() {
+    return process.env.CATALOG_COLLECTION || `${process.env.COLLECTION_NAME || "learning_langchain"}_models`;
+}
+
+/**
+ * Returns the source a model's chunk is stored under. Names are encoded so a
+ * comma in a name cannot split the source filter.
+ * @param {Object} model - Catalog model
+ * @returns {string} Source, e.g. "catalog:GPT-4o"
+ */
+function modelSource(model) {
+    return `catalog:${encodeURIComponent(model.name)}`;
+}
+
+/**
+ * Describes a model as the text that is embedded for it
+ * @param {Object} model - Catalog model
+ * @returns {string} Name, provider, what it is best for, capabilities, modalities and limitations
+ */
+export function describeModelForSearch(model) {
+    return [
+        `${model.name} by ${model.provider}.`,
+        `Best for: ${model.bestFor}.`,
+        `Capabilities: ${model.capabilities.join(", ")}.`,
+        `Input: ${model.modalities.input.join(", ")}; output: ${model.modalities.output.join(", ")}.`,
+        `Limitations: ${model.limitations}.`
+    ].join("\n");
+}
+
+/**
+ * Creates the catalog index. The catalog file's hash is recorded in the
+ * collection's manifest; whenever the file changes, the next refresh() or
+ * search() re-embeds the models whose description changed and removes the
+ * ones that left the catalog, so a long-running process picks up edits
+ * without a restart.
+ * @param {Object} [options] - Index options
+ * @param {Object} [options.provider] - Provider from createProvider() (defaults to LLM_PROVIDER, created on first use)
+ * @param {Object} [options.vectorStore] - Vector store (defaults to VECTOR_STORE with catalogCollectionName())
+ * @param {string} [options.file] - Catalog file (defaults to MODEL_CATALOG, then aiModels.json)
+ * @param {Object} [options.cache] - Cache from createCache() for query embeddings
+ * @returns {Object} Catalog index with file, vectorStore, refresh() and search()
+ */
+export function createCatalogIndex(options = {}) {
+    // Created when first needed, so a missing API key surfaces where callers can fall back
+    let provider = options.provider || null;
+    const getProvider = () => provider || (provider = createProvider());
+    const vectorStore = options.vectorStore || createVectorStore({ collectionName: catalogCollectionName() });
+    const { cache } = options;
+
+    // Concurrent callers share one refresh, so two runs never write the collection at once
+    let refreshing = null;
+
+    async function refresh() {
+        const { file, models } = await loadCatalog(options.file);
+        const hash = await hashFile(file);
+        const manifest = await loadManifest(vectorStore.collectionName);
+        const provider = getProvider();
+
+        const current = manifest.catalog?.hash === hash
+            && manifest.embeddingModel === provider.embeddingModel
+            && await vectorStore.collectionExists()
+            && await vectorStore.count() > 0;
+        if (current) {
+            return { status: "ready", file, models, added: 0, unchanged: models.length, removed: 0 };
+        }
+
+        logger.info(`Indexing the model catalog ${file} into ${vectorStore.collectionName}...`);
+        const documents = models.map(model => ({
+            pageContent: describeModelForSearch(model),
+            metadata: { source: modelSource(model), model: model.name, provider: model.provider }
+        }));
+        const summary = await addDocumentsToVectorStore(documents, {
+            provider,
+            vectorStore,
+            prune: true,
+            chunking: CATALOG_CHUNKING,
+            onProgress: () => {}
+        });
+
+        const updated = await loadManifest(vectorStore.collectionName);
+        updated.catalog = { file, hash };
+        await saveManifest(updated);
+        return { status: manifest.catalog ? "updated" : "indexed", file, models, ...summary };
+    }
+
+    return {
+        file: options.file,
+        vectorStore,
+
+        /**
+         * Brings the collection in line with the catalog file, if it changed
+         * @returns {Promise<Object>} Status ("ready", "indexed" or "updated"), file, the catalog's
+         *   models, and the counts of models added, unchanged and removed
+         */
+        async refresh() {
+            refreshing = refreshing || refresh().finally(() => {
+                refreshing = null;
+            });
+            return refreshing;
+        },
+
+        /**
+         * Finds the models most relevant to a description, refreshing the index first
+         * @param {string} description - What the user wants to do
+         * @param {Object} [searchOptions] - Search options
+         * @param {number} [searchOptions.limit] - Models to return (default CATALOG_CANDIDATES or 10)
+         * @param {Array<Object>} [searchOptions.models] - Only consider these catalog models
+         * @returns {Promise<Array<{model: Object, score: number}>>} Models from the current catalog, most relevant first
+         */
+        async search(description, { limit = Number(process.env.CATALOG_CANDIDATES) || DEFAULT_CATALOG_CANDIDATES, models } = {}) {
+            const catalog = await this.refresh();
+            const eligible = models || catalog.models;
+            if (eligible.length === 0) {
+                return [];
+            }
+
+            const byName = new Map(catalog.models.map(model => [model.name, model]));
+            const results = await similaritySearch(description, {
+                provider: getProvider(),
+                vectorStore,
+                k: limit,
+                reranker: "none",
+                filter: { source: eligible.map(modelSource) },
+                cache
+            });
+            return results
+                .filter(result => byName.has(result.metadata.model))
+                .map(result => ({ model: byName.get(result.metadata.model), score: result.score }));
+        }
+    };
+}
+
+/**
+ * Shortlists models for a query from the catalog index: the rules of
+ * shortlistModels() exclude the models that cannot meet the requirements, the
+ * index retrieves the most relevant of the rest, and those are ranked. If
+ * retrieval fails, for example because embeddings are unavailable, the
+ * shortlist comes from the rules alone.
+ * @param {string} query - User's query about what they want to do with an AI model
+ * @param {Object} catalogIndex - Index from createCatalogIndex()
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Candidates to keep (default 5)
+ * @param {number} [options.candidates] - Models to retrieve (default CATALOG_CANDIDATES or 10)
+ * @returns {Promise<Object>} Result as from shortlistModels(), with the catalog's current models
+ */
+export async function retrieveShortlist(query, catalogIndex, { limit = DEFAULT_SHORTLIST_SIZE, candidates } = {}) {
+    const requirements = extractRequirements(query);
+    try {
+        const { models } = await catalogIndex.refresh();
+        const eligible = shortlistModels(requirements, models, { limit: Infinity }).shortlist.map(candidate => candidate.model);
+        const hits = await catalogIndex.search(query, { limit: candidates, models: eligible });
+        return shortlistModels(requirements, models, { limit, relevance: new Map(hits.map(hit => [hit.model.name, hit.score])) });
+    } catch (error) {
+        logger.error("Error retrieving models from the catalog index, shortlisting by the rules alone", { error, collection: catalogIndex.vectorStore.collectionName });
+        const { models } = await loadCatalog(catalogIndex.file);
+        return shortlistModels(requirements, models, { limit });
+    }
+}
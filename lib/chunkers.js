@@ -0,0 +1,413 @@
+// chunkers.js - Chunking strategies that split loaded documents before they are embedded
+
+import { RecursiveCharacterTextSplitter } from "@langchain/textsplitters";
+import { Document } from "@langchain/core/documents";
+import { splitSentences } from "./text.js";
+import { cosineSimilarity } from "./vectorStores.js";
+import { createEmbeddingQueue } from "./embeddingQueue.js";
+
+// Default parameters of each strategy. Sizes are characters, except for "token".
+const STRATEGY_DEFAULTS = {
+    recursive: { chunkSize: 1000, chunkOverlap: 200 },
+    token: { chunkSize: 256, chunkOverlap: 32 },
+    structure: { chunkSize: 1000 },
+    semantic: { chunkSize: 1000, breakpointPercentile: 90 }
+};
+
+// Names accepted by resolveChunking()
+export const CHUNK_STRATEGIES = Object.keys(STRATEGY_DEFAULTS);
+
+// Lines that start a new section: Markdown headings, course-style headings,
+// Node.js API doc headings, and bare API signatures such as fs.createReadStream(path[, options])
+const HEADING_PATTERNS = [
+    /^#{1,6}\s+\S/,
+    /^(?:Lesson|Section|Chapter)\s+\d+[:.]/i,
+    /^(?:Class|Event|Module):\s+\S/
+];
+const SIGNATURE_PATTERN = /^(?:new\s+)?[\w$]+(?:\.[\w$]+)+\s*\([\w$\s,.[\]]*\)\s*$/;
+
+// Lines that look like source code or shell commands rather than prose
+const CODE_LINE_PATTERN = /^\s*(?:const|let|var|function|class|return|if|else|for|while|switch|try|catch|import|export|await|async|module\.exports|require\(|\/\/|\/\*|[}\])]|<\/?[a-zA-Z!]|\$ )|[;{}]\s*$|=>/;
+
+// Lines that read as a sentence, which end a run of code
+const PROSE_LINE_PATTERN = /^[A-Z][\w'’]*(?:\s+[\w'’,()-]+){3,}/;
+
+/**
+ * Returns the chunking configuration to use: the strategy from `options.strategy`,
+ * then CHUNK_STRATEGY, then "recursive", with sizes from the options, then
+ * CHUNK_SIZE and CHUNK_OVERLAP, then the strategy's defaults. The result is
+ * stored with the collection, so it only holds parameters the strategy uses.
+ * @param {Object} [options] - Strategy and parameters
+ * @param {string} [options.strategy] - "recursive", "token", "structure" or "semantic"
+ * @param {number} [options.chunkSize] - Maximum chunk size
+ * @param {number} [options.chunkOverlap] - Overlap between chunks (recursive and token only)
+ * @param {number} [options.breakpointPercentile] - Semantic split threshold, as a percentile of sentence distances
+ * @returns {Object} Chunking configuration with strategy and its parameters
+ */
+export function resolveChunking(options = {}) {
+    const strategy = (options.strategy || process.env.CHUNK_STRATEGY || "recursive").toLowerCase();
+    const defaults = STRATEGY_DEFAULTS[strategy];
+
+    if (!defaults) {
+        throw new Error(`Unknown chunking strategy "${strategy}". Expected one of: ${CHUNK_STRATEGIES.join(", ")}`);
+    }
+
+    const values = {
+        chunkSize: options.chunkSize ?? process.env.CHUNK_SIZE,
+        chunkOverlap: options.chunkOverlap ?? process.env.CHUNK_OVERLAP,
+        breakpointPercentile: options.breakpointPercentile ?? process.env.CHUNK_BREAKPOINT_PERCENTILE
+    };
+
+    const chunking = { strategy };
+    for (const [name, fallback] of Object.entries(defaults)) {
+        const value = Number(values[name] === undefined || values[name] === "" ? fallback : values[name]);
+        if (!Number.isFinite(value) || value < 0 || (name === "chunkSize" && value === 0)) {
+            throw new Error(`Invalid ${name} "${values[name]}" for the ${strategy} chunking strategy.`);
+        }
+        chunking[name] = value;
+    }
+    if (chunking.chunkOverlap >= chunking.chunkSize) {
+        throw new Error(`chunkOverlap (${chunking.chunkOverlap}) must be smaller than chunkSize (${chunking.chunkSize}).`);
+    }
+    return chunking;
+}
+
+/**
+ * Describes a chunking configuration, e.g. "structure (chunkSize 1000)"
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @returns {string} Description
+ */
+export function describeChunking(chunking) {
+    const { strategy, ...params } = chunking;
+    const details = Object.entries(params).map(([name, value]) => `${name} ${value}`).join(", ");
+    return details ? `${strategy} (${details})` : strategy;
+}
+
+/**
+ * Whether two chunking configurations produce the same chunks
+ * @param {Object} a - Configuration from resolveChunking()
+ * @param {Object} b - Configuration from resolveChunking()
+ * @returns {boolean} True if strategy and every parameter match
+ */
+export function sameChunking(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => a[key] === b[key]);
+}
+
+/**
+ * Whether a line starts a new section
+ * @param {string} line - Trimmed line
+ * @param {string|undefined} nextLine - Next non-empty line, trimmed
+ * @returns {boolean} True for headings, and for API signatures followed by prose
+ */
+function isHeading(line, nextLine) {
+    if (HEADING_PATTERNS.some(pattern => pattern.test(line))) {
+        return true;
+    }
+    // Calls with literal arguments such as app.listen(3000), or followed by more
+    // code, are part of a code sample rather than a signature
+    return SIGNATURE_PATTERN.test(line) && !/[(,[\s]\d/.test(line)
+        && nextLine !== undefined && !CODE_LINE_PATTERN.test(nextLine);
+}
+
+/**
+ * Parses text into sections, each a heading and the blocks below it. Fenced
+ * code and runs of code-like lines become single code blocks so they are never
+ * split apart; prose is split into paragraphs at blank lines.
+ * @param {string} text - Document text
+ * @returns {Array<{heading: string|null, blocks: Array<{text: string, code: boolean}>}>} Sections
+ */
+function parseSections(text) {
+    const lines = text.split("\n");
+    const sections = [{ heading: null, blocks: [] }];
+    let block = null;
+    let inFence = false;
+
+    const closeBlock = () => {
+        if (block && block.lines.some(line => line.trim())) {
+            sections[sections.length - 1].blocks.push({ text: block.lines.join("\n").trim(), code: block.code });
+        }
+        block = null;
+    };
+
+    lines.forEach((line, index) => {
+        const trimmed = line.trim();
+
+        if (trimmed.startsWith("```")) {
+            if (!inFence) {
+                closeBlock();
+                block = { code: true, lines: [] };
+            }
+            block.lines.push(line);
+            inFence = !inFence;
+            if (!inFence) {
+                closeBlock();
+            }
+            return;
+        }
+        if (inFence) {
+            block.lines.push(line);
+            return;
+        }
+
+        if (!trimmed) {
+            closeBlock();
+            return;
+        }
+
+        const nextLine = lines.slice(index + 1).find(candidate => candidate.trim())?.trim();
+        if (isHeading(trimmed, nextLine)) {
+            closeBlock();
+            sections.push({ heading: trimmed, blocks: [] });
+            return;
+        }
+
+        // Once in code, stay there until a line reads as prose, so statements
+        // such as res.send(...) between code-like lines stay in the sample
+        const code = block?.code ? !PROSE_LINE_PATTERN.test(trimmed) : CODE_LINE_PATTERN.test(line);
+        if (block && block.code !== code) {
+            closeBlock();
+        }
+        block = block || { code, lines: [] };
+        block.lines.push(line);
+    });
+    closeBlock();
+
+    return sections.filter(section => section.heading || section.blocks.length > 0);
+}
+
+/**
+ * Splits a block that is larger than a chunk. Code is split between lines so
+ * no statement is cut; prose goes through the recursive splitter.
+ * @param {{text: string, code: boolean}} block - Block from parseSections()
+ * @param {number} chunkSize - Maximum characters per piece
+ * @returns {Promise<Array<string>>} Pieces
+ */
+async function splitOversizedBlock(block, chunkSize) {
+    if (!block.code) {
+        return new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap: 0 }).splitText(block.text);
+    }
+
+    const pieces = [];
+    let current = [];
+    let length = 0;
+    for (const line of block.text.split("\n")) {
+        if (length + line.length + 1 > chunkSize && current.length > 0) {
+            pieces.push(current.join("\n"));
+            current = [];
+            length = 0;
+        }
+        current.push(line);
+        length += line.length + 1;
+    }
+    if (current.length > 0) {
+        pieces.push(current.join("\n"));
+    }
+    return pieces;
+}
+
+/**
+ * Creates a chunker that splits on characters with LangChain's recursive splitter
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @returns {Object} Chunker with split(documents)
+ */
+function createRecursiveChunker({ chunkSize, chunkOverlap }) {
+    const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+    return {
+        async split(documents) {
+            return splitter.splitDocuments(documents);
+        }
+    };
+}
+
+/**
+ * Creates a chunker that measures chunk size in cl100k_base tokens, so chunks
+ * fit model context limits regardless of how dense the text is
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @returns {Object} Chunker with split(documents)
+ */
+function createTokenChunker({ chunkSize, chunkOverlap }) {
+    return {
+        async split(documents) {
+            // The token ranks are large, so they are only loaded when this strategy is used
+            const { Tiktoken } = await import("js-tiktoken/lite");
+            const { default: ranks } = await import("js-tiktoken/ranks/cl100k_base");
+            const encoding = new Tiktoken(ranks);
+
+            const splitter = new RecursiveCharacterTextSplitter({
+                chunkSize,
+                chunkOverlap,
+                lengthFunction: text => encoding.encode(text).length
+            });
+            return splitter.splitDocuments(documents);
+        }
+    };
+}
+
+/**
+ * Creates a chunker that follows the document's structure. Chunks start at
+ * headings where possible, a heading is never separated from the text that
+ * follows it, code blocks stay whole, and a chunk that continues a section
+ * repeats the section heading so API signatures stay with their descriptions.
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @returns {Object} Chunker with split(documents)
+ */
+function createStructureChunker({ chunkSize }) {
+    async function splitDocument(document) {
+        const chunks = [];
+        let parts = [];
+        let length = 0;
+        let heading = null;
+
+        const flush = () => {
+            if (parts.length > 0) {
+                chunks.push({ text: parts.join("\n\n"), heading });
+            }
+            parts = [];
+            length = 0;
+        };
+        const push = text => {
+            parts.push(text);
+            length += text.length + 2;
+        };
+
+        for (const section of parseSections(document.pageContent)) {
+            // Start each section in a new chunk unless the current one is still small
+            if (length >= chunkSize / 2) {
+                flush();
+            }
+
+            // Leave room for the heading that is repeated when a section spans chunks
+            const pieceSize = Math.max(chunkSize - (section.heading ? section.heading.length + 2 : 0), chunkSize / 2);
+            const pieces = [];
+            for (const block of section.blocks) {
+                pieces.push(...(block.text.length > pieceSize ? await splitOversizedBlock(block, pieceSize) : [block.text]));
+            }
+
+            if (section.heading) {
+                // Keep the heading with the first piece of its section
+                if (length + section.heading.length + (pieces[0]?.length || 0) > chunkSize) {
+                    flush();
+                }
+                heading = section.heading;
+                push(section.heading);
+            }
+
+            for (const piece of pieces) {
+                if (length + piece.length > chunkSize && parts.length > 0) {
+                    flush();
+                    if (section.heading) {
+                        push(section.heading);
+                    }
+                }
+                push(piece);
+            }
+        }
+        flush();
+
+        return chunks.map(chunk => new Document({
+            pageContent: chunk.text,
+            metadata: {
+                ...document.metadata,
+                ...(chunk.heading && !document.metadata?.section ? { section: chunk.heading.replace(/^#+\s*/, "") } : {})
+            }
+        }));
+    }
+
+    return {
+        async split(documents) {
+            const chunks = [];
+            for (const document of documents) {
+                chunks.push(...await splitDocument(document));
+            }
+            return chunks;
+        }
+    };
+}
+
+/**
+ * Creates a chunker that starts a new chunk where the topic shifts. Each
+ * sentence is embedded together with its neighbours, and the text is split
+ * where consecutive embeddings are furthest apart (above the given percentile
+ * of distances in the document) or where a chunk would exceed chunkSize.
+ * Code blocks count as single sentences. Embeds every sentence, in batches
+ * through an embedding queue, so it costs far more embedding than the other strategies.
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @param {Object} provider - Provider from createProvider()
+ * @returns {Object} Chunker with split(documents)
+ */
+function createSemanticChunker({ chunkSize, breakpointPercentile }, provider) {
+    if (!provider) {
+        throw new Error("The semantic chunking strategy needs a provider to embed sentences.");
+    }
+    const queue = createEmbeddingQueue(provider);
+
+    async function splitDocument(document) {
+        const units = [];
+        for (const section of parseSections(document.pageContent)) {
+            if (section.heading) {
+                units.push(section.heading);
+            }
+            for (const block of section.blocks) {
+                const sentences = block.code ? [block.text] : splitSentences(block.text);
+                for (const sentence of sentences) {
+                    units.push(...(sentence.length > chunkSize ? await splitOversizedBlock({ text: sentence, code: block.code }, chunkSize) : [sentence]));
+                }
+            }
+        }
+        if (units.length === 0) {
+            return [];
+        }
+
+        // Embed each unit with its neighbours so single short sentences do not dominate
+        const vectors = await queue.embedBatch(units.map((unit, i) => units.slice(Math.max(i - 1, 0), i + 2).join(" ")));
+        const distances = vectors.slice(1).map((vector, i) => 1 - cosineSimilarity(vectors[i], vector));
+        const sorted = [...distances].sort((a, b) => a - b);
+        const threshold = sorted.length > 0
+            ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * breakpointPercentile / 100))]
+            : Infinity;
+
+        const chunks = [];
+        let current = [units[0]];
+        let length = units[0].length;
+        for (let i = 1; i < units.length; i++) {
+            if (distances[i - 1] >= threshold || length + units[i].length + 1 > chunkSize) {
+                chunks.push(current.join(" "));
+                current = [];
+                length = 0;
+            }
+            current.push(units[i]);
+            length += units[i].length + 1;
+        }
+        chunks.push(current.join(" "));
+
+        return chunks.map(text => new Document({ pageContent: text, metadata: { ...document.metadata } }));
+    }
+
+    return {
+        async split(documents) {
+            const chunks = [];
+            for (const document of documents) {
+                chunks.push(...await splitDocument(document));
+            }
+            return chunks;
+        }
+    };
+}
+
+const CHUNKERS = {
+    recursive: createRecursiveChunker,
+    token: createTokenChunker,
+    structure: createStructureChunker,
+    semantic: createSemanticChunker
+};
+
+/**
+ * Creates the chunker for a chunking configuration
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @param {Object} [provider] - Provider from createProvider(), needed by the semantic strategy
+ * @returns {Object} Chunker with split(documents), resolving to chunk Documents
+ */
+export function createChunker(chunking, provider) {
+    return CHUNKERS[chunking.strategy](chunking, provider);
+}
@@ -0,0 +1,173 @@
+// citations.js - Numbered source citations for answers and a check that cited sources support them
+
+import { tokenize, splitSentences } from "./text.js";
+
+// Citation markers such as [1], [2][3] or [1, 2]
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+/**
+ * Describes where a chunk came from, e.g. "node.pdf, page 12" or
+ * "docs/streams.md, section Streams > Readable"
+ * @param {Object} metadata - Chunk metadata from the loaders
+ * @returns {string} Human-readable location
+ */
+export function describeSource(metadata = {}) {
+    const parts = [metadata.source || "unknown source"];
+    const page = metadata.page ?? metadata.loc?.pageNumber;
+
+    if (page !== undefined && page !== null) {
+        parts.push(`page ${page}`);
+    }
+    if (metadata.section) {
+        parts.push(`section ${metadata.section}`);
+    }
+
+    return parts.join(", ");
+}
+
+// Characters of a retrieving query shown with a source; HyDE queries are whole passages
+const QUERY_PREVIEW_LENGTH = 100;
+
+/**
+ * Describes the query that retrieved a result, with the transform that
+ * produced it, e.g. `"how do streams work"` or `stepback "What are streams?"`
+ * @param {Object} result - Search result with optional query and transform
+ * @returns {string} Description, empty if the result has no query
+ */
+export function describeRetrieval(result) {
+    if (!result.query) {
+        return '';
+    }
+    const query = result.query.length > QUERY_PREVIEW_LENGTH
+        ? `${result.query.substring(0, QUERY_PREVIEW_LENGTH)}...`
+        : result.query;
+    return result.transform && result.transform !== "original" ? `${result.transform} "${query}"` : `"${query}"`;
+}
+
+/**
+ * Formats retrieved chunks as numbered context entries for an answer prompt.
+ * The numbers are the ones the model is asked to cite.
+ * @param {Array<Object>} context - Search results with pageContent, metadata and optional query
+ * @param {Array<number>} [numbers] - Number of each entry, when a subset of the results is
+ *   formatted and must keep the numbers they have in the full list (defaults to 1, 2, 3...)
+ * @returns {string} Context block
+ */
+export function formatContext(context, numbers) {
+    return context.map((item, index) => {
+        const retrievedBy = item.query ? ` | Retrieved by: ${describeRetrieval(item)}` : '';
+        return `[${numbers ? numbers[index] : index + 1}] Source: ${describeSource(item.metadata)}${retrievedBy}\n${item.pageContent}`;
+    }).join('\n\n');
+}
+
+// Instruction appended to answer prompts so answers carry citations
+export const CITATION_INSTRUCTIONS = `Cite the context entries that support each sentence using their numbers in square brackets,
+for example [1] or [2][3]. Only cite entries that actually contain the information.`;
+
+/**
+ * Returns the citation numbers found in a piece of text
+ * @param {string} text - Answer or sentence
+ * @returns {Array<number>} Unique citation numbers in order of appearance
+ */
+export function extractCitations(text) {
+    const numbers = [];
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+        match[1].split(",").map(Number).forEach(number => {
+            if (!numbers.includes(number)) {
+                numbers.push(number);
+            }
+        });
+    }
+    return numbers;
+}
+
+/**
+ * Checks every sentence of an answer against the chunks it cites. A sentence
+ * is supported when enough of its terms appear in the cited chunks. Sentences
+ * with no citation, with citations to chunks that were not retrieved, or with
+ * too little overlap are flagged.
+ * @param {string} answer - Generated answer with [n] citations
+ * @param {Array<Object>} context - Search results the citations refer to
+ * @param {Object} [options] - Check options
+ * @param {number} [options.threshold] - Share of a sentence's terms that must appear in its cited chunks
+ * @returns {{sentences: Array<Object>, unsupported: Array<Object>, grounded: boolean}} Report
+ */
+export function verifyGrounding(answer, context, { threshold = 0.5 } = {}) {
+    const chunkTerms = context.map(item => new Set(tokenize(item.pageContent)));
+
+    const sentences = splitSentences(answer)
+        .map(text => {
+            const citations = extractCitations(text);
+            const terms = [...new Set(tokenize(text.replace(CITATION_PATTERN, "")))];
+            return { text, citations, terms };
+        })
+        // Headings, list lead-ins and refusals make no claims worth checking
+        .filter(sentence => sentence.terms.length >= 3 && !/enough information/i.test(sentence.text))
+        .map(({ text, citations, terms }) => {
+            const invalid = citations.filter(number => number < 1 || number > context.length);
+            const cited = citations.filter(number => !invalid.includes(number));
+            const covered = terms.filter(term => cited.some(number => chunkTerms[number - 1].has(term)));
+            const support = terms.length > 0 ? covered.length / terms.length : 0;
+
+            let reason = null;
+            if (citations.length === 0) {
+                reason = "no citation";
+            } else if (invalid.length > 0) {
+                reason = `cites missing source ${invalid.map(number => `[${number}]`).join("")}`;
+            } else if (support < threshold) {
+                reason = "not supported by the cited sources";
+            }
+
+            return { text, citations, support, supported: reason === null, reason };
+        });
+
+    const unsupported = sentences.filter(sentence => !sentence.supported);
+    return { sentences, unsupported, grounded: unsupported.length === 0 };
+}
+
+/**
+ * Shapes search results for JSON output, numbering them as they are cited in answers
+ * @param {Array<Object>} results - Results from similaritySearch() or parallelQuerySearch()
+ * @returns {Array<Object>} Results with citation number, id, location, score, content and metadata
+ */
+export function formatResults(results) {
+    return results.map((result, index) => ({
+        citation: index + 1,
+        id: result.id,
+        source: describeSource(result.metadata),
+        score: result.score,
+        scores: result.scores,
+        content: result.pageContent,
+        metadata: result.metadata,
+        ...(result.query ? { query: result.query } : {}),
+        ...(result.transform ? { transform: result.transform } : {})
+    }));
+}
+
+/**
+ * Prints the numbered sources behind an answer, marking the cited ones, and
+ * the result of the grounding check
+ * @param {string} answer - Generated answer
+ * @param {Array<Object>} context - Search results used for the answer
+ */
+export function printCitationReport(answer, context) {
+    const cited = new Set(extractCitations(answer));
+
+    console.log("\n=== SOURCES ===");
+    context.forEach((result, i) => {
+        const retrievedBy = result.query ? ` (Retrieved by: ${describeRetrieval(result)})` : '';
+        const retrievalScore = result.scores?.rerank !== undefined ? ` (retrieval ${(result.scores.retrieval * 100).toFixed(2)}%)` : '';
+        console.log(`\n[${i + 1}]${cited.has(i + 1) ? '' : ' (not cited)'} ${describeSource(result.metadata)} - Relevance: ${(result.score * 100).toFixed(2)}%${retrievalScore}${retrievedBy}`);
+        console.log(result.pageContent.substring(0, 150) + "...");
+    });
+
+    const report = verifyGrounding(answer, context);
+    console.log("\n=== GROUNDING CHECK ===");
+    if (report.sentences.length === 0) {
+        console.log("No factual sentences to check.");
+    } else if (report.grounded) {
+        console.log(`All ${report.sentences.length} sentences are supported by their cited sources.`);
+    } else {
+        console.log(`${report.unsupported.length} of ${report.sentences.length} sentences may not be supported:`);
+        report.unsupported.forEach(sentence => console.log(`  - "${sentence.text}" (${sentence.reason})`));
+    }
+}
@@ -0,0 +1,741 @@
+// cli.js - Subcommands of the unified command line: ingest, ask, chat, search, recommend, route, catalog, eval, cache and config
+
+import fs from "fs/promises";
+import path from "path";
+import { parseArgs } from "util";
+import { SETTINGS, DEFAULT_CONFIG_FILE, settingFlags, loadConfigFile, resolveSettings, applySettings } from "./config.js";
+import { createRagPipeline } from "./pipeline.js";
+import { createVectorStore } from "./vectorStores.js";
+import { findDocuments, loadDocuments, supportedExtensions } from "./loaders.js";
+import { splitDocuments, addDocumentsToVectorStore, indexPaths } from "./indexer.js";
+import { resolveChunking, describeChunking } from "./chunkers.js";
+import { searchDefaults } from "./retrieval.js";
+import { parseTransforms } from "./queryTransforms.js";
+import { parseFilterQuery, describeFilter } from "./filters.js";
+import { describeSource, formatResults, printCitationReport } from "./citations.js";
+import { loadAIModelData, recommendAIModel, recommendAIModelStructured, printRecommendation, printShortlist } from "./modelRecommender.js";
+import { summarizeShortlist, recommendFromShortlist } from "./requirements.js";
+import { createCatalogIndex, retrieveShortlist } from "./catalogIndex.js";
+import { createRouter, printRoutingDecision, TASK_TYPES } from "./router.js";
+import { LATENCY_CLASSES, CAPABILITIES, loadCatalog, readCatalogFile, validateCatalog, describeProblem, queryModels, printModelTable } from "./catalog.js";
+import { startChat, createProgressReporter } from "./repl.js";
+import { formatTraceSummary } from "./telemetry.js";
+import { createCache, printCacheReport, CACHE_KINDS } from "./cache.js";
+import {
+    loadGoldenSet,
+    evaluateRetrieval,
+    compareReports,
+    saveReport,
+    findBaseline,
+    chunkingLabel,
+    printReport,
+    printComparison
+} from "./evaluation.js";
+
+// Options every command accepts, besides the setting flags
+const GLOBAL_OPTIONS = {
+    config: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false }
+};
+
+/**
+ * Splits a comma-separated option into trimmed values
+ * @param {string} value - Option value
+ * @returns {Array<string>} Values
+ */
+function list(value) {
+    return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Writes a command's result to stdout as JSON
+ * @param {Object} value - Result
+ */
+function printJson(value) {
+    process.stdout.write(`${JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * Fails unless the pipeline's collection exists, so one-shot commands do not
+ * silently search nothing
+ * @param {Object} pipeline - Pipeline from createRagPipeline()
+ */
+async function requireCollection(pipeline) {
+    if (!await pipeline.vectorStore.collectionExists()) {
+        throw new Error(`Collection ${pipeline.vectorStore.collectionName} does not exist. Index documents first with: node cli.js ingest <paths>`);
+    }
+}
+
+/**
+ * Creates a pipeline from the resolved settings
+ * @param {Object} settings - Settings from resolveSettings()
+ * @returns {Object} Pipeline from createRagPipeline()
+ */
+function pipelineFromSettings(settings) {
+    return createRagPipeline({ k: settings.k.value, strategy: settings.strategy.value, batchSize: settings.batchSize.value });
+}
+
+/**
+ * Parses a --chunking entry such as "500:100", "structure:1000" or "token:256:32"
+ * @param {string} entry - Option entry
+ * @returns {Object} Chunking configuration from resolveChunking()
+ */
+function parseChunking(entry) {
+    const parts = entry.split(":");
+    const strategy = /^\d/.test(parts[0]) ? "recursive" : parts.shift();
+    const [chunkSize, chunkOverlap] = parts;
+    if (!chunkSize) {
+        throw new Error(`Invalid chunking "${entry}". Expected [strategy:]size[:overlap].`);
+    }
+    return resolveChunking({ strategy, chunkSize, chunkOverlap });
+}
+
+const COMMANDS = {
+    ingest: {
+        usage: "ingest [--tags a,b] <file|directory|glob> [...more]",
+        description: "Index files, directories and glob patterns",
+        options: { tags: { type: "string" } },
+
+        async run({ values, positionals, settings, json }) {
+            if (positionals.length === 0) {
+                throw new Error(`Name at least one file, directory or glob to ingest. Supported file types: ${supportedExtensions().join(", ")}`);
+            }
+
+            const files = [];
+            for (const target of positionals) {
+                files.push(...await findDocuments(target));
+            }
+            if (files.length === 0) {
+                throw new Error("No supported files found.");
+            }
+            console.log(`Found ${files.length} files:`);
+            files.forEach(file => console.log(`  ${file}`));
+
+            const pipeline = pipelineFromSettings(settings);
+            const docs = await loadDocuments(files);
+
+            // Tags let searches be filtered to this batch later, e.g. "tag:guides"
+            const tags = list(values.tags || "");
+            if (tags.length > 0) {
+                docs.forEach(doc => {
+                    doc.metadata.tags = tags;
+                });
+            }
+
+            const splitDocs = await splitDocuments(docs, { provider: pipeline.provider });
+
+            // Summarize what is about to be indexed by file type
+            const byType = {};
+            splitDocs.forEach(doc => {
+                byType[doc.metadata.fileType] = (byType[doc.metadata.fileType] || 0) + 1;
+            });
+            console.log(`\nLoaded ${docs.length} documents as ${splitDocs.length} chunks:`);
+            Object.entries(byType).forEach(([fileType, count]) => console.log(`  ${fileType}: ${count} chunks`));
+
+            const summary = await addDocumentsToVectorStore(splitDocs, {
+                provider: pipeline.provider,
+                vectorStore: pipeline.vectorStore,
+                batchSize: settings.batchSize.value
+            });
+            if (json) {
+                printJson({ files, documents: docs.length, chunks: splitDocs.length, byType, ...summary });
+            }
+        }
+    },
+
+    ask: {
+        usage: "ask [filters] <question>",
+        description: "Answer one question with cited sources and exit",
+
+        async run({ positionals, settings, json }) {
+            const { query, filter } = parseFilterQuery(positionals.join(" "));
+            if (!query) {
+                throw new Error("Give a question to answer, e.g. node cli.js ask \"How do streams work?\"");
+            }
+
+            const pipeline = pipelineFromSettings(settings);
+            await requireCollection(pipeline);
+
+            if (!json) {
+                if (filter) {
+                    console.log(`Filter: ${describeFilter(filter)}`);
+                }
+                console.log("\n=== ANSWER ===");
+            }
+            const { standaloneQuery, results, answer, grounding, requestId, trace } = await pipeline.ask(query, {
+                filter,
+                onToken: json ? undefined : token => process.stdout.write(token)
+            });
+
+            if (json) {
+                printJson({ question: query, standaloneQuery, filter, answer, sources: formatResults(results), grounding, cache: pipeline.cache.stats(), requestId, trace });
+                return;
+            }
+            if (answer === null) {
+                console.log("No relevant information found.");
+            } else {
+                process.stdout.write("\n");
+                console.log("==============");
+                printCitationReport(answer, results);
+            }
+            console.log(`\n${formatTraceSummary(trace)}`);
+        }
+    },
+
+    chat: {
+        usage: "chat",
+        description: "Ask questions interactively, with follow-ups and index commands",
+
+        async run({ settings, json }) {
+            if (json) {
+                throw new Error("chat is interactive and has no JSON output. Use ask or search instead.");
+            }
+            await startChat(pipelineFromSettings(settings));
+        }
+    },
+
+    search: {
+        usage: "search [filters] <query>",
+        description: "List the chunks retrieved for a query without generating an answer",
+
+        async run({ positionals, settings, json }) {
+            const { query, filter } = parseFilterQuery(positionals.join(" "));
+            if (!query) {
+                throw new Error("Give a query to search for.");
+            }
+
+            const pipeline = pipelineFromSettings(settings);
+            await requireCollection(pipeline);
+            const results = await pipeline.search(query, { filter });
+
+            if (json) {
+                printJson({ query, filter, results: formatResults(results) });
+                return;
+            }
+            if (filter) {
+                console.log(`Filter: ${describeFilter(filter)}`);
+            }
+            if (results.length === 0) {
+                console.log("No relevant information found.");
+            }
+            results.forEach((result, i) => {
+                console.log(`\n[${i + 1}] ${describeSource(result.metadata)} - Relevance: ${(result.score * 100).toFixed(2)}%`);
+                console.log(result.pageContent.substring(0, 300) + "...");
+            });
+        }
+    },
+
+    recommend: {
+        usage: "recommend <description of what you want to build> [--structured] [--rules-only]",
+        description: "Recommend an AI model for a task and exit",
+        help: `Options:
+  --structured              Ask for a validated JSON recommendation and show it as a table: the
+                            recommended model, ranked alternatives with scores, a cost estimate,
+                            the rationale and caveats. Invalid replies are sent back for correction.
+  --rules-only              Recommend from the rule-based shortlist without calling a model
+
+Requirements are read from the description first: output and input modality, budget
+(e.g. "$200/month"), volume (e.g. "5k requests per day", "2M tokens per month"), context
+length (e.g. "300-page contracts") and self-hosting (e.g. "on-prem"). Of the models that
+meet them, the ones most relevant to the description are retrieved from the catalog index
+(the catalog-candidates setting, default 10), and the best five, with an estimated monthly
+cost each, are sent to the recommendation model. If it is unavailable, the best of them is
+recommended by the rules alone.`,
+        options: {
+            structured: { type: "boolean", default: false },
+            "rules-only": { type: "boolean", default: false }
+        },
+
+        async run({ values, positionals, json }) {
+            const query = positionals.join(" ").trim();
+            if (!query) {
+                throw new Error("Describe what you want to build, e.g. node cli.js recommend \"summarize legal contracts\"");
+            }
+
+            const shortlist = await retrieveShortlist(query, createCatalogIndex());
+            const candidates = shortlist.shortlist.map(candidate => candidate.model);
+            if (!json) {
+                printShortlist(shortlist);
+                console.log();
+            }
+
+            if (values.structured || values["rules-only"]) {
+                const recommendation = values["rules-only"]
+                    ? recommendFromShortlist(shortlist)
+                    : await recommendAIModelStructured(query, candidates, { shortlist });
+                if (json) {
+                    printJson({ query, ...summarizeShortlist(shortlist), recommendation });
+                } else {
+                    printRecommendation(recommendation);
+                }
+                return;
+            }
+            if (json) {
+                printJson({ query, ...summarizeShortlist(shortlist), recommendation: await recommendAIModel(query, candidates, { shortlist }) });
+                return;
+            }
+            await recommendAIModel(query, candidates, { shortlist, onToken: token => process.stdout.write(token) });
+            process.stdout.write("\n");
+        }
+    },
+
+    route: {
+        usage: "route <prompt> [--task ...] [--max-cost <usd>] [--max-latency fast|medium|slow] [--require ...] [--dry-run]",
+        description: "Send a prompt to the catalog model that best fits its task and constraints",
+        help: `Options:
+  --task <type>             Task type instead of the classified one: ${TASK_TYPES.join(", ")}
+  --max-cost <usd>          Highest estimated cost of the request in USD
+  --max-latency <class>     Slowest model allowed: ${LATENCY_CLASSES.join(", ")}
+  --require <list>          Capabilities every candidate must have, e.g. code,long-context
+                            (${CAPABILITIES.join(", ")})
+  --output-tokens <n>       Expected reply length used for cost estimates (default: 500)
+  --dry-run                 Show the ranked candidates without calling a model
+
+Providers whose API key is not set (GOOGLE_API_KEY, OPENAI_API_KEY, ANTHROPIC_API_KEY,
+DEEPSEEK_API_KEY) are served by a local stub. Decisions are logged to <data dir>/router/decisions.jsonl.`,
+        options: {
+            task: { type: "string" },
+            "max-cost": { type: "string" },
+            "max-latency": { type: "string" },
+            require: { type: "string" },
+            "output-tokens": { type: "string" },
+            "dry-run": { type: "boolean", default: false }
+        },
+
+        async run({ values, positionals, json }) {
+            const prompt = positionals.join(" ").trim();
+            if (!prompt) {
+                throw new Error("Give a prompt to route, e.g. node cli.js route \"Refactor this function to use async/await\"");
+            }
+
+            const constraints = {};
+            for (const [flag, key] of [["max-cost", "maxCost"], ["output-tokens", "outputTokens"]]) {
+                if (values[flag] !== undefined) {
+                    constraints[key] = Number(values[flag]);
+                    if (!Number.isFinite(constraints[key]) || constraints[key] < 0) {
+                        throw new Error(`--${flag} must be a non-negative number.`);
+                    }
+                }
+            }
+            if (values["max-latency"]) {
+                constraints.maxLatency = values["max-latency"];
+            }
+            if (values.require) {
+                constraints.require = list(values.require);
+            }
+
+            const router = createRouter(await loadAIModelData());
+            if (values["dry-run"]) {
+                const plan = router.plan(prompt, constraints, values.task);
+                if (json) {
+                    printJson(plan);
+                } else {
+                    printRoutingDecision(plan);
+                }
+                return;
+            }
+
+            const decision = await router.route(prompt, { constraints, task: values.task });
+            if (json) {
+                printJson(decision);
+                return;
+            }
+            printRoutingDecision(decision);
+            if (decision.reply !== null) {
+                console.log(`\n=== ${decision.model}${decision.stub ? " (stub)" : ""} ===\n${decision.reply}`);
+            }
+            if (!decision.model) {
+                process.exitCode = 1;
+            }
+        }
+    },
+
+    catalog: {
+        usage: "catalog [list|validate|index|search <description>] [--vendor ...] [--output ...] [--capability ...] [--sort ...]",
+        description: "List and filter the models in the catalog, validate it, or search it by description",
+        help: `Actions:
+  list (default)            Show the models matching the filters as a table
+  validate                  Report every broken entry; exits with status 1 if there are any
+  index                     Embed the catalog into its collection (catalog-collection setting,
+                            default <collection>_models) if the catalog file changed
+  search <description>      Show the models most relevant to a description (catalog-candidates
+                            setting, default 10), indexing the catalog first if it changed
+
+Options for list:
+  --vendor <name>           Only the models of this provider (the company behind them)
+  --input <modality>        Only models that accept text, image, audio or video
+  --output <modality>       Only models that produce text, image, audio or video
+  --capability <list>       Only models with all of these capabilities
+  --max-latency <class>     Slowest model shown: ${LATENCY_CLASSES.join(", ")}
+  --max-input-price <usd>   Highest price per 1K input tokens; leaves out unpriced models
+  --min-context <tokens>    Smallest context window
+  --open-weights            Only models whose weights can be self-hosted
+  --sort <key>              name, provider, inputPrice, outputPrice or contextWindow
+  --desc                    Sort from highest to lowest
+  --all                     Include deprecated models
+
+The catalog is the catalog setting (MODEL_CATALOG), by default aiModels.json.`,
+        options: {
+            // Not --provider, which is the global flag choosing the LLM provider
+            vendor: { type: "string" },
+            input: { type: "string" },
+            output: { type: "string" },
+            capability: { type: "string" },
+            "max-latency": { type: "string" },
+            "max-input-price": { type: "string" },
+            "min-context": { type: "string" },
+            "open-weights": { type: "boolean", default: false },
+            sort: { type: "string" },
+            desc: { type: "boolean", default: false },
+            all: { type: "boolean", default: false }
+        },
+
+        async run({ values, positionals, json }) {
+            const [action = "list", ...rest] = positionals;
+            if (!["list", "validate", "index", "search"].includes(action) || (action === "search") !== (rest.length > 0)) {
+                throw new Error(`Usage: node cli.js ${COMMANDS.catalog.usage}`);
+            }
+
+            if (action === "index") {
+                const catalogIndex = createCatalogIndex();
+                const { status, file, models, added, unchanged, removed } = await catalogIndex.refresh();
+                if (json) {
+                    printJson({ status, file, collection: catalogIndex.vectorStore.collectionName, models: models.length, added, unchanged, removed });
+                    return;
+                }
+                console.log(status === "ready"
+                    ? `Catalog index ${catalogIndex.vectorStore.collectionName} is up to date with ${file} (${models.length} models).`
+                    : `Catalog index ${catalogIndex.vectorStore.collectionName} ${status} from ${file}: ${added} added, ${unchanged} unchanged, ${removed} removed.`);
+                return;
+            }
+
+            if (action === "search") {
+                const description = rest.join(" ");
+                const hits = await createCatalogIndex().search(description);
+                if (json) {
+                    printJson({ query: description, models: hits.map(({ model, score }) => ({ score, ...model })) });
+                    return;
+                }
+                hits.forEach(({ model, score }, i) => {
+                    console.log(`\n[${i + 1}] ${model.name} (${model.provider}) - Relevance: ${(score * 100).toFixed(2)}%`);
+                    console.log(`    Best for: ${model.bestFor}`);
+                });
+                return;
+            }
+
+            if (action === "validate") {
+                const { file, catalog } = await readCatalogFile();
+                const problems = validateCatalog(catalog);
+                if (problems.length > 0) {
+                    process.exitCode = 1;
+                }
+                if (json) {
+                    printJson({ file, models: catalog?.models?.length ?? 0, problems });
+                    return;
+                }
+                console.log(`Model catalog ${file}: ${catalog?.models?.length ?? 0} models, ${problems.length || "no"} problem(s).`);
+                problems.forEach(problem => console.log(`  ${describeProblem(problem)}`));
+                return;
+            }
+
+            const numberOption = flag => {
+                if (values[flag] === undefined) {
+                    return undefined;
+                }
+                const number = Number(values[flag]);
+                if (!Number.isFinite(number) || number < 0) {
+                    throw new Error(`--${flag} must be a non-negative number.`);
+                }
+                return number;
+            };
+            const { file, version, models } = await loadCatalog();
+            const matches = queryModels(models, {
+                provider: values.vendor,
+                input: values.input,
+                output: values.output,
+                capabilities: values.capability ? list(values.capability) : [],
+                maxLatency: values["max-latency"],
+                maxInputPrice: numberOption("max-input-price"),
+                minContextWindow: numberOption("min-context"),
+                openWeights: values["open-weights"],
+                includeDeprecated: values.all,
+                sortBy: values.sort,
+                descending: values.desc
+            });
+
+            if (json) {
+                printJson({ file, version, models: matches });
+                return;
+            }
+            printModelTable(matches);
+            console.log(`\n${matches.length} of ${models.length} models${values.all ? "" : " (deprecated models hidden; --all shows them)"}.`);
+        }
+    },
+
+    eval: {
+        usage: "eval <golden.jsonl> [--strategies single,multi] [--modes ...] [--rerankers ...] [--chunking ...]",
+        description: "Measure retrieval quality on a golden question set",
+        help: `Options:
+  --k <n>                   Results retrieved per question (default: 5)
+  --strategies <list>       Retrieval strategies: single, multi (default: single,multi)
+  --transform-sets <list>   Query transforms the multi strategy is run with, one run per set; join
+                            transforms with +, e.g. variations,hyde,hyde+stepback (default: the
+                            transforms setting)
+  --modes <list>            Search modes: vector, keyword, hybrid (default: the mode setting)
+  --rerankers <list>        Rerankers: none, lexical, llm (default: the reranker setting)
+  --chunking <list>         Chunkings to index and compare, as [strategy:]size[:overlap], e.g.
+                            1000:200,structure:1000,token:256:32 (strategy defaults to recursive).
+                            Each is indexed from the docs setting into its own collection.
+  --faithfulness            Also generate answers and check that their citations support them
+  --out <file>              Report file (default: <data dir>/eval/<golden set>-<time>.json)
+  --baseline <file>         Report to compare with (default: the latest earlier run of each configuration)
+  --tolerance <n>           Metric drop treated as noise (default: 0.01)
+  --fail-on-regression      Exit with status 1 if any metric regressed
+
+Example: node cli.js eval eval/node.golden.jsonl --modes vector,hybrid --chunking 1000:200,structure:1000`,
+        options: {
+            strategies: { type: "string", default: "single,multi" },
+            "transform-sets": { type: "string" },
+            modes: { type: "string" },
+            rerankers: { type: "string" },
+            chunking: { type: "string" },
+            faithfulness: { type: "boolean", default: false },
+            out: { type: "string" },
+            baseline: { type: "string" },
+            tolerance: { type: "string", default: "0.01" },
+            "fail-on-regression": { type: "boolean", default: false }
+        },
+
+        async run({ values, positionals, settings, json }) {
+            if (positionals.length !== 1) {
+                throw new Error("Name one golden set, e.g. node cli.js eval eval/node.golden.jsonl");
+            }
+
+            const goldenPath = positionals[0];
+            const { questions, hash } = await loadGoldenSet(goldenPath);
+            const defaults = searchDefaults();
+            // Evaluations have always retrieved 5 per question, so earlier reports stay comparable
+            const k = settings.k.source === "default" ? 5 : settings.k.value;
+            const modes = values.modes ? list(values.modes) : [defaults.mode];
+            const rerankers = values.rerankers ? list(values.rerankers) : [defaults.reranker];
+            const chunkings = values.chunking ? list(values.chunking).map(parseChunking) : [null];
+            const transformSets = values["transform-sets"]
+                ? list(values["transform-sets"]).map(parseTransforms)
+                : [defaults.transforms];
+
+            const pipeline = pipelineFromSettings(settings);
+            const { provider } = pipeline;
+            const collectionName = pipeline.vectorStore.collectionName;
+            console.log(`Evaluating ${questions.length} questions from ${goldenPath} (k = ${k})`);
+
+            const runs = [];
+            for (const chunking of chunkings) {
+                // Each chunk setting gets its own collection so none overwrites the main index
+                const vectorStore = chunking
+                    ? createVectorStore({ collectionName: `${collectionName}_eval_${chunkingLabel(chunking).replace(/:/g, "_")}` })
+                    : pipeline.vectorStore;
+
+                if (chunking) {
+                    console.log(`\nIndexing ${pipeline.docsPaths.join(", ")} with ${describeChunking(chunking)}...`);
+                    await indexPaths(pipeline.docsPaths, {
+                        provider,
+                        vectorStore,
+                        ...chunking,
+                        batchSize: settings.batchSize.value,
+                        onProgress: createProgressReporter("Indexing")
+                    });
+                } else if (!await vectorStore.collectionExists()) {
+                    throw new Error(`Collection ${collectionName} does not exist. Index documents first, or pass --chunking.`);
+                }
+
+                for (const strategy of list(values.strategies)) {
+                    // Only the multi strategy transforms queries, so the others run once
+                    for (const transforms of strategy === "multi" ? transformSets : [null]) {
+                        for (const mode of modes) {
+                            for (const reranker of rerankers) {
+                                const label = transforms ? `${strategy} (${transforms.join("+")})` : strategy;
+                                console.log(`\nRunning ${label} search (mode: ${mode}, reranker: ${reranker})...`);
+                                runs.push(await evaluateRetrieval(questions, {
+                                    provider,
+                                    vectorStore,
+                                    k,
+                                    strategy,
+                                    transforms,
+                                    mode,
+                                    reranker,
+                                    chunking,
+                                    faithfulness: values.faithfulness,
+                                    onProgress: createProgressReporter("Questions")
+                                }));
+                            }
+                        }
+                    }
+                }
+            }
+
+            const report = {
+                createdAt: new Date().toISOString(),
+                goldenSet: { path: goldenPath, hash, questions: questions.length },
+                embeddingModel: provider.embeddingModel,
+                generationModel: provider.generationModel,
+                k,
+                runs
+            };
+
+            const reportDir = path.resolve(process.env.RAG_DATA_DIR || "./.rag", "eval");
+            const baseline = values.baseline
+                ? { ...JSON.parse(await fs.readFile(values.baseline, "utf8")), file: values.baseline }
+                : await findBaseline(reportDir, hash);
+
+            const outPath = values.out
+                || path.join(reportDir, `${path.basename(goldenPath, ".jsonl")}-${report.createdAt.replace(/[:.]/g, "-")}.json`);
+            await saveReport(report, outPath);
+
+            const rows = baseline ? compareReports(report, baseline, { tolerance: Number(values.tolerance) }) : [];
+            if (json) {
+                printJson({ report: outPath, runs: runs.map(({ key, metrics }) => ({ key, metrics })), baseline: baseline?.file || null, comparison: rows });
+            } else {
+                printReport(report);
+                console.log(`\nReport written to ${outPath}`);
+                if (baseline) {
+                    printComparison(rows, baseline.file);
+                }
+            }
+
+            if (values["fail-on-regression"] && rows.some(row => row.regression)) {
+                process.exitCode = 1;
+            }
+        }
+    },
+
+    cache: {
+        usage: "cache [clear [embeddings|variations|answers]]",
+        description: "Show the size of the cache, or clear it",
+
+        async run({ positionals, json }) {
+            const [action, kind, ...rest] = positionals;
+            const cache = createCache();
+
+            if (action === "clear" && rest.length === 0) {
+                await cache.clear(kind);
+                if (json) {
+                    printJson({ cleared: kind || Object.keys(CACHE_KINDS) });
+                } else {
+                    console.log(kind ? `Cleared cached ${kind}.` : "Cache cleared.");
+                }
+                return;
+            }
+            if (action !== undefined) {
+                throw new Error(`Unknown cache action "${positionals.join(" ")}". Usage: node cli.js ${COMMANDS.cache.usage}`);
+            }
+
+            const info = await cache.info();
+            if (json) {
+                printJson({ enabled: cache.enabled, answers: cache.answers, ...info });
+                return;
+            }
+            console.log(`Cache: ${cache.enabled ? "on" : "off"}, answers ${cache.answers ? "cached" : "not cached"}`);
+            printCacheReport(null, info);
+        }
+    },
+
+    config: {
+        usage: "config",
+        description: "Show every setting, its value and where it came from",
+
+        async run({ settings, configFile, json }) {
+            if (json) {
+                printJson({ configFile, settings });
+                return;
+            }
+            console.log(`Config file: ${configFile || `none (${DEFAULT_CONFIG_FILE} not found)`}\n`);
+            Object.entries(settings).forEach(([key, { value, source }]) => {
+                const env = SETTINGS[key].env ? ` / ${SETTINGS[key].env}` : "";
+                console.log(`  ${key.padEnd(26)} ${String(value ?? "(built-in)").padEnd(28)} ${source.padEnd(8)} --${SETTINGS[key].flag}${env}`);
+            });
+        }
+    }
+};
+
+/**
+ * Returns the general usage text
+ * @returns {string} Usage
+ */
+function usage() {
+    const commands = Object.values(COMMANDS).map(command => `  ${command.usage.split(" ")[0].padEnd(11)} ${command.description}`).join("\n");
+    const settings = Object.entries(SETTINGS).map(([key, setting]) =>
+        `  --${setting.flag.padEnd(24)} ${setting.description}${setting.env ? ` (${setting.env})` : ""}; "${key}" in the config file`
+    ).join("\n");
+
+    return `Usage: node cli.js <command> [options]
+
+Commands:
+${commands}
+
+Options:
+  --json                     Print the result as JSON on stdout; progress messages go to stderr
+  --config <file>            Config file (default: RAG_CONFIG, then ./${DEFAULT_CONFIG_FILE})
+  -h, --help                 Show help for a command
+
+Settings (a flag wins over its environment variable, which wins over the config file):
+${settings}
+
+Filters such as "@source:node.pdf pages:100-200" may start the question of ask and search.
+Run "node cli.js <command> --help" for the options of one command.`;
+}
+
+/**
+ * Runs the command line. Errors are printed, as JSON with --json, and set a
+ * non-zero exit code instead of throwing.
+ * @param {Array<string>} argv - Arguments after the script name, starting with the command
+ * @returns {Promise<void>}
+ */
+export async function runCli(argv) {
+    const [name, ...args] = argv;
+    const command = Object.hasOwn(COMMANDS, name || "") ? COMMANDS[name] : null;
+
+    if (!command) {
+        console.log(usage());
+        if (name && name !== "help" && name !== "--help" && name !== "-h") {
+            console.error(`\nUnknown command "${name}".`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    let json = args.includes("--json");
+    const log = console.log;
+    try {
+        const { values, positionals } = parseArgs({
+            args,
+            allowPositionals: true,
+            options: { ...GLOBAL_OPTIONS, ...settingFlags(), ...command.options }
+        });
+        json = values.json;
+
+        if (values.help) {
+            console.log(`Usage: node cli.js ${command.usage}\n\n${command.description}.${command.help ? `\n\n${command.help}` : ""}`);
+            return;
+        }
+
+        const config = await loadConfigFile(values.config);
+        const settings = resolveSettings(values, config);
+        applySettings(settings);
+
+        // Keep stdout for the JSON result; library progress messages still reach stderr
+        if (json) {
+            console.log = (...messages) => console.error(...messages);
+        }
+        await command.run({ values, positionals, settings, configFile: config.file, json });
+    } catch (error) {
+        if (json) {
+            printJson({ error: { message: error.message, ...(error.code ? { code: error.code } : {}), ...(error.details ? { details: error.details } : {}) } });
+        } else {
+            console.error(`Error running ${name}:`, error);
+        }
+        process.exitCode = 1;
+    } finally {
+        console.log = log;
+    }
+}
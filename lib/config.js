@@ -0,0 +1,165 @@
+// config.js - Settings for the CLI from flags, environment variables and rag.config.json, in that order of precedence
+
+import fs from "fs/promises";
+import path from "path";
+
+// Project config file read from the working directory unless --config or RAG_CONFIG names another
+export const DEFAULT_CONFIG_FILE = "rag.config.json";
+
+// Every setting with its config file key, command-line flag and environment variable.
+// Settings with an environment variable are applied to process.env, which is where the
+// providers, stores and retrieval read them; the others are passed to the pipeline.
+// API keys are deliberately absent: they belong in the environment, not in a committed file.
+export const SETTINGS = {
+    provider: { flag: "provider", env: "LLM_PROVIDER", type: "string", description: "Embedding and generation provider" },
+    embeddingModel: { flag: "embedding-model", env: "EMBEDDING_MODEL", type: "string", description: "Gemini embedding model" },
+    embeddingDim: { flag: "embedding-dim", env: "EMBEDDING_DIM", type: "number", description: "Vector size of the Gemini embedding model" },
+    generationModel: { flag: "generation-model", env: "GENERATION_MODEL", type: "string", description: "Gemini answer model" },
+    routerModel: { flag: "router-model", env: "ROUTER_MODEL", type: "string", description: "Gemini model for recommendations" },
+    catalog: { flag: "catalog", env: "MODEL_CATALOG", type: "string", description: "Model catalog file" },
+    catalogCollection: { flag: "catalog-collection", env: "CATALOG_COLLECTION", type: "string", description: "Collection the model catalog is embedded into" },
+    catalogCandidates: { flag: "catalog-candidates", env: "CATALOG_CANDIDATES", type: "number", description: "Models retrieved from the catalog index per recommendation" },
+    localEmbeddingDim: { flag: "local-embedding-dim", env: "LOCAL_EMBEDDING_DIM", type: "number", description: "Vector size of the local provider" },
+    vectorStore: { flag: "store", env: "VECTOR_STORE", type: "string", description: "Vector store backend" },
+    qdrantUrl: { flag: "qdrant-url", env: "QDRANT_URL", type: "string", description: "Qdrant server URL" },
+    collection: { flag: "collection", env: "COLLECTION_NAME", type: "string", description: "Collection name" },
+    dataDir: { flag: "data-dir", env: "RAG_DATA_DIR", type: "string", description: "Directory for local data" },
+    docsPath: { flag: "docs", env: "DOCS_PATH", type: "list", description: "Files, directories or globs indexed by chat and eval" },
+    chunkStrategy: { flag: "chunk-strategy", env: "CHUNK_STRATEGY", type: "string", description: "Chunking strategy" },
+    chunkSize: { flag: "chunk-size", env: "CHUNK_SIZE", type: "number", description: "Maximum chunk size" },
+    chunkOverlap: { flag: "chunk-overlap", env: "CHUNK_OVERLAP", type: "number", description: "Overlap between chunks" },
+    chunkBreakpointPercentile: { flag: "breakpoint-percentile", env: "CHUNK_BREAKPOINT_PERCENTILE", type: "number", description: "Semantic chunking split threshold" },
+    batchSize: { flag: "batch-size", type: "number", default: 100, description: "Chunks embedded and stored per batch when indexing" },
+    embedConcurrency: { flag: "embed-concurrency", env: "EMBED_CONCURRENCY", type: "number", description: "Embedding requests in flight at once" },
+    embedMaxRetries: { flag: "embed-max-retries", env: "EMBED_MAX_RETRIES", type: "number", description: "Retries of a failed embedding request" },
+    embedRequestsPerMinute: { flag: "embed-rpm", env: "EMBED_REQUESTS_PER_MINUTE", type: "number", description: "Embedding request rate limit" },
+    k: { flag: "k", type: "number", default: 4, description: "Results per search" },
+    strategy: { flag: "strategy", type: "string", default: "single", description: "Retrieval strategy" },
+    transforms: { flag: "transforms", env: "QUERY_TRANSFORMS", type: "list", description: "Query transforms of the multi strategy" },
+    mode: { flag: "mode", env: "SEARCH_MODE", type: "string", description: "Search mode" },
+    vectorWeight: { flag: "vector-weight", env: "HYBRID_VECTOR_WEIGHT", type: "number", description: "Vector share of hybrid scores" },
+    reranker: { flag: "reranker", env: "RERANKER", type: "string", description: "Reranker" },
+    rerankCandidates: { flag: "rerank-candidates", env: "RERANK_CANDIDATES", type: "number", description: "Chunks retrieved for the reranker" },
+    cache: { flag: "cache", env: "CACHE_ENABLED", type: "string", description: "Cache query embeddings and variations (true or false)" },
+    cacheAnswers: { flag: "cache-answers", env: "CACHE_ANSWERS", type: "string", description: "Also cache answers to first questions (true or false)" },
+    logFormat: { flag: "log-format", env: "LOG_FORMAT", type: "string", description: "Log format (text or json)" },
+    logLevel: { flag: "log-level", env: "LOG_LEVEL", type: "string", description: "Least severe log level written" },
+    traceExporters: { flag: "trace-exporters", env: "TRACE_EXPORTERS", type: "list", description: "Where finished traces are exported (file, otlp or none)" },
+    traceFile: { flag: "trace-file", env: "TRACE_FILE", type: "string", description: "Trace file of the file exporter" }
+};
+
+/**
+ * Returns parseArgs() options for every setting's flag
+ * @returns {Object} Option definitions keyed by flag
+ */
+export function settingFlags() {
+    return Object.fromEntries(Object.values(SETTINGS).map(setting => [setting.flag, { type: "string" }]));
+}
+
+/**
+ * Converts a value from a flag, environment variable or config file to the setting's type
+ * @param {string} key - Setting name
+ * @param {*} value - Raw value
+ * @param {string} origin - Where the value came from, for the error message
+ * @returns {string|number} Converted value
+ */
+function convertValue(key, value, origin) {
+    const { type } = SETTINGS[key];
+    if (type === "number") {
+        const number = Number(value);
+        if (value === "" || typeof value === "boolean" || !Number.isFinite(number)) {
+            throw new Error(`Setting ${key} from ${origin} must be a number, not ${JSON.stringify(value)}.`);
+        }
+        return number;
+    }
+    if (type === "list") {
+        const items = Array.isArray(value) ? value : String(value).split(",");
+        if (items.some(item => typeof item !== "string")) {
+            throw new Error(`Setting ${key} from ${origin} must be a string or a list of strings.`);
+        }
+        return items.map(item => item.trim()).filter(Boolean).join(",");
+    }
+    if (typeof value !== "string" || !value.trim()) {
+        throw new Error(`Setting ${key} from ${origin} must be a non-empty string.`);
+    }
+    return value.trim();
+}
+
+/**
+ * Loads the project config file. The default file may be absent; a file named
+ * explicitly must exist. Unknown keys are rejected so typos do not go unnoticed.
+ * @param {string} [filePath] - Config file (defaults to RAG_CONFIG, then rag.config.json)
+ * @returns {Promise<{file: string|null, values: Object}>} The file read, if any, and its settings
+ */
+export async function loadConfigFile(filePath) {
+    const explicit = filePath || process.env.RAG_CONFIG;
+    const file = path.resolve(explicit || DEFAULT_CONFIG_FILE);
+
+    let text;
+    try {
+        text = await fs.readFile(file, "utf8");
+    } catch (error) {
+        if (error.code === "ENOENT" && !explicit) {
+            return { file: null, values: {} };
+        }
+        throw new Error(`Cannot read config file ${file}: ${error.message}`);
+    }
+
+    let values;
+    try {
+        values = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Config file ${file} is not valid JSON: ${error.message}`);
+    }
+    if (typeof values !== "object" || values === null || Array.isArray(values)) {
+        throw new Error(`Config file ${file} must contain a JSON object.`);
+    }
+
+    const unknown = Object.keys(values).filter(key => !Object.hasOwn(SETTINGS, key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown setting(s) in ${file}: ${unknown.join(", ")}. Expected: ${Object.keys(SETTINGS).join(", ")}`);
+    }
+    return { file, values };
+}
+
+/**
+ * Resolves every setting: a flag wins over an environment variable, which
+ * wins over the config file, which wins over the built-in default
+ * @param {Object} flags - Parsed flags keyed by flag name
+ * @param {Object} config - Result of loadConfigFile()
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object} Settings keyed by name, each { value, source } where source is
+ *   "flag", "env", "config" or "default". Defaults of settings with an environment
+ *   variable are left undefined for the modules that read the variable to fill in.
+ */
+export function resolveSettings(flags, config, env = process.env) {
+    const resolved = {};
+
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        if (flags[setting.flag] !== undefined) {
+            resolved[key] = { value: convertValue(key, flags[setting.flag], `--${setting.flag}`), source: "flag" };
+        } else if (setting.env && env[setting.env] !== undefined && env[setting.env] !== "") {
+            resolved[key] = { value: convertValue(key, env[setting.env], setting.env), source: "env" };
+        } else if (config.values[key] !== undefined) {
+            resolved[key] = { value: convertValue(key, config.values[key], config.file), source: "config" };
+        } else {
+            resolved[key] = { value: setting.default, source: "default" };
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Writes resolved settings that have an environment variable to process.env,
+ * so every module sees the same values whether they came from a flag, the
+ * environment or the config file
+ * @param {Object} resolved - Settings from resolveSettings()
+ */
+export function applySettings(resolved) {
+    for (const [key, { value }] of Object.entries(resolved)) {
+        const { env } = SETTINGS[key];
+        if (env && value !== undefined) {
+            process.env[env] = String(value);
+        }
+    }
+}
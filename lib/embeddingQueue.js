@@ -0,0 +1,178 @@
+// embeddingQueue.js - Embeds many texts through a provider with batching, limited concurrency, rate limiting and retries
+
+import { logger } from "./telemetry.js";
+
+// Network error codes worth retrying; anything else without an HTTP status is a bug, not a blip
+const RETRYABLE_CODES = new Set([
+    "ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN",
+    "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_HEADERS_TIMEOUT", "UND_ERR_BODY_TIMEOUT"
+]);
+
+/**
+ * Decides whether a failed embedding request may succeed if sent again:
+ * rate limits (429), timeouts (408), server errors (5xx) and dropped connections
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean} True if the request should be retried
+ */
+export function isRetryableError(error) {
+    if (error.name === "AbortError") {
+        return false;
+    }
+    const status = error.status ?? error.response?.status;
+    if (status !== undefined) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+    const code = error.code || error.cause?.code;
+    return RETRYABLE_CODES.has(code) || /fetch failed|socket hang up|network/i.test(error.message);
+}
+
+/**
+ * Returns the delay the server asked for, from a Retry-After header or the
+ * RetryInfo detail that Gemini attaches to 429 responses
+ * @param {Error} error - Error thrown by the provider
+ * @returns {number} Delay in milliseconds, or 0 if none was given
+ */
+function requestedDelay(error) {
+    const retryInfo = (error.errorDetails || []).find(detail => detail?.retryDelay);
+    if (retryInfo) {
+        const seconds = parseFloat(retryInfo.retryDelay);
+        return Number.isFinite(seconds) ? seconds * 1000 : 0;
+    }
+    const header = error.response?.headers?.get?.("retry-after");
+    const seconds = Number(header);
+    return header && Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+/**
+ * Returns the wait before a retry: exponential in the attempt number, capped,
+ * with equal jitter so clients that failed together do not retry together
+ * @param {number} attempt - Retries made so far (0 for the first retry)
+ * @param {number} baseDelay - Delay of the first retry in milliseconds
+ * @param {number} maxDelay - Longest delay in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export function backoffDelay(attempt, baseDelay, maxDelay) {
+    const delay = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a queue that embeds texts through a provider. Texts are grouped into
+ * requests of the provider's batch size (one text per request for providers
+ * without embedBatch()), at most `concurrency` requests run at once, request
+ * starts are spaced to stay under `requestsPerMinute`, and failed requests are
+ * retried with exponential backoff and jitter when the failure is transient.
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [options] - Queue options
+ * @param {number} [options.concurrency] - Requests in flight at once (defaults to EMBED_CONCURRENCY or 4)
+ * @param {number} [options.maxRetries] - Retries per request (defaults to EMBED_MAX_RETRIES or 5)
+ * @param {number} [options.requestsPerMinute] - Request rate limit, 0 for none (defaults to EMBED_REQUESTS_PER_MINUTE or 0)
+ * @param {number} [options.baseDelay] - Delay of the first retry in milliseconds (default 1000)
+ * @param {number} [options.maxDelay] - Longest retry delay in milliseconds (default 60000)
+ * @param {Function} [options.onRetry] - Called with { error, attempt, delay } before each retry instead of logging
+ * @returns {Object} Queue with concurrency, stats, embed(text) and embedBatch(texts)
+ */
+export function createEmbeddingQueue(provider, options = {}) {
+    const concurrency = Math.max(1, Number(options.concurrency || process.env.EMBED_CONCURRENCY || 4));
+    const maxRetries = Number(options.maxRetries ?? process.env.EMBED_MAX_RETRIES ?? 5);
+    const requestsPerMinute = Number(options.requestsPerMinute ?? process.env.EMBED_REQUESTS_PER_MINUTE ?? 0);
+    const baseDelay = options.baseDelay ?? 1000;
+    const maxDelay = options.maxDelay ?? 60000;
+    const requestSize = provider.embedBatch ? provider.maxBatchSize || 100 : 1;
+    const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+
+    const stats = { requests: 0, retries: 0, texts: 0 };
+    const waiting = [];
+    let active = 0;
+    let nextStart = 0;
+
+    async function acquire() {
+        if (active < concurrency) {
+            active++;
+            return;
+        }
+        // The releasing request hands its slot over, so `active` stays the same
+        await new Promise(resolve => waiting.push(resolve));
+    }
+
+    function release() {
+        const next = waiting.shift();
+        if (next) {
+            next();
+        } else {
+            active--;
+        }
+    }
+
+    // Reserves the next start time allowed by the rate limit and waits for it
+    async function throttle() {
+        if (interval === 0) {
+            return;
+        }
+        const now = Date.now();
+        const start = Math.max(now, nextStart);
+        nextStart = start + interval;
+        if (start > now) {
+            await sleep(start - now);
+        }
+    }
+
+    async function send(texts) {
+        await acquire();
+        try {
+            for (let attempt = 0; ; attempt++) {
+                await throttle();
+                stats.requests++;
+                try {
+                    const vectors = provider.embedBatch
+                        ? await provider.embedBatch(texts)
+                        : [await provider.embed(texts[0])];
+                    stats.texts += texts.length;
+                    return vectors;
+                } catch (error) {
+                    if (attempt >= maxRetries || !isRetryableError(error)) {
+                        throw error;
+                    }
+                    const delay = Math.max(backoffDelay(attempt, baseDelay, maxDelay), requestedDelay(error));
+                    stats.retries++;
+                    if (options.onRetry) {
+                        options.onRetry({ error, attempt: attempt + 1, delay });
+                    } else {
+                        logger.warn(`Embedding request failed (${error.status || error.code || error.message}). `
+                            + `Retrying in ${(delay / 1000).toFixed(1)}s (retry ${attempt + 1}/${maxRetries})...`, { model: provider.embeddingModel });
+                    }
+                    await sleep(delay);
+                }
+            }
+        } finally {
+            release();
+        }
+    }
+
+    return {
+        concurrency,
+        stats,
+
+        async embed(text) {
+            const [vector] = await send([text]);
+            return vector;
+        },
+
+        /**
+         * Embeds texts, keeping their order
+         * @param {Array<string>} texts - Texts to embed
+         * @returns {Promise<Array<Array<number>>>} One vector per text
+         */
+        async embedBatch(texts) {
+            const requests = [];
+            for (let i = 0; i < texts.length; i += requestSize) {
+                requests.push(send(texts.slice(i, i + requestSize)));
+            }
+            return (await Promise.all(requests)).flat();
+        }
+    };
+}
@@ -0,0 +1,384 @@
+// evaluation.js - Retrieval metrics over golden question sets, with reports that can be compared between runs
+
+import fs from "fs/promises";
+import path from "path";
+import { RETRIEVAL_STRATEGIES, searchDefaults } from "./retrieval.js";
+import { generateAnswer, generateDecomposedAnswer } from "./answer.js";
+import { parseTransforms } from "./queryTransforms.js";
+import { verifyGrounding } from "./citations.js";
+import { hashContent } from "./manifest.js";
+
+// Metrics in reports, in display order
+const METRICS = ["recall", "mrr", "ndcg", "faithfulness"];
+
+/**
+ * Loads a golden set: a JSONL file with one question per line. Each line has
+ * `question`, an optional `id`, and at least one of `pages` (with an optional
+ * `source`), `chunks` (chunk IDs) or `contains` (text a relevant chunk includes).
+ * Pages and text survive re-chunking, so they suit comparing chunk settings.
+ * @param {string} filePath - JSONL file
+ * @returns {Promise<{questions: Array<Object>, hash: string}>} Questions and a hash of the file
+ */
+export async function loadGoldenSet(filePath) {
+    const text = await fs.readFile(filePath, "utf8");
+    const questions = [];
+
+    text.split("\n").forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`${filePath}:${index + 1}: invalid JSON (${error.message})`);
+        }
+        if (typeof entry.question !== "string" || !entry.question.trim()) {
+            throw new Error(`${filePath}:${index + 1}: "question" must be a non-empty string`);
+        }
+
+        const problem = expectationProblem(entry);
+        if (problem) {
+            throw new Error(`${filePath}:${index + 1}: ${problem}`);
+        }
+        const items = relevantItems(entry);
+        if (items.length === 0) {
+            throw new Error(`${filePath}:${index + 1}: add "pages", "chunks" or "contains" so relevant chunks can be recognised`);
+        }
+        questions.push({ id: entry.id || `q${questions.length + 1}`, question: entry.question, items });
+    });
+
+    if (questions.length === 0) {
+        throw new Error(`${filePath} has no questions.`);
+    }
+    return { questions, hash: hashContent(text) };
+}
+
+/**
+ * Checks the types of a golden set line's expectations, so a scalar where a
+ * list belongs is reported with its line instead of failing later
+ * @param {Object} entry - Parsed golden set line
+ * @returns {string|null} What is wrong, or null if the expectations are well-formed
+ */
+function expectationProblem(entry) {
+    const lists = {
+        pages: ["an array of page numbers", page => Number.isInteger(page)],
+        chunks: ["an array of chunk IDs", chunkId => typeof chunkId === "string" && chunkId.trim() !== ""],
+        contains: ["an array of non-empty strings", text => typeof text === "string" && text.trim() !== ""]
+    };
+    for (const [key, [expected, valid]] of Object.entries(lists)) {
+        if (entry[key] !== undefined && (!Array.isArray(entry[key]) || !entry[key].every(valid))) {
+            return `"${key}" must be ${expected}, not ${JSON.stringify(entry[key])}`;
+        }
+    }
+    if (entry.source !== undefined && (typeof entry.source !== "string" || !entry.source.trim())) {
+        return `"source" must be a non-empty string`;
+    }
+    return null;
+}
+
+/**
+ * Turns the expectations of a golden set line into a list of relevant items.
+ * Recall is the share of these items that the retrieved chunks cover.
+ * @param {Object} entry - Parsed golden set line
+ * @returns {Array<Object>} Items, each with page (and source), chunkId or text
+ */
+function relevantItems(entry) {
+    return [
+        ...(entry.pages || []).map(page => ({ source: entry.source, page })),
+        ...(entry.chunks || []).map(chunkId => ({ chunkId })),
+        ...(entry.contains || []).map(text => ({ text }))
+    ];
+}
+
+/**
+ * Whether a retrieved chunk satisfies a relevant item
+ * @param {Object} result - Search result
+ * @param {Object} item - Item from relevantItems()
+ * @returns {boolean} True on a match
+ */
+function matches(result, item) {
+    if (item.chunkId) {
+        return result.id === item.chunkId;
+    }
+    if (item.text) {
+        const normalize = text => text.replace(/\s+/g, " ").toLowerCase();
+        return normalize(result.pageContent).includes(normalize(item.text));
+    }
+
+    const page = result.metadata?.page ?? result.metadata?.loc?.pageNumber;
+    const sourceMatches = !item.source || result.metadata?.source === item.source
+        || result.metadata?.source?.endsWith(`/${item.source}`);
+    return sourceMatches && page === item.page;
+}
+
+/**
+ * Scores one ranked result list against the relevant items of its question.
+ * A result gains credit in nDCG only for items no earlier result matched, so
+ * several chunks of the same page do not count twice.
+ * @param {Array<Object>} results - Ranked search results, at most k
+ * @param {Array<Object>} items - Items from relevantItems()
+ * @param {number} [k] - Results that were asked for. The ideal ranking fills k slots even when
+ *   fewer results came back, so a short list is not rewarded (defaults to no cutoff).
+ * @returns {{recall: number, reciprocalRank: number, ndcg: number}} Metrics from 0 to 1
+ */
+export function scoreRetrieval(results, items, k = Infinity) {
+    const credited = new Set();
+    let dcg = 0;
+    let reciprocalRank = 0;
+
+    results.forEach((result, index) => {
+        const matched = items
+            .map((item, itemIndex) => (matches(result, item) ? itemIndex : -1))
+            .filter(itemIndex => itemIndex !== -1);
+
+        if (matched.length > 0 && reciprocalRank === 0) {
+            reciprocalRank = 1 / (index + 1);
+        }
+
+        const fresh = matched.filter(itemIndex => !credited.has(itemIndex));
+        if (fresh.length > 0) {
+            dcg += 1 / Math.log2(index + 2);
+            fresh.forEach(itemIndex => credited.add(itemIndex));
+        }
+    });
+
+    let idealDcg = 0;
+    for (let i = 0; i < Math.min(items.length, k); i++) {
+        idealDcg += 1 / Math.log2(i + 2);
+    }
+
+    return {
+        recall: credited.size / items.length,
+        reciprocalRank,
+        ndcg: idealDcg > 0 ? dcg / idealDcg : 0
+    };
+}
+
+/**
+ * Averages a metric over the questions that have a value for it
+ * @param {Array<Object>} rows - Per-question results
+ * @param {string} key - Metric name
+ * @returns {number|null} Mean, or null if no question has the metric
+ */
+function mean(rows, key) {
+    const values = rows.map(row => row[key]).filter(value => value !== null && value !== undefined);
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Runs every question of a golden set through one retrieval configuration
+ * @param {Array<Object>} questions - Questions from loadGoldenSet()
+ * @param {Object} options - Run options
+ * @param {Object} options.provider - Provider from createProvider()
+ * @param {Object} options.vectorStore - Vector store holding the indexed documents
+ * @param {number} [options.k] - Results retrieved per question
+ * @param {string} [options.strategy] - "single" or "multi"
+ * @param {Array<string>} [options.transforms] - Query transforms of the multi strategy (defaults to the configured ones)
+ * @param {string} [options.mode] - Search mode passed to the strategy
+ * @param {string} [options.reranker] - Reranker passed to the strategy
+ * @param {boolean} [options.faithfulness] - Also generate answers and score how well their citations support them
+ * @param {Object} [options.chunking] - Chunk settings of the collection, recorded in the run
+ * @param {Function} [options.onProgress] - Called with { done, total } after each question
+ * @returns {Promise<Object>} Run with key, config, metrics and per-question results
+ */
+export async function evaluateRetrieval(questions, { provider, vectorStore, k = 5, strategy = "single", transforms, mode, reranker, faithfulness = false, chunking = null, onProgress }) {
+    const search = RETRIEVAL_STRATEGIES[strategy];
+    if (!search) {
+        throw new Error(`Unknown strategy "${strategy}". Expected one of: ${Object.keys(RETRIEVAL_STRATEGIES).join(", ")}`);
+    }
+    // Only the multi strategy transforms queries
+    transforms = strategy === "multi" ? parseTransforms(transforms || searchDefaults().transforms) : null;
+
+    const rows = [];
+    for (const question of questions) {
+        const started = Date.now();
+        const results = await search(question.question, { provider, vectorStore, k, mode, reranker, transforms });
+        const latencyMs = Date.now() - started;
+        const scores = scoreRetrieval(results, question.items, k);
+
+        let faithfulnessScore = null;
+        if (faithfulness) {
+            const generate = results.some(result => result.transform === "decompose") ? generateDecomposedAnswer : generateAnswer;
+            const answer = await generate(question.question, results, { provider });
+            const report = verifyGrounding(answer, results);
+            if (report.sentences.length > 0) {
+                faithfulnessScore = (report.sentences.length - report.unsupported.length) / report.sentences.length;
+            }
+        }
+
+        rows.push({
+            id: question.id,
+            question: question.question,
+            recall: scores.recall,
+            mrr: scores.reciprocalRank,
+            ndcg: scores.ndcg,
+            faithfulness: faithfulnessScore,
+            latencyMs,
+            retrieved: results.map(result => ({
+                id: result.id,
+                source: result.metadata?.source,
+                page: result.metadata?.page ?? result.metadata?.loc?.pageNumber ?? null,
+                score: result.score
+            }))
+        });
+        onProgress?.({ done: rows.length, total: questions.length });
+    }
+
+    const config = { strategy, transforms, mode: mode || null, reranker: reranker || null, k, collection: vectorStore.collectionName, chunking };
+    return {
+        key: runKey(config),
+        config,
+        metrics: {
+            ...Object.fromEntries(METRICS.map(metric => [metric, mean(rows, metric)])),
+            latencyMs: Math.round(mean(rows, "latencyMs"))
+        },
+        questions: rows
+    };
+}
+
+/**
+ * Names a chunking compactly, e.g. "1000:200" for the recursive strategy and
+ * "structure:1000" or "token:256:32" for the others
+ * @param {Object} chunking - Configuration from resolveChunking()
+ * @returns {string} Label
+ */
+export function chunkingLabel(chunking) {
+    const { strategy = "recursive", ...params } = chunking;
+    const values = Object.values(params).join(":");
+    return strategy === "recursive" ? values : `${strategy}:${values}`;
+}
+
+/**
+ * Names a run by its configuration so the same run can be found in another report
+ * @param {Object} config - Run configuration
+ * @returns {string} Key such as "single/hybrid/none/1000:200" or "multi:hyde+stepback/hybrid/none/current"
+ */
+function runKey(config) {
+    const chunking = config.chunking ? chunkingLabel(config.chunking) : "current";
+    // Multi runs with the original variations keep the key they had before transforms could be chosen
+    const strategy = config.transforms && config.transforms.join("+") !== "variations"
+        ? `${config.strategy}:${config.transforms.join("+")}`
+        : config.strategy;
+    return [strategy, config.mode || "default", config.reranker || "default", chunking].join("/");
+}
+
+/**
+ * Compares two reports run by run. A metric regresses when it drops by more
+ * than the tolerance; runs missing from either report are skipped.
+ * @param {Object} report - Current report
+ * @param {Object} baseline - Earlier report
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.tolerance] - Drop ignored as noise
+ * @returns {Array<Object>} One row per run and metric with before, after, delta and regression
+ */
+export function compareReports(report, baseline, { tolerance = 0.01 } = {}) {
+    const baselineRuns = new Map(baseline.runs.map(run => [run.key, run]));
+    const rows = [];
+
+    for (const run of report.runs) {
+        const previous = baselineRuns.get(run.key);
+        if (!previous) {
+            continue;
+        }
+        for (const metric of METRICS) {
+            const before = previous.metrics[metric];
+            const after = run.metrics[metric];
+            if (before === null || after === null || before === undefined || after === undefined) {
+                continue;
+            }
+            rows.push({ key: run.key, metric, before, after, delta: after - before, regression: after < before - tolerance });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Writes a report as JSON
+ * @param {Object} report - Report to save
+ * @param {string} filePath - Destination file
+ */
+export async function saveReport(report, filePath) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify(report, null, 2));
+}
+
+/**
+ * Builds a baseline from earlier reports for the same golden set, taking the
+ * most recent run of each configuration, so a run is compared with its last
+ * result even when the latest report covered other configurations
+ * @param {string} directory - Report directory
+ * @param {string} goldenSetHash - Hash from loadGoldenSet()
+ * @returns {Promise<Object|null>} Report-shaped baseline with runs, or null if there are no earlier reports
+ */
+export async function findBaseline(directory, goldenSetHash) {
+    let files;
+    try {
+        files = (await fs.readdir(directory)).filter(file => file.endsWith(".json")).sort().reverse();
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+
+    const runs = new Map();
+    for (const file of files) {
+        const report = JSON.parse(await fs.readFile(path.join(directory, file), "utf8"));
+        if (report.goldenSet?.hash !== goldenSetHash) {
+            continue;
+        }
+        report.runs.forEach(run => {
+            if (!runs.has(run.key)) {
+                runs.set(run.key, run);
+            }
+        });
+    }
+
+    return runs.size > 0 ? { file: `the latest earlier run of each configuration in ${directory}`, runs: [...runs.values()] } : null;
+}
+
+/**
+ * Formats a metric for tables
+ * @param {number|null} value - Metric from 0 to 1
+ * @returns {string} Fixed-width value, or "-" when missing
+ */
+function formatMetric(value) {
+    return value === null || value === undefined ? "     -" : value.toFixed(3).padStart(6);
+}
+
+/**
+ * Prints one row per run with its averaged metrics
+ * @param {Object} report - Report from the evaluation command
+ */
+export function printReport(report) {
+    const width = Math.max(...report.runs.map(run => run.key.length), 3);
+    console.log(`\n${"Run".padEnd(width)}  recall@${report.k}    MRR  nDCG@${report.k}  faithful  latency`);
+    report.runs.forEach(run => {
+        const { recall, mrr, ndcg, faithfulness, latencyMs } = run.metrics;
+        console.log(`${run.key.padEnd(width)}  ${formatMetric(recall)}   ${formatMetric(mrr)}  ${formatMetric(ndcg)}    ${formatMetric(faithfulness)}  ${String(latencyMs).padStart(5)}ms`);
+    });
+}
+
+/**
+ * Prints the changes from a baseline report, marking regressions
+ * @param {Array<Object>} rows - Rows from compareReports()
+ * @param {string} baselineName - Shown in the heading
+ */
+export function printComparison(rows, baselineName) {
+    console.log(`\nCompared with ${baselineName}:`);
+    if (rows.length === 0) {
+        console.log("  No runs in common.");
+        return;
+    }
+
+    rows.forEach(row => {
+        const sign = row.delta > 0 ? "+" : "";
+        const flag = row.regression ? "  REGRESSION" : "";
+        console.log(`  ${row.key} ${row.metric}: ${row.before.toFixed(3)} -> ${row.after.toFixed(3)} (${sign}${row.delta.toFixed(3)})${flag}`);
+    });
+
+    const regressions = rows.filter(row => row.regression).length;
+    console.log(regressions > 0 ? `${regressions} metric(s) regressed.` : "No regressions.");
+}
@@ -0,0 +1,264 @@
+// filters.js - Metadata filters that restrict searches by source, file type, tags, pages and ingestion date
+
+// Filter keys accepted in query text, e.g. "@source:node.pdf pages:100-200 how do streams work",
+// and the filter field each one sets
+const QUERY_KEYS = {
+    source: "source",
+    type: "fileType",
+    filetype: "fileType",
+    tag: "tags",
+    tags: "tags",
+    page: "pages",
+    pages: "pages",
+    after: "ingestedAfter",
+    before: "ingestedBefore"
+};
+
+const QUERY_FILTER_PATTERN = new RegExp(`^@?(${Object.keys(QUERY_KEYS).join("|")}):(\\S+)$`, "i");
+
+/**
+ * Turns a string or list of strings into a non-empty list, or throws
+ * @param {string} field - Filter field, for the error message
+ * @param {string|Array<string>} value - Value or values
+ * @returns {Array<string>} Values
+ */
+function toList(field, value) {
+    const values = [].concat(value).flatMap(item => typeof item === "string" ? item.split(",") : [item]);
+    if (values.length === 0 || values.some(item => typeof item !== "string" || !item.trim())) {
+        throw new Error(`Filter ${field} must be a non-empty string or list of strings.`);
+    }
+    return values.map(item => item.trim());
+}
+
+/**
+ * Parses a page range given as 12, "12", "100-200", "100-" or { from, to }
+ * @param {number|string|Object} value - Page or range
+ * @returns {{from: number|null, to: number|null}} Inclusive range; null ends are open
+ */
+function toPageRange(value) {
+    let from;
+    let to;
+    if (typeof value === "object" && value !== null) {
+        ({ from = null, to = null } = value);
+    } else {
+        const match = String(value).match(/^\s*(\d+)?\s*(-)?\s*(\d+)?\s*$/);
+        if (!match || (!match[1] && !match[3])) {
+            throw new Error(`Filter pages must be a page or a range such as 100-200, not "${value}".`);
+        }
+        from = match[1] ? Number(match[1]) : null;
+        to = match[2] ? (match[3] ? Number(match[3]) : null) : from;
+    }
+
+    if ([from, to].some(page => page !== null && !(Number.isInteger(page) && page >= 0))
+        || (from !== null && to !== null && from > to)) {
+        throw new Error(`Filter pages must be a range of whole page numbers, not ${JSON.stringify(value)}.`);
+    }
+    return { from, to };
+}
+
+/**
+ * Parses a date given as an ISO string, a timestamp or a Date
+ * @param {string} field - Filter field, for the error message
+ * @param {string|number|Date} value - Date
+ * @returns {string} ISO 8601 timestamp
+ */
+function toTimestamp(field, value) {
+    const date = new Date(value);
+    if (value === null || value === "" || Number.isNaN(date.getTime())) {
+        throw new Error(`Filter ${field} must be a date such as 2025-01-31, not ${JSON.stringify(value)}.`);
+    }
+    return date.toISOString();
+}
+
+/**
+ * Validates a filter and brings it into the form the stores match against.
+ * Accepted fields:
+ *   source          Source path, or a list or comma-separated string of them
+ *   fileType        File type such as "pdf" or "markdown", or a list
+ *   tags            Tag or list of tags; chunks with any of them match
+ *   pages           Page (12), range ("100-200", "100-") or { from, to }
+ *   ingestedAfter   Chunks indexed at or after this date
+ *   ingestedBefore  Chunks indexed at or before this date
+ * @param {Object|null} [filter] - Filter from a caller
+ * @returns {Object|null} Normalized filter, or null if it restricts nothing
+ */
+export function normalizeFilter(filter) {
+    if (filter === undefined || filter === null) {
+        return null;
+    }
+    if (typeof filter !== "object" || Array.isArray(filter)) {
+        throw new Error("Filter must be an object.");
+    }
+
+    const normalized = {};
+    for (const [field, value] of Object.entries(filter)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        if (field === "source" || field === "fileType" || field === "tags") {
+            normalized[field] = toList(field, value);
+        } else if (field === "pages") {
+            normalized.pages = toPageRange(value);
+        } else if (field === "ingestedAfter" || field === "ingestedBefore") {
+            normalized[field] = toTimestamp(field, value);
+        } else {
+            throw new Error(`Unknown filter field "${field}". Expected source, fileType, tags, pages, ingestedAfter or ingestedBefore.`);
+        }
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+/**
+ * Whether a chunk's metadata satisfies a filter
+ * @param {Object} [metadata] - Chunk metadata
+ * @param {Object|null} filter - Filter from normalizeFilter()
+ * @returns {boolean} True if every field of the filter matches
+ */
+export function matchesFilter(metadata = {}, filter) {
+    if (!filter) {
+        return true;
+    }
+    if (filter.source && !filter.source.includes(metadata.source)) {
+        return false;
+    }
+    if (filter.fileType && !filter.fileType.includes(metadata.fileType)) {
+        return false;
+    }
+    if (filter.tags && !(Array.isArray(metadata.tags) && metadata.tags.some(tag => filter.tags.includes(tag)))) {
+        return false;
+    }
+    if (filter.pages) {
+        const { from, to } = filter.pages;
+        if (typeof metadata.page !== "number" || (from !== null && metadata.page < from) || (to !== null && metadata.page > to)) {
+            return false;
+        }
+    }
+    if (filter.ingestedAfter || filter.ingestedBefore) {
+        const ingestedAt = metadata.ingestedAt ? Date.parse(metadata.ingestedAt) : NaN;
+        if (Number.isNaN(ingestedAt)
+            || (filter.ingestedAfter && ingestedAt < Date.parse(filter.ingestedAfter))
+            || (filter.ingestedBefore && ingestedAt > Date.parse(filter.ingestedBefore))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Keeps the metadata fields that filters look at, for indexes that store
+ * them apart from the vector store payload
+ * @param {Object} [metadata] - Chunk metadata
+ * @returns {Object} source, fileType, page, tags and ingestedAt, where present
+ */
+export function filterFields(metadata = {}) {
+    const fields = {};
+    ["source", "fileType", "page", "tags", "ingestedAt"].forEach(field => {
+        if (metadata[field] !== undefined && metadata[field] !== null) {
+            fields[field] = metadata[field];
+        }
+    });
+    return fields;
+}
+
+/**
+ * Converts a filter to a Qdrant payload filter over the `metadata` payload field
+ * @param {Object|null} filter - Filter from normalizeFilter()
+ * @returns {Object|undefined} Qdrant filter with `must` conditions, or undefined for no filter
+ */
+export function toQdrantFilter(filter) {
+    if (!filter) {
+        return undefined;
+    }
+
+    const must = [];
+    if (filter.source) {
+        must.push({ key: "metadata.source", match: { any: filter.source } });
+    }
+    if (filter.fileType) {
+        must.push({ key: "metadata.fileType", match: { any: filter.fileType } });
+    }
+    if (filter.tags) {
+        must.push({ key: "metadata.tags", match: { any: filter.tags } });
+    }
+    if (filter.pages) {
+        const range = {};
+        if (filter.pages.from !== null) {
+            range.gte = filter.pages.from;
+        }
+        if (filter.pages.to !== null) {
+            range.lte = filter.pages.to;
+        }
+        must.push({ key: "metadata.page", range });
+    }
+    if (filter.ingestedAfter || filter.ingestedBefore) {
+        must.push({
+            key: "metadata.ingestedAt",
+            range: {
+                ...(filter.ingestedAfter ? { gte: filter.ingestedAfter } : {}),
+                ...(filter.ingestedBefore ? { lte: filter.ingestedBefore } : {})
+            }
+        });
+    }
+    return { must };
+}
+
+/**
+ * Splits filter terms such as "@source:node.pdf", "type:pdf", "tag:streams",
+ * "pages:100-200", "after:2025-01-01" and "before:2025-02-01" out of typed
+ * query text. The "@" is optional; other words are left in the query.
+ * @param {string} text - Query text as typed
+ * @returns {{query: string, filter: Object|null}} Query without the filter terms, and the filter from normalizeFilter()
+ */
+export function parseFilterQuery(text) {
+    const filter = {};
+    const words = [];
+
+    for (const word of text.trim().split(/\s+/)) {
+        const match = word.match(QUERY_FILTER_PATTERN);
+        if (!match) {
+            words.push(word);
+            continue;
+        }
+        const field = QUERY_KEYS[match[1].toLowerCase()];
+        if (field === "source" || field === "fileType" || field === "tags") {
+            filter[field] = [...(filter[field] || []), match[2]];
+        } else {
+            filter[field] = match[2];
+        }
+    }
+
+    return { query: words.join(" "), filter: normalizeFilter(filter) };
+}
+
+/**
+ * Describes a filter, e.g. "source node.pdf, pages 100-200"
+ * @param {Object|null} filter - Filter from normalizeFilter()
+ * @returns {string} Description, or "none"
+ */
+export function describeFilter(filter) {
+    if (!filter) {
+        return "none";
+    }
+
+    const parts = [];
+    if (filter.source) {
+        parts.push(`source ${filter.source.join(" or ")}`);
+    }
+    if (filter.fileType) {
+        parts.push(`type ${filter.fileType.join(" or ")}`);
+    }
+    if (filter.tags) {
+        parts.push(`tagged ${filter.tags.join(" or ")}`);
+    }
+    if (filter.pages) {
+        const { from, to } = filter.pages;
+        parts.push(from === to ? `page ${from}` : `pages ${from ?? 1}-${to ?? "end"}`);
+    }
+    if (filter.ingestedAfter) {
+        parts.push(`ingested after ${filter.ingestedAfter}`);
+    }
+    if (filter.ingestedBefore) {
+        parts.push(`ingested before ${filter.ingestedBefore}`);
+    }
+    return parts.join(", ");
+}
@@ -0,0 +1,369 @@
+// indexer.js - Splits loaded documents into chunks and writes them to the vector store
+
+import { v5 as uuidv5 } from 'uuid';
+import {
+    loadManifest,
+    saveManifest,
+    deleteManifest,
+    loadCheckpoint,
+    saveCheckpoint,
+    deleteCheckpoint,
+    diffSources,
+    hashContent,
+    hashFile
+} from "./manifest.js";
+import { findDocuments, loadDocuments } from "./loaders.js";
+import { loadKeywordIndex, saveKeywordIndex, deleteKeywordIndex, indexChunk } from "./keywordIndex.js";
+import { resolveChunking, describeChunking, sameChunking, createChunker } from "./chunkers.js";
+import { createEmbeddingQueue } from "./embeddingQueue.js";
+import { createCache } from "./cache.js";
+import { logger } from "./telemetry.js";
+
+// Namespace for chunk IDs, so the same source and content always map to the same point
+const CHUNK_ID_NAMESPACE = "6f1d7c52-3b8e-4f0a-9c1e-2a5d8b7e4c90";
+
+// Chunking used by collections indexed before the chunking was recorded
+const LEGACY_CHUNKING = { strategy: "recursive", chunkSize: 1000, chunkOverlap: 200 };
+
+/**
+ * Splits documents into chunks with the configured chunking strategy, keeping
+ * each document's metadata
+ * @param {Array<Document>} documents - Documents from the loaders
+ * @param {Object} [options] - Chunking options for resolveChunking() (strategy, chunkSize,
+ *   chunkOverlap, breakpointPercentile), plus:
+ * @param {Object} [options.provider] - Provider from createProvider(), needed by the semantic strategy
+ * @returns {Promise<Array<Document>>} Chunks
+ */
+export async function splitDocuments(documents, options = {}) {
+    return createChunker(resolveChunking(options), options.provider).split(documents);
+}
+
+/**
+ * Returns the chunking a collection was indexed with, according to its manifest
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @returns {Object|null} Chunking configuration, or null if nothing was indexed
+ */
+export function manifestChunking(manifest) {
+    if (Object.keys(manifest.sources).length === 0) {
+        return null;
+    }
+    return manifest.chunking || LEGACY_CHUNKING;
+}
+
+/**
+ * Creates the collection if it doesn't exist
+ * @param {Object} vectorStore - Vector store from createVectorStore()
+ * @param {number} vectorSize - Embedding size of the provider
+ */
+export async function createCollectionIfNotExists(vectorStore, vectorSize) {
+    try {
+        const exists = await vectorStore.collectionExists();
+
+        if (!exists) {
+            await vectorStore.createCollection(vectorSize);
+            logger.info(`Collection ${vectorStore.collectionName} created.`, { collection: vectorStore.collectionName });
+        }
+    } catch (error) {
+        logger.error(`Error checking or creating collection ${vectorStore.collectionName}`, { error, store: vectorStore.name });
+        throw error;
+    }
+}
+
+/**
+ * Gives every chunk a deterministic ID derived from its source, content hash
+ * and tags, so re-tagging a source replaces its chunks. Identical chunks
+ * within one source are told apart by occurrence.
+ * @param {Array<Document>} documents - Chunks
+ * @returns {Array<{id: string, contentHash: string, source: string, doc: Document}>} Chunks with IDs
+ */
+export function assignChunkIds(documents) {
+    const occurrences = new Map();
+
+    return documents.map(doc => {
+        const source = doc.metadata?.source || "unknown";
+        const contentHash = hashContent(doc.pageContent);
+        const tags = doc.metadata?.tags?.length ? `:${[...doc.metadata.tags].sort().join(",")}` : "";
+        const key = `${source}:${contentHash}${tags}`;
+        const occurrence = occurrences.get(key) || 0;
+        occurrences.set(key, occurrence + 1);
+
+        return {
+            id: uuidv5(`${key}:${occurrence}`, CHUNK_ID_NAMESPACE),
+            contentHash,
+            source,
+            doc
+        };
+    });
+}
+
+/**
+ * Brings the vector store in line with the given chunks. Only chunks whose
+ * IDs are not in the manifest are embedded; chunks that disappeared from a
+ * re-indexed source, and sources deleted from disk, are removed from the store.
+ * Sources that were never files (documents posted to the API) have no file
+ * hash and are only removed by `prune`. The BM25 keyword index is kept in step
+ * with the same chunk IDs. A collection holds chunks of one chunking only, so
+ * chunks made with different settings are refused until the collection is rebuilt.
+ *
+ * Chunks are embedded in batches through an embedding queue that retries
+ * transient failures, and every batch written to the store is recorded in a
+ * checkpoint. If a run stops part way, the next run with the same embedding
+ * model and chunking skips the chunks the checkpoint lists.
+ * @param {Array<Document>} documents - Chunks to index
+ * @param {Object} options - Indexing options
+ * @param {Object} options.provider - Provider from createProvider()
+ * @param {Object} options.vectorStore - Vector store from createVectorStore()
+ * @param {number} [options.batchSize] - Chunks embedded and written to the store per batch
+ * @param {Object} [options.queue] - Queue from createEmbeddingQueue() (defaults to one configured by EMBED_* variables)
+ * @param {boolean} [options.prune] - Also remove sources that are not among `documents`
+ * @param {Function} [options.onProgress] - Called with { done, total } after each batch instead of logging
+ * @param {Object} [options.chunking] - Chunking the documents were split with (defaults to the configured one)
+ * @returns {Promise<{added: number, unchanged: number, removed: number}>} Chunk counts
+ */
+export async function addDocumentsToVectorStore(documents, { provider, vectorStore, batchSize = 100, queue, prune = false, onProgress, chunking = resolveChunking() }) {
+    try {
+        let manifest = await loadManifest(vectorStore.collectionName);
+        let keywordIndex = await loadKeywordIndex(vectorStore.collectionName);
+        let checkpoint = await loadCheckpoint(vectorStore.collectionName);
+        const exists = await vectorStore.collectionExists();
+
+        // A different embedding model makes every stored vector incomparable, and points
+        // indexed before manifests existed have random IDs that can never be matched
+        const modelChanged = manifest.embeddingModel && manifest.embeddingModel !== provider.embeddingModel;
+        const untracked = !manifest.updatedAt && !checkpoint && exists && await vectorStore.count() > 0;
+        if (exists && (modelChanged || untracked)) {
+            logger.info(modelChanged
+                ? `Embedding model changed from ${manifest.embeddingModel} to ${provider.embeddingModel}. Rebuilding the collection.`
+                : "Collection has points that are not in the manifest. Rebuilding the collection.");
+            await vectorStore.deleteCollection();
+            manifest = { ...manifest, sources: {} };
+            keywordIndex = { ...keywordIndex, chunks: {} };
+            checkpoint = null;
+        }
+
+        await createCollectionIfNotExists(vectorStore, provider.dimensions);
+
+        // An empty collection means the manifest and checkpoint describe points that are gone
+        if (await vectorStore.count() === 0) {
+            manifest = { ...manifest, sources: {} };
+            keywordIndex = { ...keywordIndex, chunks: {} };
+            checkpoint = null;
+        }
+
+        // Points from an unfinished run with another model or chunking cannot be reused
+        if (checkpoint && (checkpoint.embeddingModel !== provider.embeddingModel || !sameChunking(checkpoint.chunking, chunking))) {
+            logger.info(`Discarding ${checkpoint.chunks.length} chunks of an unfinished run made with other settings.`);
+            await vectorStore.delete(checkpoint.chunks);
+            checkpoint = null;
+        }
+
+        const indexedChunking = manifestChunking(manifest);
+        if (indexedChunking && !sameChunking(indexedChunking, chunking)) {
+            const error = new Error(`Collection ${vectorStore.collectionName} was chunked with ${describeChunking(indexedChunking)}, `
+                + `but these documents were chunked with ${describeChunking(chunking)}. `
+                + "Rebuild the collection (the 'reindex' command) to change chunking, or restore the previous settings.");
+            error.code = "CHUNKING_MISMATCH";
+            throw error;
+        }
+
+        const chunks = assignChunkIds(documents);
+        const indexedIds = new Set(Object.values(manifest.sources).flatMap(entry => entry.chunks));
+        const resumedIds = new Set(checkpoint?.chunks);
+        const newChunks = chunks.filter(chunk => !indexedIds.has(chunk.id) && !resumedIds.has(chunk.id));
+        const resumed = chunks.filter(chunk => resumedIds.has(chunk.id) && !indexedIds.has(chunk.id)).length;
+        if (resumedIds.size > 0) {
+            logger.info(`Resuming an unfinished run: ${resumed} chunks were already embedded.`);
+        }
+
+        // Group the new chunk IDs by source to find what each source lost
+        const chunksBySource = new Map();
+        chunks.forEach(chunk => {
+            if (!chunksBySource.has(chunk.source)) {
+                chunksBySource.set(chunk.source, []);
+            }
+            chunksBySource.get(chunk.source).push(chunk.id);
+        });
+
+        const staleIds = new Set();
+        const removedSources = [];
+        for (const [source, entry] of Object.entries(manifest.sources)) {
+            const currentIds = chunksBySource.get(source);
+            if (currentIds) {
+                const keep = new Set(currentIds);
+                entry.chunks.filter(id => !keep.has(id)).forEach(id => staleIds.add(id));
+            } else if (prune || (entry.fileHash !== null && await hashFile(source) === null)) {
+                entry.chunks.forEach(id => staleIds.add(id));
+                removedSources.push(source);
+            }
+        }
+
+        // Chunks the unfinished run wrote that the documents no longer contain
+        const currentIds = new Set(chunks.map(chunk => chunk.id));
+        resumedIds.forEach(id => {
+            if (!currentIds.has(id) && !indexedIds.has(id)) {
+                staleIds.add(id);
+            }
+        });
+
+        // Stamped on every chunk added in this run, for ingestion date filters;
+        // a resumed run keeps the time it started
+        const ingestedAt = checkpoint?.startedAt || new Date().toISOString();
+        checkpoint = checkpoint || {
+            collectionName: vectorStore.collectionName,
+            embeddingModel: provider.embeddingModel,
+            chunking,
+            startedAt: ingestedAt,
+            chunks: []
+        };
+
+        const batches = [];
+        for (let i = 0; i < newChunks.length; i += batchSize) {
+            batches.push(newChunks.slice(i, i + batchSize));
+        }
+
+        // Batches are embedded concurrently, but written to the store and the
+        // checkpoint one at a time, in the order their embeddings arrive
+        const embeddingQueue = queue || createEmbeddingQueue(provider);
+        let writes = Promise.resolve();
+        let nextBatch = 0;
+        let written = 0;
+        let done = 0;
+        let failed = false;
+
+        async function processBatches() {
+            while (!failed && nextBatch < batches.length) {
+                const batch = batches[nextBatch++];
+                const vectors = await embeddingQueue.embedBatch(batch.map(({ doc }) => doc.pageContent));
+                const points = batch.map(({ id, contentHash, doc }, i) => ({
+                    id,
+                    vector: vectors[i],
+                    payload: {
+                        content: doc.pageContent,
+                        contentHash,
+                        chunking: describeChunking(chunking),
+                        metadata: { ...doc.metadata, ingestedAt }
+                    }
+                }));
+
+                writes = writes.then(async () => {
+                    await vectorStore.upsert(points);
+                    checkpoint.chunks.push(...batch.map(({ id }) => id));
+                    await saveCheckpoint(checkpoint);
+                    written++;
+                    done += batch.length;
+                    if (onProgress) {
+                        onProgress({ done, total: newChunks.length });
+                    } else {
+                        logger.info(`Indexed batch ${written}/${batches.length}`);
+                    }
+                });
+                await writes;
+            }
+        }
+
+        // Let batches in flight finish after a failure, so the checkpoint keeps them
+        const workers = Array.from({ length: Math.min(embeddingQueue.concurrency, batches.length) }, () =>
+            processBatches().catch(error => {
+                failed = true;
+                throw error;
+            }));
+        const outcomes = await Promise.allSettled(workers);
+        const failure = outcomes.find(outcome => outcome.status === "rejected");
+        if (failure) {
+            logger.error(`Indexing stopped after ${done} of ${newChunks.length} chunks. Run it again to resume.`, { collection: vectorStore.collectionName });
+            throw failure.reason;
+        }
+
+        // Remove stale points only after the replacements are in place
+        await vectorStore.delete([...staleIds]);
+
+        // Chunks indexed before the keyword index existed are added to it here too
+        staleIds.forEach(id => delete keywordIndex.chunks[id]);
+        chunks
+            .filter(chunk => !keywordIndex.chunks[chunk.id])
+            .forEach(chunk => indexChunk(keywordIndex, chunk.id, chunk.doc.pageContent, { ...chunk.doc.metadata, ingestedAt }));
+        await saveKeywordIndex(keywordIndex);
+
+        for (const [source, ids] of chunksBySource) {
+            manifest.sources[source] = {
+                fileHash: await hashFile(source),
+                chunks: ids,
+                indexedAt: new Date().toISOString()
+            };
+        }
+        removedSources.forEach(source => delete manifest.sources[source]);
+        manifest.embeddingModel = provider.embeddingModel;
+        manifest.chunking = chunking;
+        await saveManifest(manifest);
+        await deleteCheckpoint(vectorStore.collectionName);
+
+        const summary = {
+            added: newChunks.length + resumed,
+            unchanged: chunks.length - newChunks.length - resumed,
+            removed: staleIds.size
+        };
+        // Cached answers name the index version they came from; drop the ones this run outdated
+        if (summary.added > 0 || summary.removed > 0) {
+            await createCache().clear("answers", vectorStore.collectionName);
+        }
+        logger.info(`Index updated: ${summary.added} added, ${summary.unchanged} unchanged, ${summary.removed} removed.`, { collection: vectorStore.collectionName, ...summary });
+        return summary;
+    } catch (error) {
+        logger.error("Error adding documents to vector store", { error, collection: vectorStore.collectionName });
+        throw error;
+    }
+}
+
+/**
+ * Lists sources named by the targets that were added, modified or deleted
+ * since the collection was last indexed, and whether the configured chunking
+ * differs from the one the collection was indexed with
+ * @param {string|Array<string>} targets - File paths, directories or glob patterns
+ * @param {Object} vectorStore - Vector store from createVectorStore()
+ * @param {Object} [chunking] - Configured chunking (defaults to resolveChunking())
+ * @returns {Promise<{added: Array<string>, modified: Array<string>, removed: Array<string>, chunkingChanged: boolean}>} Changes
+ */
+export async function findChangedSources(targets, vectorStore, chunking = resolveChunking()) {
+    const files = [];
+    for (const target of [].concat(targets)) {
+        files.push(...await findDocuments(target));
+    }
+    const manifest = await loadManifest(vectorStore.collectionName);
+    const indexedChunking = manifestChunking(manifest);
+    return {
+        ...await diffSources(files, manifest),
+        chunkingChanged: indexedChunking !== null && !sameChunking(indexedChunking, chunking)
+    };
+}
+
+/**
+ * Loads, splits and indexes every document named by the targets
+ * @param {string|Array<string>} targets - File paths, directories or glob patterns
+ * @param {Object} options - Options for addDocumentsToVectorStore(), plus:
+ * @param {boolean} [options.rebuild] - Drop the collection and its manifest first
+ * @param {string} [options.strategy] - Chunking strategy (defaults to CHUNK_STRATEGY)
+ * @param {number} [options.chunkSize] - Maximum chunk size
+ * @param {number} [options.chunkOverlap] - Overlap between neighbouring chunks
+ * @param {number} [options.breakpointPercentile] - Semantic split threshold
+ * @returns {Promise<{added: number, unchanged: number, removed: number}>} Chunk counts
+ */
+export async function indexPaths(targets, { rebuild = false, strategy, chunkSize, chunkOverlap, breakpointPercentile, ...options }) {
+    const { vectorStore } = options;
+
+    if (rebuild) {
+        if (await vectorStore.collectionExists()) {
+            await vectorStore.deleteCollection();
+        }
+        await deleteManifest(vectorStore.collectionName);
+        await deleteCheckpoint(vectorStore.collectionName);
+        await deleteKeywordIndex(vectorStore.collectionName);
+        logger.info(`Collection ${vectorStore.collectionName} dropped for a full rebuild.`);
+    }
+
+    const docs = await loadDocuments(targets);
+    const chunking = resolveChunking({ strategy, chunkSize, chunkOverlap, breakpointPercentile });
+    const splitDocs = await splitDocuments(docs, { ...chunking, provider: options.provider });
+    logger.info(`Loaded ${docs.length} documents as ${splitDocs.length} chunks (${describeChunking(chunking)}).`);
+
+    return addDocumentsToVectorStore(splitDocs, { ...options, chunking });
+}
@@ -0,0 +1,145 @@
+// keywordIndex.js - BM25 keyword index over the chunks stored in a collection
+
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { tokenize } from "./text.js";
+import { matchesFilter, filterFields } from "./filters.js";
+
+// BM25 term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Returns the keyword index file path for a collection
+ * @param {string} collectionName - Collection the index covers
+ * @param {string} [dataDir] - Data directory (defaults to RAG_DATA_DIR or ./.rag)
+ * @returns {string} Absolute file path
+ */
+function keywordIndexPath(collectionName, dataDir) {
+    return path.resolve(dataDir || process.env.RAG_DATA_DIR || "./.rag", "keywords", `${collectionName}.json`);
+}
+
+/**
+ * Loads the keyword index for a collection, or an empty one if none was saved.
+ * `chunks` maps each chunk ID to its length in terms, its term frequencies and
+ * the metadata that filters match against.
+ * @param {string} collectionName - Collection the index covers
+ * @param {string} [dataDir] - Data directory
+ * @returns {Promise<Object>} Index with collectionName, updatedAt and chunks
+ */
+export async function loadKeywordIndex(collectionName, dataDir) {
+    try {
+        return JSON.parse(await fs.readFile(keywordIndexPath(collectionName, dataDir), "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+        return { collectionName, updatedAt: null, chunks: {} };
+    }
+}
+
+/**
+ * Writes a keyword index, replacing the previous one atomically through a
+ * temporary file whose name is unique, so concurrent saves never share one
+ * @param {Object} index - Index from loadKeywordIndex()
+ * @param {string} [dataDir] - Data directory
+ */
+export async function saveKeywordIndex(index, dataDir) {
+    const filePath = keywordIndexPath(index.collectionName, dataDir);
+    index.updatedAt = new Date().toISOString();
+
+    const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, JSON.stringify(index));
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Deletes the keyword index for a collection, if there is one
+ * @param {string} collectionName - Collection the index covers
+ * @param {string} [dataDir] - Data directory
+ */
+export async function deleteKeywordIndex(collectionName, dataDir) {
+    await fs.rm(keywordIndexPath(collectionName, dataDir), { force: true });
+}
+
+/**
+ * Adds or replaces a chunk in the index
+ * @param {Object} index - Index from loadKeywordIndex()
+ * @param {string} id - Chunk ID, the same as its vector store point ID
+ * @param {string} text - Chunk text
+ * @param {Object} [metadata] - Chunk metadata; only the fields filters use are kept
+ */
+export function indexChunk(index, id, text, metadata) {
+    const terms = tokenize(text);
+    // No prototype, so terms such as "constructor" or "__proto__" are counted like any other
+    const frequencies = Object.create(null);
+    terms.forEach(term => {
+        frequencies[term] = (frequencies[term] || 0) + 1;
+    });
+    index.chunks[id] = { length: terms.length, terms: frequencies, metadata: filterFields(metadata) };
+}
+
+/**
+ * Returns how often a term occurs in a chunk. Loaded indexes are plain
+ * objects, so only the chunk's own entries count, never inherited properties.
+ * @param {Object} chunk - Chunk entry of the index
+ * @param {string} term - Term
+ * @returns {number} Term frequency, 0 if the chunk lacks the term
+ */
+function termFrequency(chunk, term) {
+    return Object.hasOwn(chunk.terms, term) ? chunk.terms[term] : 0;
+}
+
+/**
+ * Scores every chunk against a query with BM25. Term statistics cover the
+ * whole collection, so a filter changes which chunks are returned but not their scores.
+ * @param {Object} index - Index from loadKeywordIndex()
+ * @param {string} query - Query text
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Number of results
+ * @param {Object} [options.filter] - Filter from normalizeFilter()
+ * @returns {Array<{id: string, score: number}>} Best-scoring chunks first, all with a score above 0
+ */
+export function searchKeywordIndex(index, query, { limit = 4, filter = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const entries = Object.entries(index.chunks);
+    if (queryTerms.length === 0 || entries.length === 0) {
+        return [];
+    }
+
+    const averageLength = entries.reduce((sum, [, chunk]) => sum + chunk.length, 0) / entries.length;
+    const documentFrequency = new Map(queryTerms.map(term => [
+        term,
+        entries.filter(([, chunk]) => termFrequency(chunk, term) > 0).length
+    ]));
+
+    const hits = [];
+    for (const [id, chunk] of entries) {
+        if (!matchesFilter(chunk.metadata, filter)) {
+            continue;
+        }
+        let score = 0;
+        for (const term of queryTerms) {
+            const frequency = termFrequency(chunk, term);
+            if (!frequency) {
+                continue;
+            }
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+            const lengthNorm = 1 - BM25_B + BM25_B * (chunk.length / (averageLength || 1));
+            score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+        }
+        if (score > 0) {
+            hits.push({ id, score });
+        }
+    }
+
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,275 @@
+// loaders.js - Finds documents on disk and loads them with a loader chosen by file type
+
+import { PDFLoader } from "@langchain/community/document_loaders/fs/pdf";
+import { DocxLoader } from "@langchain/community/document_loaders/fs/docx";
+import { Document } from "@langchain/core/documents";
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./telemetry.js";
+
+// Directories that never hold documents worth indexing
+const IGNORED_DIRECTORIES = new Set(["node_modules", ".git", ".rag"]);
+
+/**
+ * Splits Markdown into one document per heading, recording the heading path
+ * (e.g. "Streams > Readable streams") as the section
+ * @param {string} text - Markdown text
+ * @param {Object} metadata - Metadata shared by every section
+ * @returns {Array<Document>} One document per non-empty section
+ */
+function splitMarkdownSections(text, metadata) {
+    const documents = [];
+    const headings = [];
+    let lines = [];
+    let inCodeBlock = false;
+
+    const flush = () => {
+        const content = lines.join("\n").trim();
+        if (content) {
+            documents.push(new Document({
+                pageContent: content,
+                metadata: { ...metadata, section: headings.filter(Boolean).join(" > ") || null }
+            }));
+        }
+        lines = [];
+    };
+
+    for (const line of text.split("\n")) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inCodeBlock = !inCodeBlock;
+        }
+
+        const heading = !inCodeBlock && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        if (heading) {
+            flush();
+            const level = heading[1].length;
+            headings.length = level;
+            headings[level - 1] = heading[2];
+        }
+        lines.push(line);
+    }
+    flush();
+
+    return documents;
+}
+
+/**
+ * Converts HTML to Markdown-flavoured text: headings become `#` lines,
+ * block elements become line breaks and everything else is stripped
+ * @param {string} html - HTML source
+ * @returns {{title: string|null, text: string}} Page title and text
+ */
+function htmlToText(html) {
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const text = html
+        .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, "")
+        .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n${"#".repeat(Number(level))} ${inner.replace(/<[^>]+>/g, "").trim()}\n`)
+        .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, inner) => `\n\`\`\`\n${inner.replace(/<[^>]+>/g, "")}\n\`\`\`\n`)
+        .replace(/<(br|\/p|\/div|\/li|\/tr|\/section|\/article)[^>]*>/gi, "\n")
+        .replace(/<li[^>]*>/gi, "- ")
+        .replace(/<[^>]+>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, "\"")
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&amp;/g, "&")
+        .replace(/\n{3,}/g, "\n\n");
+
+    return {
+        title: title ? title[1].trim() : null,
+        text: text.trim()
+    };
+}
+
+async function loadPdf(filePath, metadata) {
+    const docs = await new PDFLoader(filePath).load();
+    return docs.map(doc => new Document({
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, ...metadata, page: doc.metadata.loc?.pageNumber ?? null }
+    }));
+}
+
+async function loadDocx(filePath, metadata) {
+    const docs = await new DocxLoader(filePath).load();
+    return docs.map(doc => new Document({
+        pageContent: doc.pageContent,
+        metadata: { ...doc.metadata, ...metadata }
+    }));
+}
+
+async function loadMarkdown(filePath, metadata) {
+    const text = await fs.readFile(filePath, "utf8");
+    return splitMarkdownSections(text, metadata);
+}
+
+async function loadHtml(filePath, metadata) {
+    const { title, text } = htmlToText(await fs.readFile(filePath, "utf8"));
+    return splitMarkdownSections(text, { ...metadata, title });
+}
+
+async function loadText(filePath, metadata) {
+    const text = await fs.readFile(filePath, "utf8");
+    return text.trim() ? [new Document({ pageContent: text, metadata })] : [];
+}
+
+// Loader and file type for each supported extension
+const LOADERS = {
+    ".pdf": { fileType: "pdf", load: loadPdf },
+    ".docx": { fileType: "docx", load: loadDocx },
+    ".md": { fileType: "markdown", load: loadMarkdown },
+    ".markdown": { fileType: "markdown", load: loadMarkdown },
+    ".html": { fileType: "html", load: loadHtml },
+    ".htm": { fileType: "html", load: loadHtml },
+    ".txt": { fileType: "text", load: loadText }
+};
+
+/**
+ * Returns the extensions that have a loader
+ * @returns {Array<string>} Supported extensions, including the leading dot
+ */
+export function supportedExtensions() {
+    return Object.keys(LOADERS);
+}
+
+/**
+ * Converts a glob pattern (`*`, `**`, `?` and `{a,b}`) to a regular expression
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} Expression matching whole paths
+ */
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*" && pattern[i + 1] === "*") {
+            const slash = pattern[i + 2] === "/";
+            source += slash ? "(?:.*/)?" : ".*";
+            i += slash ? 2 : 1;
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "{") {
+            const end = pattern.indexOf("}", i);
+            source += `(?:${pattern.slice(i + 1, end).split(",").map(part => part.replace(/[.+^$()|[\]\\]/g, "\\$&")).join("|")})`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Recursively lists files under a directory, skipping ignored directories
+ * @param {string} directory - Directory to walk
+ * @returns {Promise<Array<string>>} File paths
+ */
+async function walk(directory) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (!IGNORED_DIRECTORIES.has(entry.name)) {
+                files.push(...await walk(entryPath));
+            }
+        } else if (entry.isFile()) {
+            files.push(entryPath);
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Resolves a file, directory or glob pattern to the supported files it names
+ * @param {string} target - File path, directory path or glob pattern
+ * @returns {Promise<Array<string>>} Sorted file paths
+ */
+export async function findDocuments(target) {
+    const normalized = target.split(path.sep).join("/");
+    const isSupported = file => Boolean(LOADERS[path.extname(file).toLowerCase()]);
+
+    if (/[*?{]/.test(normalized)) {
+        const segments = normalized.split("/");
+        const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+        const baseDir = segments.slice(0, firstGlob).join("/") || ".";
+        const matcher = globToRegExp(path.posix.normalize(normalized));
+        const files = await walk(baseDir);
+
+        return files
+            .filter(file => matcher.test(path.posix.normalize(file.split(path.sep).join("/"))))
+            .filter(isSupported)
+            .sort();
+    }
+
+    const stats = await fs.stat(target);
+    if (stats.isDirectory()) {
+        return (await walk(target)).filter(isSupported).sort();
+    }
+
+    if (!isSupported(target)) {
+        const error = new Error(`Unsupported file type: ${target}. Supported: ${supportedExtensions().join(", ")}`);
+        error.code = "unsupported_file_type";
+        throw error;
+    }
+    return [target];
+}
+
+/**
+ * Returns the path recorded as a document's `source`: relative to the working
+ * directory when the file is inside it (so indexes are portable), else absolute
+ * @param {string} filePath - File path
+ * @returns {string} Source path with forward slashes
+ */
+export function sourcePath(filePath) {
+    const relativePath = path.relative(process.cwd(), path.resolve(filePath));
+    const source = relativePath.startsWith("..") ? path.resolve(filePath) : relativePath;
+    return source.split(path.sep).join("/");
+}
+
+/**
+ * Loads one file with the loader for its extension. Every document gets
+ * `source` (path relative to the working directory when inside it), `fileType` and, where
+ * the format has them, `page` or `section` in its metadata.
+ * @param {string} filePath - File to load
+ * @returns {Promise<Array<Document>>} Loaded documents
+ */
+export async function loadFile(filePath) {
+    const loader = LOADERS[path.extname(filePath).toLowerCase()];
+    if (!loader) {
+        throw new Error(`Unsupported file type: ${filePath}. Supported: ${supportedExtensions().join(", ")}`);
+    }
+
+    const metadata = {
+        source: sourcePath(filePath),
+        fileType: loader.fileType
+    };
+
+    return loader.load(filePath, metadata);
+}
+
+/**
+ * Loads every supported document named by one or more targets
+ * @param {string|Array<string>} targets - File paths, directories or glob patterns
+ * @returns {Promise<Array<Document>>} Loaded documents from all files
+ */
+export async function loadDocuments(targets) {
+    const files = new Set();
+    for (const target of [].concat(targets)) {
+        (await findDocuments(target)).forEach(file => files.add(file));
+    }
+
+    const documents = [];
+    for (const file of files) {
+        try {
+            documents.push(...await loadFile(file));
+        } catch (error) {
+            logger.error(`Error loading ${file}`, { error: error.message, file });
+        }
+    }
+
+    return documents;
+}
@@ -0,0 +1,171 @@
+// manifest.js - Records which chunks of which source files are in a collection, and the progress of unfinished indexing runs
+
+import { createHash, randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { sourcePath } from "./loaders.js";
+
+/**
+ * Returns the path of a collection's file in a data subdirectory
+ * @param {string} kind - Subdirectory: "manifests" or "checkpoints"
+ * @param {string} collectionName - Collection the file describes
+ * @param {string} [dataDir] - Data directory (defaults to RAG_DATA_DIR or ./.rag)
+ * @returns {string} Absolute file path
+ */
+function collectionFilePath(kind, collectionName, dataDir) {
+    return path.resolve(dataDir || process.env.RAG_DATA_DIR || "./.rag", kind, `${collectionName}.json`);
+}
+
+/**
+ * Reads a JSON file, or returns null if it does not exist
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object|null>} Parsed content
+ */
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+        return null;
+    }
+}
+
+/**
+ * Writes a JSON file through a temporary file, so a crash never leaves it truncated.
+ * The temporary file's name is unique, so concurrent writers never share one.
+ * @param {string} filePath - File to write
+ * @param {Object} data - Content
+ */
+async function writeJson(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+/**
+ * Loads the manifest for a collection, or an empty one if none was saved.
+ * `sources` maps each source path to its file hash and chunk IDs.
+ * @param {string} collectionName - Collection the manifest describes
+ * @param {string} [dataDir] - Data directory
+ * @returns {Promise<Object>} Manifest with collectionName, embeddingModel, updatedAt and sources
+ */
+export async function loadManifest(collectionName, dataDir) {
+    return await readJson(collectionFilePath("manifests", collectionName, dataDir))
+        || { collectionName, embeddingModel: null, updatedAt: null, sources: {} };
+}
+
+/**
+ * Writes a manifest, replacing the previous one atomically
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @param {string} [dataDir] - Data directory
+ */
+export async function saveManifest(manifest, dataDir) {
+    manifest.updatedAt = new Date().toISOString();
+    await writeJson(collectionFilePath("manifests", manifest.collectionName, dataDir), manifest);
+}
+
+/**
+ * Deletes the manifest for a collection, if there is one
+ * @param {string} collectionName - Collection the manifest describes
+ * @param {string} [dataDir] - Data directory
+ */
+export async function deleteManifest(collectionName, dataDir) {
+    await fs.rm(collectionFilePath("manifests", collectionName, dataDir), { force: true });
+}
+
+/**
+ * Loads the checkpoint of an indexing run that did not finish, or null if the
+ * last run finished. `chunks` lists the IDs already embedded and written to the
+ * store, which the manifest does not know about yet.
+ * @param {string} collectionName - Collection being indexed
+ * @param {string} [dataDir] - Data directory
+ * @returns {Promise<Object|null>} Checkpoint with collectionName, embeddingModel, chunking,
+ *   startedAt, updatedAt and chunks
+ */
+export async function loadCheckpoint(collectionName, dataDir) {
+    return readJson(collectionFilePath("checkpoints", collectionName, dataDir));
+}
+
+/**
+ * Writes a checkpoint, replacing the previous one atomically
+ * @param {Object} checkpoint - Checkpoint as returned by loadCheckpoint()
+ * @param {string} [dataDir] - Data directory
+ */
+export async function saveCheckpoint(checkpoint, dataDir) {
+    checkpoint.updatedAt = new Date().toISOString();
+    await writeJson(collectionFilePath("checkpoints", checkpoint.collectionName, dataDir), checkpoint);
+}
+
+/**
+ * Deletes a collection's checkpoint, once its run finished or its points are gone
+ * @param {string} collectionName - Collection being indexed
+ * @param {string} [dataDir] - Data directory
+ */
+export async function deleteCheckpoint(collectionName, dataDir) {
+    await fs.rm(collectionFilePath("checkpoints", collectionName, dataDir), { force: true });
+}
+
+/**
+ * Hashes a string with SHA-256
+ * @param {string|Buffer} content - Content to hash
+ * @returns {string} Hex digest
+ */
+export function hashContent(content) {
+    return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hashes a file's bytes, or returns null if the file no longer exists
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string|null>} Hex digest or null
+ */
+export async function hashFile(filePath) {
+    try {
+        return hashContent(await fs.readFile(filePath));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Compares files on disk with a manifest
+ * @param {Array<string>} files - Source files that should be indexed
+ * @param {Object} manifest - Manifest from loadManifest()
+ * @returns {Promise<{added: Array<string>, modified: Array<string>, removed: Array<string>}>} Changed sources
+ */
+export async function diffSources(files, manifest) {
+    const changes = { added: [], modified: [], removed: [] };
+    const sources = new Set();
+
+    for (const file of files) {
+        const source = sourcePath(file);
+        sources.add(source);
+
+        const entry = manifest.sources[source];
+        if (!entry) {
+            changes.added.push(source);
+        } else if (entry.fileHash !== await hashFile(file)) {
+            changes.modified.push(source);
+        }
+    }
+
+    for (const source of Object.keys(manifest.sources)) {
+        const entry = manifest.sources[source];
+        if (!sources.has(source) && entry.fileHash !== null && await hashFile(source) === null) {
+            changes.removed.push(source);
+        }
+    }
+
+    return changes;
+}
@@ -0,0 +1,83 @@
+// memory.js - Per-session chat history and follow-up question condensation
+
+import { logger } from "./telemetry.js";
+
+/**
+ * Creates an in-memory chat history that keeps the most recent turns
+ * @param {Object} [options] - History options
+ * @param {number} [options.maxTurns] - Turns kept before the oldest are dropped
+ * @param {number} [options.maxAnswerLength] - Characters of each answer kept for prompts
+ * @returns {Object} History with add(), turns(), isEmpty(), clear() and format()
+ */
+export function createChatHistory({ maxTurns = 5, maxAnswerLength = 600 } = {}) {
+    let turns = [];
+
+    return {
+        add(question, answer, standaloneQuestion = question) {
+            turns.push({ question, standaloneQuestion, answer });
+            if (turns.length > maxTurns) {
+                turns = turns.slice(turns.length - maxTurns);
+            }
+        },
+
+        turns() {
+            return [...turns];
+        },
+
+        isEmpty() {
+            return turns.length === 0;
+        },
+
+        clear() {
+            turns = [];
+        },
+
+        // Formats the history as "User:" / "Assistant:" lines for prompts
+        format() {
+            return turns.map(turn => {
+                const answer = turn.answer.length > maxAnswerLength
+                    ? `${turn.answer.substring(0, maxAnswerLength)}...`
+                    : turn.answer;
+                return `User: ${turn.question}\nAssistant: ${answer}`;
+            }).join('\n\n');
+        }
+    };
+}
+
+/**
+ * Rewrites a follow-up question into a standalone question using the chat
+ * history, so retrieval sees what "that" or "it" refers to. Returns the
+ * question unchanged when there is no history or the rewrite fails.
+ * @param {string} question - Question as typed by the user
+ * @param {Object} history - History from createChatHistory()
+ * @param {Object} provider - Provider from createProvider()
+ * @returns {Promise<string>} Standalone question
+ */
+export async function condenseQuestion(question, history, provider) {
+    if (history.isEmpty()) {
+        return question;
+    }
+
+    const prompt = `
+Given the following conversation and a follow-up question, rewrite the follow-up question
+as a standalone question that can be understood without the conversation.
+Keep technical terms exactly as written. If the follow-up question is already standalone, return it unchanged.
+Respond with only the standalone question.
+
+CONVERSATION:
+${history.format()}
+
+FOLLOW-UP QUESTION:
+${question}
+
+STANDALONE QUESTION:
+`;
+
+    try {
+        const standalone = (await provider.generate(prompt)).trim().replace(/^"|"$/g, '');
+        return standalone || question;
+    } catch (error) {
+        logger.error("Error condensing follow-up question, searching with it as asked", { error, model: provider.generationModel });
+        return question;
+    }
+}
@@ -0,0 +1,459 @@
+// modelRecommender.js - Recommends an AI model from the catalog in aiModels.json
+
+import { createProvider } from './providers.js';
+import { loadCatalog, formatPricing } from './catalog.js';
+import { shortlistModels, describeRequirements, recommendFromShortlist, formatMonthlyCost, noMatchingModelError } from './requirements.js';
+import { logger } from './telemetry.js';
+
+/**
+ * Loads AI model data from the validated catalog
+ * @returns {Promise<Array>} Array of AI model objects
+ */
+export async function loadAIModelData() {
+    try {
+        const { models } = await loadCatalog();
+        return models;
+    } catch (error) {
+        logger.error("Error loading AI model data", { error });
+        throw error;
+    }
+}
+
+/**
+ * Describes a shortlisted model's estimated monthly cost
+ * @param {Object} candidate - Shortlist entry from shortlistModels()
+ * @returns {string} The estimate and how it was reached
+ */
+function describeMonthlyCost(candidate) {
+    return candidate.monthlyCost === null
+        ? `unknown (${candidate.costNote})`
+        : `${formatMonthlyCost(candidate.monthlyCost)} (${candidate.costNote})`;
+}
+
+/**
+ * Creates a prompt for the generation model to analyze the user's query and recommend an AI model.
+ * Only the shortlisted models are described, each with its computed monthly cost.
+ * @param {string} userQuery - User's query about what they want to do with an AI model
+ * @param {Object} result - Result of shortlistModels() for the query
+ * @returns {string} The formatted prompt
+ */
+export function createModelSelectorPrompt(userQuery, { requirements, shortlist }) {
+    const modelData = shortlist.map(candidate => {
+        const { model } = candidate;
+        return `
+    Model: ${model.name}${model.status === 'active' ? '' : ` (${model.status}${model.replacedBy ? `, replaced by ${model.replacedBy}` : ''})`}
+    Provider: ${model.provider}
+    Best for: ${model.bestFor}
+    Pricing: ${formatPricing(model)}
+    Estimated monthly cost: ${describeMonthlyCost(candidate)}
+    Context window: ${model.contextWindow ? `${model.contextWindow} tokens` : 'n/a'}
+    Input: ${model.modalities.input.join(', ')}; output: ${model.modalities.output.join(', ')}
+    Open weights: ${model.openWeights ? 'yes' : 'no'}
+    Limitations: ${model.limitations}
+  `;
+    }).join('\n');
+
+    return `
+    You are a knowledgeable AI model selector. Your job is to recommend the best AI model based on the user's needs.
+    
+    These requirements were read from the user's query:
+    ${describeRequirements(requirements).join('\n    ')}
+    
+    Only the following models meet them, ranked by the rules that checked them:
+    ${modelData}
+    
+    User Query: "${userQuery}"
+    
+    Based on the user's query, please analyze which of these AI models would be the best fit.
+    
+    In your response, provide:
+    1. The recommended AI model name
+    2. Why this model is the best fit for their needs
+    3. Pricing considerations, using the estimated monthly costs above
+    4. Any limitations or alternatives they should consider
+    5. A brief suggestion on how they might implement their solution
+    
+    Format your response in a clear, structured way with headings.
+  `;
+}
+
+/**
+ * Describes why no model meets a query's requirements
+ * @param {Object} result - Result of shortlistModels() with an empty shortlist
+ * @returns {string} The requirements and the reason each model was excluded
+ */
+function describeNoMatch({ requirements, excluded }) {
+    return [
+        "No model in the catalog meets these requirements:",
+        ...describeRequirements(requirements).map(line => `- ${line}`),
+        "",
+        "Excluded:",
+        ...excluded.map(({ model, reason }) => `- ${model}: ${reason}`)
+    ].join('\n');
+}
+
+/**
+ * Formats a recommendation made by the rules alone as Markdown
+ * @param {Object} recommendation - Result of recommendFromShortlist()
+ * @returns {string} The recommendation with its alternatives, cost and caveats
+ */
+function formatRuleRecommendation(recommendation) {
+    return [
+        "The recommendation model is unavailable, so this recommendation comes from the catalog rules alone.",
+        "",
+        `## Recommended model: ${recommendation.recommendedModel} (${recommendation.provider})`,
+        "",
+        recommendation.rationale,
+        "",
+        `## Estimated cost`,
+        "",
+        recommendation.costEstimate,
+        ...(recommendation.alternatives.length > 0
+            ? ["", "## Alternatives", "", ...recommendation.alternatives.map(alternative => `- ${alternative.model} (${alternative.provider}): ${alternative.reason}`)]
+            : []),
+        "",
+        "## Caveats",
+        "",
+        ...recommendation.caveats.map(caveat => `- ${caveat}`)
+    ].join('\n');
+}
+
+/**
+ * Uses the configured provider to analyze a query and recommend the best AI model.
+ * The catalog is first narrowed to the models that meet the query's requirements;
+ * if the provider fails, the best of those is recommended by the rules alone.
+ * @param {string} query - User's query about what they want to do with an AI model
+ * @param {Array} modelDatabase - Array of AI model objects
+ * @param {Object} [options] - Recommendation options
+ * @param {Object} [options.provider] - Provider to use (defaults to the configured provider with ROUTER_MODEL)
+ * @param {AbortSignal} [options.signal] - Aborts generation; the partial text is returned
+ * @param {Function} [options.onToken] - Called with each chunk of text as it streams in
+ * @param {Object} [options.shortlist] - Result of shortlistModels() for the query, if already computed
+ * @returns {Promise<string>} The provider's recommendation
+ */
+export async function recommendAIModel(query, modelDatabase, { provider, signal, onToken, shortlist } = {}) {
+    const result = shortlist || shortlistModels(query, modelDatabase);
+    if (result.shortlist.length === 0) {
+        const message = describeNoMatch(result);
+        onToken?.(message);
+        return message;
+    }
+
+    let text = '';
+    try {
+        // Generation model used for recommendations (the provider comes from LLM_PROVIDER)
+        const recommender = provider || createProvider({ generationModel: process.env.ROUTER_MODEL || "gemini-1.5-pro" });
+
+        // Create the prompt
+        const prompt = createModelSelectorPrompt(query, result);
+
+        // Stream the recommendation
+        for await (const token of recommender.generateStream(prompt, { signal })) {
+            text += token;
+            onToken?.(token);
+        }
+
+        return text;
+    } catch (error) {
+        if (signal?.aborted) {
+            return text;
+        }
+        logger.error("Error recommending AI model, falling back to the catalog rules", { error });
+        const message = formatRuleRecommendation(recommendFromShortlist(result));
+        onToken?.(text ? `\n${message}` : message);
+        return message;
+    }
+}
+
+// Attempts at a structured recommendation before giving up, counting the first
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Alternatives a structured recommendation may list
+const MAX_ALTERNATIVES = 4;
+
+/**
+ * Creates a prompt asking for a recommendation as a JSON object. The
+ * shortlisted models are given as JSON so the model can copy their names
+ * exactly, each with its computed monthly cost.
+ * @param {string} userQuery - User's query about what they want to do with an AI model
+ * @param {Object} result - Result of shortlistModels() for the query
+ * @returns {string} The formatted prompt
+ */
+export function createStructuredRecommendationPrompt(userQuery, { requirements, shortlist }) {
+    const models = shortlist.map(candidate => ({
+        ...candidate.model,
+        estimatedMonthlyCostUsd: candidate.monthlyCost === null ? null : Number(candidate.monthlyCost.toFixed(4)),
+        costBasis: candidate.costNote
+    }));
+    const alternatives = Math.min(1, shortlist.length - 1);
+
+    return `
+You are a knowledgeable AI model selector. Recommend the AI model from the shortlist below that best fits the user's needs.
+
+REQUIREMENTS:
+${describeRequirements(requirements).join('\n')}
+
+Only the models below meet the requirements. They are ranked by the rules that checked them.
+
+MODELS:
+${JSON.stringify(models, null, 2)}
+
+USER QUERY:
+${userQuery}
+
+Reply with only a JSON object of this form, with no other text:
+{
+  "recommendedModel": "name of the best model",
+  "score": 0-100 fit of the recommended model,
+  "alternatives": [{ "model": "name of another model", "score": 0-100 fit, "reason": "why it is a reasonable alternative" }],
+  "costEstimate": "what the user can expect to pay per month, based on estimatedMonthlyCostUsd",
+  "rationale": "why the recommended model is the best fit",
+  "caveats": ["limitations or risks the user should know about"]
+}
+
+Rules:
+- recommendedModel and every alternative's model must be a "name" from MODELS, spelled exactly.
+- List ${alternatives} to ${Math.min(MAX_ALTERNATIVES, shortlist.length - 1)} alternatives, best first, none of them the recommended model.
+
+RECOMMENDATION JSON:
+`;
+}
+
+/**
+ * Parses a JSON object from a response, tolerating code fences and text around it
+ * @param {string} text - Response text
+ * @returns {Object|null} Parsed object, or null if the response holds none
+ */
+function parseJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) {
+        return null;
+    }
+    try {
+        const value = JSON.parse(text.slice(start, end + 1));
+        return typeof value === 'object' && value !== null && !Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks a structured recommendation against the schema and the catalog.
+ * Model names are matched case-insensitively and replaced by their catalog
+ * spelling, and alternatives are sorted by score. A catalog of one model
+ * needs no alternatives.
+ * @param {*} value - Parsed response
+ * @param {Array} modelDatabase - Array of AI model objects the recommendation may name
+ * @returns {{recommendation: Object|null, errors: Array<string>}} The normalized
+ *   recommendation when valid, otherwise null and every problem found
+ */
+export function validateRecommendation(value, modelDatabase) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        return { recommendation: null, errors: ["the reply is not a JSON object"] };
+    }
+
+    const errors = [];
+    const minAlternatives = Math.min(1, modelDatabase.length - 1);
+    const catalog = new Map(modelDatabase.map(model => [model.name.toLowerCase(), model]));
+    const isText = text => typeof text === 'string' && text.trim() !== '';
+    const isScore = score => typeof score === 'number' && score >= 0 && score <= 100;
+
+    const findModel = (name, field) => {
+        if (!isText(name)) {
+            errors.push(`${field} must be a model name`);
+            return null;
+        }
+        const model = catalog.get(name.trim().toLowerCase());
+        if (!model) {
+            errors.push(`${field} "${name}" is not in the catalog`);
+        }
+        return model || null;
+    };
+
+    const recommended = findModel(value.recommendedModel, 'recommendedModel');
+    if (!isScore(value.score)) {
+        errors.push('score must be a number from 0 to 100');
+    }
+
+    const alternatives = [];
+    if (!Array.isArray(value.alternatives) || value.alternatives.length < minAlternatives || value.alternatives.length > MAX_ALTERNATIVES) {
+        errors.push(`alternatives must be an array of ${minAlternatives} to ${MAX_ALTERNATIVES} entries`);
+    } else {
+        value.alternatives.forEach((alternative, i) => {
+            const field = `alternatives[${i}]`;
+            if (typeof alternative !== 'object' || alternative === null) {
+                errors.push(`${field} must be an object`);
+                return;
+            }
+            const model = findModel(alternative.model, `${field}.model`);
+            if (model && model === recommended) {
+                errors.push(`${field}.model repeats the recommended model`);
+            } else if (model && alternatives.some(entry => entry.model === model.name)) {
+                errors.push(`${field}.model "${model.name}" is listed twice`);
+            }
+            if (!isScore(alternative.score)) {
+                errors.push(`${field}.score must be a number from 0 to 100`);
+            }
+            if (!isText(alternative.reason)) {
+                errors.push(`${field}.reason must be a non-empty string`);
+            }
+            if (model) {
+                alternatives.push({ model: model.name, provider: model.provider, score: alternative.score, reason: alternative.reason });
+            }
+        });
+    }
+
+    for (const field of ['costEstimate', 'rationale']) {
+        if (!isText(value[field])) {
+            errors.push(`${field} must be a non-empty string`);
+        }
+    }
+    if (!Array.isArray(value.caveats) || !value.caveats.every(isText)) {
+        errors.push('caveats must be an array of non-empty strings');
+    }
+
+    if (errors.length > 0) {
+        return { recommendation: null, errors };
+    }
+    return {
+        recommendation: {
+            recommendedModel: recommended.name,
+            provider: recommended.provider,
+            score: value.score,
+            alternatives: alternatives.sort((a, b) => b.score - a.score),
+            costEstimate: value.costEstimate.trim(),
+            rationale: value.rationale.trim(),
+            caveats: value.caveats.map(caveat => caveat.trim())
+        },
+        errors: []
+    };
+}
+
+/**
+ * Recommends an AI model as a validated JSON object. The catalog is first
+ * narrowed to the models that meet the query's requirements, and the reply
+ * may only name those. A reply that does not parse or fails validation is
+ * sent back to the model with the problems found, up to `maxAttempts` times.
+ * If the provider fails, the best of the shortlist is recommended by the rules alone.
+ * @param {string} query - User's query about what they want to do with an AI model
+ * @param {Array} modelDatabase - Array of AI model objects
+ * @param {Object} [options] - Recommendation options
+ * @param {Object} [options.provider] - Provider to use (defaults to the configured provider with ROUTER_MODEL)
+ * @param {AbortSignal} [options.signal] - Stops before the next attempt
+ * @param {number} [options.maxAttempts] - Attempts before giving up (default 3)
+ * @param {Object} [options.shortlist] - Result of shortlistModels() for the query, if already computed
+ * @returns {Promise<Object>} Recommendation with recommendedModel, provider, score,
+ *   alternatives [{ model, provider, score, reason }], costEstimate, rationale, caveats, attempts
+ *   and source: "model", or "rules" when the provider failed
+ * @throws {Error} When no attempt produced a valid recommendation; `details` lists the last attempt's problems.
+ *   When no model meets the requirements, `code` is "no_matching_model" and `details` lists why each was excluded.
+ */
+export async function recommendAIModelStructured(query, modelDatabase, { provider, signal, maxAttempts = DEFAULT_MAX_ATTEMPTS, shortlist } = {}) {
+    const result = shortlist || shortlistModels(query, modelDatabase);
+    if (result.shortlist.length === 0) {
+        throw noMatchingModelError(result);
+    }
+
+    const candidates = result.shortlist.map(candidate => candidate.model);
+    const basePrompt = createStructuredRecommendationPrompt(query, result);
+
+    let prompt = basePrompt;
+    let errors = [];
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        signal?.throwIfAborted();
+        let text;
+        try {
+            const recommender = provider || createProvider({ generationModel: process.env.ROUTER_MODEL || "gemini-1.5-pro" });
+            text = await recommender.generate(prompt, { json: true });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            logger.error("Error recommending AI model, falling back to the catalog rules", { error, attempt });
+            return recommendFromShortlist(result);
+        }
+        const validated = validateRecommendation(parseJsonObject(text), candidates);
+        if (validated.recommendation) {
+            return { ...validated.recommendation, attempts: attempt, source: "model" };
+        }
+        errors = validated.errors;
+
+        logger.warn(`Recommendation attempt ${attempt}/${maxAttempts} failed validation: ${errors.join("; ")}`, { attempt });
+        prompt = `${basePrompt.trimEnd()}
+${text.trim()}
+
+That reply was rejected because:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Correct these problems and reply with the whole JSON object again.
+
+RECOMMENDATION JSON:
+`;
+    }
+
+    const error = new Error(`The model did not return a valid recommendation in ${maxAttempts} attempts.`);
+    error.details = errors;
+    throw error;
+}
+
+/**
+ * Prints a structured recommendation as a table of the recommended model and
+ * its alternatives, followed by the cost estimate, rationale and caveats
+ * @param {Object} recommendation - Result of recommendAIModelStructured()
+ */
+export function printRecommendation(recommendation) {
+    const rows = [
+        { rank: '1', model: recommendation.recommendedModel, provider: recommendation.provider, score: recommendation.score, note: 'Recommended' },
+        ...recommendation.alternatives.map((alternative, i) => ({ rank: String(i + 2), note: alternative.reason, ...alternative }))
+    ];
+    const modelWidth = Math.max(5, ...rows.map(row => row.model.length));
+    const providerWidth = Math.max(8, ...rows.map(row => row.provider.length));
+
+    console.log(`\n${'Rank'.padEnd(6)}${'Model'.padEnd(modelWidth + 2)}${'Provider'.padEnd(providerWidth + 2)}${'Score'.padStart(5)}  Notes`);
+    for (const row of rows) {
+        console.log(`${row.rank.padEnd(6)}${row.model.padEnd(modelWidth + 2)}${row.provider.padEnd(providerWidth + 2)}${String(row.score).padStart(5)}  ${row.note}`);
+    }
+
+    if (recommendation.source === 'rules') {
+        console.log("\nThe recommendation model is unavailable, so this recommendation comes from the catalog rules alone.");
+    }
+    console.log(`\nCost estimate: ${recommendation.costEstimate}`);
+    console.log(`Rationale: ${recommendation.rationale}`);
+    if (recommendation.caveats.length > 0) {
+        console.log("Caveats:");
+        recommendation.caveats.forEach(caveat => console.log(`  - ${caveat}`));
+    }
+}
+
+/**
+ * Prints the requirements read from a query and the shortlisted models with
+ * their estimated monthly cost, and their relevance when they were retrieved
+ * from the catalog index
+ * @param {Object} result - Result of shortlistModels() or retrieveShortlist()
+ */
+export function printShortlist({ requirements, shortlist, excluded }) {
+    console.log("Requirements:");
+    describeRequirements(requirements).forEach(line => console.log(`  ${line}`));
+    if (shortlist.length === 0) {
+        return;
+    }
+
+    const rows = shortlist.map(candidate => ({
+        model: candidate.model.name,
+        provider: candidate.model.provider,
+        cost: candidate.monthlyCost === null ? 'n/a' : formatMonthlyCost(candidate.monthlyCost),
+        relevance: candidate.relevance === null ? '' : `${(candidate.relevance * 100).toFixed(1)}%`.padStart(9),
+        matched: candidate.matched.join(', ') || '-'
+    }));
+    const retrieved = shortlist.some(candidate => candidate.relevance !== null);
+    const modelWidth = Math.max(5, ...rows.map(row => row.model.length));
+    const providerWidth = Math.max(8, ...rows.map(row => row.provider.length));
+    const costWidth = Math.max(12, ...rows.map(row => row.cost.length));
+
+    console.log(`\nShortlist (${shortlist.length} of ${shortlist.length + excluded.length} models):`);
+    console.log(`${'Model'.padEnd(modelWidth + 2)}${'Provider'.padEnd(providerWidth + 2)}${'Monthly cost'.padStart(costWidth)}${retrieved ? '  Relevance' : ''}  Matches`);
+    for (const row of rows) {
+        console.log(`${row.model.padEnd(modelWidth + 2)}${row.provider.padEnd(providerWidth + 2)}${row.cost.padStart(costWidth)}${retrieved ? `  ${row.relevance}` : ''}  ${row.matched}`);
+    }
+}
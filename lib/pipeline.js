@@ -0,0 +1,218 @@
+// pipeline.js - RagPipeline: indexing, retrieval and cited answers over one collection, with no import-time side effects
+
+import { createProvider } from "./providers.js";
+import { createVectorStore } from "./vectorStores.js";
+import { indexPaths, findChangedSources } from "./indexer.js";
+import { RETRIEVAL_STRATEGIES, searchDefaults } from "./retrieval.js";
+import { parseTransforms } from "./queryTransforms.js";
+import { createChatHistory, condenseQuestion } from "./memory.js";
+import { generateAnswer, generateDecomposedAnswer } from "./answer.js";
+import { verifyGrounding } from "./citations.js";
+import { createCache } from "./cache.js";
+import { loadManifest } from "./manifest.js";
+import { logger, trace } from "./telemetry.js";
+
+/**
+ * Creates a RAG pipeline. Nothing is read from disk or the network until a
+ * method is called, so pipelines can be created freely by scripts, services and tests.
+ * condense(), search(), answer() and ask() each run in a trace span (see telemetry.js):
+ * called on their own they start a trace, and called inside one they join it.
+ * @param {Object} [options] - Pipeline options
+ * @param {Object} [options.provider] - Provider from createProvider() (defaults to LLM_PROVIDER)
+ * @param {Object} [options.vectorStore] - Vector store from createVectorStore() (defaults to VECTOR_STORE)
+ * @param {string} [options.collectionName] - Collection for the default vector store
+ * @param {Array<string>} [options.docsPaths] - Targets indexed by prepare() and index() (defaults to DOCS_PATH)
+ * @param {string|Function} [options.strategy] - "single", "multi", or a function (query, options) returning results
+ * @param {string|Array<string>} [options.transforms] - Query transforms used by the multi strategy (defaults to QUERY_TRANSFORMS)
+ * @param {number} [options.k] - Results per search
+ * @param {string} [options.mode] - Search mode (defaults to SEARCH_MODE)
+ * @param {number} [options.vectorWeight] - Vector share of hybrid scores (defaults to HYBRID_VECTOR_WEIGHT)
+ * @param {string} [options.reranker] - Reranker (defaults to RERANKER)
+ * @param {Object} [options.history] - Chat history used by ask() when none is passed (defaults to a new one)
+ * @param {number} [options.batchSize] - Chunks embedded per batch by index()
+ * @param {Object} [options.cache] - Cache from createCache() (defaults to one configured by CACHE_ENABLED and CACHE_ANSWERS)
+ * @returns {Object} RagPipeline with settings, history, cache, prepare(), index(), condense(), search(), answer() and ask()
+ */
+export function createRagPipeline(options = {}) {
+    const provider = options.provider || createProvider();
+    const vectorStore = options.vectorStore || createVectorStore({ collectionName: options.collectionName });
+    const docsPaths = options.docsPaths || (process.env.DOCS_PATH || "./node.pdf").split(",").map(p => p.trim());
+    const cache = options.cache || createCache();
+    const defaults = searchDefaults();
+
+    // Search settings; callers such as the REPL `set` command may change them between questions
+    const settings = {
+        k: options.k ?? 4,
+        strategy: options.strategy || "single",
+        mode: options.mode || defaults.mode,
+        vectorWeight: options.vectorWeight ?? defaults.vectorWeight,
+        reranker: options.reranker || defaults.reranker,
+        transforms: options.transforms ? parseTransforms(options.transforms) : defaults.transforms
+    };
+
+    return {
+        provider,
+        vectorStore,
+        docsPaths,
+        settings,
+        cache,
+        history: options.history || createChatHistory(),
+
+        /**
+         * Makes sure the collection is ready to search: indexes docsPaths if it
+         * is missing or empty, and updates it if any of them changed. A collection
+         * chunked with other settings is left alone, as updating it would mix chunkings.
+         * @returns {Promise<{status: string, pointCount: number, changed: number}>} Status is
+         *   "indexed", "updated", "ready" or "chunking_changed"
+         */
+        async prepare() {
+            if (!await vectorStore.collectionExists()) {
+                logger.info("Vector store not found. Starting initial indexing...", { collection: vectorStore.collectionName });
+                await this.index();
+                return { status: "indexed", pointCount: await vectorStore.count(), changed: 0 };
+            }
+
+            const pointCount = await vectorStore.count();
+            if (pointCount === 0) {
+                logger.info("Vector store exists but is empty. Starting indexing...", { collection: vectorStore.collectionName });
+                await this.index();
+                return { status: "indexed", pointCount: await vectorStore.count(), changed: 0 };
+            }
+
+            const changes = await findChangedSources(docsPaths, vectorStore);
+            const changed = changes.added.length + changes.modified.length + changes.removed.length;
+            if (changes.chunkingChanged) {
+                return { status: "chunking_changed", pointCount, changed };
+            }
+            if (changed > 0) {
+                logger.info(`${changed} documents changed since the last index. Updating...`, { collection: vectorStore.collectionName, changed });
+                await this.index();
+                return { status: "updated", pointCount: await vectorStore.count(), changed };
+            }
+            return { status: "ready", pointCount, changed: 0 };
+        },
+
+        /**
+         * Indexes docsPaths, or other targets
+         * @param {Object} [indexOptions] - Options for indexPaths(), e.g. rebuild, onProgress and chunking settings, plus:
+         * @param {string|Array<string>} [indexOptions.targets] - Targets to index instead of docsPaths
+         * @returns {Promise<{added: number, unchanged: number, removed: number}>} Chunk counts
+         */
+        async index({ targets = docsPaths, ...indexOptions } = {}) {
+            return indexPaths(targets, { provider, vectorStore, batchSize: options.batchSize, ...indexOptions });
+        },
+
+        /**
+         * Rewrites a follow-up question into a standalone one using the history
+         * @param {string} question - Question as asked
+         * @param {Object} [history] - Chat history (defaults to the pipeline's)
+         * @returns {Promise<string>} Standalone question
+         */
+        async condense(question, history = this.history) {
+            return trace("rag.condense", { "rag.stage": "condense", "rag.history_turns": history ? history.turns().length : 0 },
+                () => condenseQuestion(question, history, provider));
+        },
+
+        /**
+         * Retrieves the chunks most relevant to a query with the configured strategy
+         * @param {string} query - Query to search with
+         * @param {Object} [searchOptions] - Overrides of the settings (k, strategy, mode,
+         *   vectorWeight, reranker, transforms), plus a metadata `filter`
+         * @returns {Promise<Array<Object>>} Results with id, pageContent, metadata, score and scores
+         */
+        async search(query, searchOptions = {}) {
+            // Options left undefined fall back to the settings
+            const merged = { ...settings };
+            Object.entries(searchOptions).forEach(([key, value]) => {
+                if (value !== undefined) {
+                    merged[key] = value;
+                }
+            });
+            const { strategy, ...rest } = merged;
+            const search = typeof strategy === "function" ? strategy : RETRIEVAL_STRATEGIES[strategy];
+            if (!search) {
+                throw new Error(`Unknown retrieval strategy "${strategy}". Expected one of: ${Object.keys(RETRIEVAL_STRATEGIES).join(", ")}`);
+            }
+            const attributes = {
+                "rag.collection": vectorStore.collectionName,
+                "rag.strategy": typeof strategy === "function" ? "custom" : strategy,
+                "rag.k": rest.k,
+                "rag.mode": rest.mode,
+                "rag.reranker": rest.reranker
+            };
+            return trace("rag.retrieve", attributes, async span => {
+                const results = await search(query, { ...rest, provider, vectorStore, cache });
+                span.setAttributes({ "rag.results": results.length });
+                return results;
+            });
+        },
+
+        /**
+         * Generates a cited answer from retrieved chunks. Chunks retrieved by
+         * sub-questions of the decompose transform are answered per sub-question
+         * and the answers combined. With answer caching on,
+         * the answer to a first question (one with no history) is reused when the
+         * same question retrieves the same chunks from the same index version.
+         * @param {string} query - Question to answer
+         * @param {Array<Object>} results - Results from search()
+         * @param {Object} [answerOptions] - Answer options
+         * @param {Object} [answerOptions.history] - Chat history (defaults to the pipeline's)
+         * @param {AbortSignal} [answerOptions.signal] - Stops generation when aborted
+         * @param {Function} [answerOptions.onToken] - Called with each streamed piece of the answer
+         * @returns {Promise<string>} Answer
+         */
+        async answer(query, results, { history = this.history, signal, onToken } = {}) {
+            // Answers depend on the conversation, so only first questions are cached
+            const cacheable = cache.answers && (!history || history.isEmpty());
+            const decomposed = results.some(result => result.transform === "decompose");
+            const attributes = { "rag.stage": "generation", "rag.chunks": results.length, "rag.decomposed": decomposed };
+            return trace("rag.answer", attributes, async span => {
+                let key;
+                if (cacheable) {
+                    const { updatedAt } = await loadManifest(vectorStore.collectionName);
+                    key = { query, generationModel: provider.generationModel, indexVersion: updatedAt, chunks: results.map(result => result.id), decomposed };
+                    const cached = await cache.get("answers", vectorStore.collectionName, key);
+                    span.setAttributes({ "rag.cached": cached !== undefined });
+                    if (cached !== undefined) {
+                        onToken?.(cached);
+                        return cached;
+                    }
+                }
+
+                const generate = decomposed ? generateDecomposedAnswer : generateAnswer;
+                const answer = await generate(query, results, { provider, history, signal, onToken });
+                if (cacheable && !signal?.aborted) {
+                    await cache.set("answers", vectorStore.collectionName, key, answer);
+                }
+                return answer;
+            });
+        },
+
+        /**
+         * Answers a question end to end: condenses it against the history,
+         * retrieves chunks, generates a cited answer, checks its grounding and
+         * records the turn in the history unless generation was aborted
+         * @param {string} question - Question as asked
+         * @param {Object} [askOptions] - search() options, plus history, signal and onToken as for answer()
+         * @returns {Promise<Object>} { question, standaloneQuery, results, answer, grounding, requestId, trace };
+         *   answer and grounding are null when nothing relevant was found. requestId is the ID of
+         *   the question's trace and trace its summary from summarizeTrace().
+         */
+        async ask(question, { history = this.history, signal, onToken, ...searchOptions } = {}) {
+            return trace("rag.ask", { "rag.collection": vectorStore.collectionName }, async span => {
+                const standaloneQuery = await this.condense(question, history);
+                const results = await this.search(standaloneQuery, searchOptions);
+                if (results.length === 0) {
+                    return { question, standaloneQuery, results, answer: null, grounding: null, requestId: span.traceId, trace: span.trace.summarize() };
+                }
+
+                const answer = await this.answer(standaloneQuery, results, { history, signal, onToken });
+                if (!signal?.aborted) {
+                    history.add(question, answer, standaloneQuery);
+                }
+                const grounding = verifyGrounding(answer, results);
+                return { question, standaloneQuery, results, answer, grounding, requestId: span.traceId, trace: span.trace.summarize() };
+            });
+        }
+    };
+}
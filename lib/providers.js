@@ -0,0 +1,389 @@
+// providers.js - Embedding and generation providers used by the RAG scripts and the model router
+
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createHash } from "crypto";
+import { tokenize, splitSentences } from "./text.js";
+import { instrumentProvider, logger } from "./telemetry.js";
+import { loadCatalog } from "./catalog.js";
+
+// Vector size of each Gemini embedding model; others need EMBEDDING_DIM
+const GEMINI_EMBEDDING_DIMENSIONS = {
+    "embedding-001": 768,
+    "text-embedding-004": 768,
+    "gemini-embedding-001": 3072,
+    "gemini-embedding-exp-03-07": 3072
+};
+
+/**
+ * Converts Gemini usage metadata to token counts
+ * @param {Object} [metadata] - usageMetadata of a Gemini response
+ * @returns {{inputTokens: number, outputTokens: number}|null} Counts, or null if the response has none
+ */
+function geminiUsage(metadata) {
+    if (!metadata || metadata.promptTokenCount === undefined) {
+        return null;
+    }
+    return { inputTokens: metadata.promptTokenCount, outputTokens: metadata.candidatesTokenCount ?? 0 };
+}
+
+/**
+ * Reads the prices of models from the catalog, keyed by the catalog entries'
+ * apiModel, so traced costs follow aiModels.json. Models without an entry, or
+ * whose entry has no price, are left out and their calls traced without a cost.
+ * @param {Array<string>} modelNames - API model names to price
+ * @returns {Promise<Object>} USD per 1K tokens by model name, as { inputPer1K, outputPer1K }
+ */
+async function catalogPricing(modelNames) {
+    try {
+        const { models } = await loadCatalog();
+        return Object.fromEntries(models
+            .filter(model => modelNames.includes(model.apiModel)
+                && model.pricing.inputPer1K !== null && model.pricing.outputPer1K !== null)
+            .map(model => [model.apiModel, { inputPer1K: model.pricing.inputPer1K, outputPer1K: model.pricing.outputPer1K }]));
+    } catch (error) {
+        logger.warn("Error reading model prices from the catalog, tracing calls without a cost", { error });
+        return {};
+    }
+}
+
+/**
+ * Creates a provider backed by the Google Gemini API
+ * @param {Object} options - Provider options
+ * @param {string} [options.apiKey] - Google API key (defaults to GOOGLE_API_KEY)
+ * @param {string} [options.embeddingModel] - Embedding model name
+ * @param {number} [options.dimensions] - Vector size of the embedding model (defaults to EMBEDDING_DIM,
+ *   then the known size of the model)
+ * @param {string} [options.generationModel] - Generation model name
+ * @returns {Object} Provider with embed(), embedBatch(), generate() and generateStream()
+ */
+function createGeminiProvider(options) {
+    const apiKey = options.apiKey || process.env.GOOGLE_API_KEY;
+    if (!apiKey) {
+        throw new Error("GOOGLE_API_KEY is not set. Add it to your .env file or set LLM_PROVIDER=local.");
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey);
+    const embeddingModelName = options.embeddingModel || process.env.EMBEDDING_MODEL || "embedding-001";
+    const generationModelName = options.generationModel || process.env.GENERATION_MODEL || "gemini-2.0-flash";
+    const dimensions = Number(options.dimensions || process.env.EMBEDDING_DIM) || GEMINI_EMBEDDING_DIMENSIONS[embeddingModelName];
+    if (!dimensions) {
+        throw new Error(`The vector size of embedding model ${embeddingModelName} is unknown. Set EMBEDDING_DIM to it. `
+            + `Known models: ${Object.keys(GEMINI_EMBEDDING_DIMENSIONS).join(", ")}`);
+    }
+    const embeddingModel = genAI.getGenerativeModel({ model: embeddingModelName });
+    const generativeModel = genAI.getGenerativeModel({ model: generationModelName });
+    let pricing = null;
+
+    return {
+        name: "gemini",
+        embeddingModel: embeddingModelName,
+        generationModel: generationModelName,
+        dimensions,
+        maxBatchSize: 100, // Texts per batchEmbedContents request allowed by the API
+
+        // Read from the catalog on the first traced call, then kept
+        loadPricing() {
+            pricing = pricing || catalogPricing([embeddingModelName, generationModelName]);
+            return pricing;
+        },
+
+        async embed(text) {
+            const result = await embeddingModel.embedContent(text);
+            return result.embedding.values;
+        },
+
+        // One request for many texts, which counts once against the request rate limit
+        async embedBatch(texts) {
+            const result = await embeddingModel.batchEmbedContents({
+                requests: texts.map(text => ({ content: { role: "user", parts: [{ text }] } }))
+            });
+            return result.embeddings.map(embedding => embedding.values);
+        },
+
+        // With `json`, the reply is constrained to JSON instead of asked for it politely
+        async generate(prompt, { json = false, signal, onUsage } = {}) {
+            const result = await generativeModel.generateContent({
+                contents: [{ role: "user", parts: [{ text: prompt }] }],
+                ...(json ? { generationConfig: { responseMimeType: "application/json" } } : {})
+            }, { signal });
+            const usage = geminiUsage(result.response.usageMetadata);
+            if (usage) {
+                onUsage?.(usage);
+            }
+            return result.response.text();
+        },
+
+        async *generateStream(prompt, { signal, onUsage } = {}) {
+            const result = await generativeModel.generateContentStream(prompt, { signal });
+            for await (const chunk of result.stream) {
+                yield chunk.text();
+            }
+            // The aggregated response carries the token counts of the whole stream
+            const usage = geminiUsage((await result.response).usageMetadata);
+            if (usage) {
+                onUsage?.(usage);
+            }
+        }
+    };
+}
+
+/**
+ * Maps a term to a bucket and a sign so collisions partly cancel out
+ * @param {string} term - Term to hash
+ * @param {number} dimensions - Number of buckets
+ * @returns {{index: number, sign: number}} Bucket and sign for the term
+ */
+function hashTerm(term, dimensions) {
+    const digest = createHash("md5").update(term).digest();
+    return {
+        index: digest.readUInt32LE(0) % dimensions,
+        sign: digest[4] & 1 ? 1 : -1
+    };
+}
+
+/**
+ * Returns the text following `heading` up to the first of `endHeadings`
+ * @param {string} prompt - Prompt to search
+ * @param {string} heading - Heading that starts the section
+ * @param {Array<string>} endHeadings - Headings that end the section
+ * @returns {string|null} Section text, or null if the heading is absent
+ */
+function extractSection(prompt, heading, endHeadings) {
+    const start = prompt.lastIndexOf(heading);
+    if (start === -1) {
+        return null;
+    }
+
+    const rest = prompt.slice(start + heading.length);
+    const ends = endHeadings
+        .map(end => rest.indexOf(end))
+        .filter(index => index !== -1);
+
+    return (ends.length > 0 ? rest.slice(0, Math.min(...ends)) : rest).trim();
+}
+
+/**
+ * Creates a deterministic provider that needs no API key and no network.
+ * Embeddings are signed, hashed bag-of-words vectors over terms and term
+ * bigrams. Generation is templated on the prompt's final heading: answers are
+ * extractive (the context sentences that share the most terms with the
+ * question, cited by context entry number), follow-up questions are condensed by appending the previous one,
+ * reranking prompts are scored by the share of question terms in each passage, and query
+ * transforms get templated passages, step-back questions and sub-questions split at "and" and "?".
+ * Structured recommendations rank the catalog by the query terms in each model's name and strengths.
+ * @param {Object} options - Provider options
+ * @param {number} [options.dimensions] - Embedding size (defaults to LOCAL_EMBEDDING_DIM or 512)
+ * @returns {Object} Provider with embed(), embedBatch(), generate() and generateStream()
+ */
+function createLocalProvider(options) {
+    const dimensions = Number(options.dimensions || process.env.LOCAL_EMBEDDING_DIM || 512);
+
+    function embed(text) {
+        const vector = new Array(dimensions).fill(0);
+        const terms = tokenize(text);
+        const features = [...terms];
+        for (let i = 0; i < terms.length - 1; i++) {
+            features.push(`${terms[i]} ${terms[i + 1]}`);
+        }
+
+        const counts = new Map();
+        features.forEach(feature => counts.set(feature, (counts.get(feature) || 0) + 1));
+
+        for (const [feature, count] of counts) {
+            const { index, sign } = hashTerm(feature, dimensions);
+            vector[index] += sign * (1 + Math.log(count));
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+
+    function condense(prompt) {
+        const followUp = extractSection(prompt, "FOLLOW-UP QUESTION:", ["STANDALONE QUESTION:"]) || "";
+        const conversation = extractSection(prompt, "CONVERSATION:", ["FOLLOW-UP QUESTION:"]) || "";
+        const previous = conversation.split("\n").filter(line => line.startsWith("User: ")).pop();
+
+        return previous ? `${followUp} (follow-up to: ${previous.slice("User: ".length)})` : followUp;
+    }
+
+    function answer(prompt) {
+        const question = extractSection(prompt, "QUESTION:", ["ANSWER:"])
+            || extractSection(prompt, "User Query:", ["\n"])
+            || prompt.trim().split("\n").pop();
+        // Combined sub-answers are answered from the sub-answers themselves, without their labels
+        const context = (extractSection(prompt, "CONTEXT:", ["QUESTION:"]) || prompt)
+            .replace(/^Sub-question: .*$/gm, "")
+            .replace(/^Sub-answer: /gm, "");
+
+        const questionTerms = new Set(tokenize(question));
+
+        // Numbered context entries start with "[n] Source: ..."; cite sentences by entry
+        const sentences = context.split(/^(?=\[\d+\] )/m).flatMap(entry => {
+            const header = entry.match(/^\[(\d+)\] .*$/m);
+            const body = header ? entry.slice(header[0].length) : entry;
+            return splitSentences(body).map(sentence => ({ sentence, citation: header ? ` [${header[1]}]` : "" }));
+        });
+
+        const ranked = sentences
+            .map(({ sentence, citation }, position) => ({
+                sentence: citation ? sentence.replace(/([.!?]?)$/, `${citation}$1`) : sentence,
+                position,
+                overlap: new Set(tokenize(sentence).filter(term => questionTerms.has(term))).size
+            }))
+            .filter(entry => entry.overlap > 0)
+            .sort((a, b) => b.overlap - a.overlap || a.position - b.position)
+            .slice(0, 3)
+            .sort((a, b) => a.position - b.position);
+
+        if (ranked.length === 0) {
+            return "I don't have enough information to answer that question.";
+        }
+
+        return ranked.map(entry => entry.sentence).join(" ");
+    }
+
+    function score(prompt) {
+        const questionTerms = new Set(tokenize(extractSection(prompt, "QUESTION:", ["PASSAGES:"]) || ""));
+        const passages = (extractSection(prompt, "PASSAGES:", ["SCORES:"]) || "").split(/^(?=\[\d+\] )/m);
+
+        const ratings = passages.flatMap(passage => {
+            const header = passage.match(/^\[(\d+)\] /);
+            if (!header) {
+                return [];
+            }
+            const terms = new Set(tokenize(passage.slice(header[0].length)));
+            const covered = [...questionTerms].filter(term => terms.has(term)).length;
+            return [{ passage: Number(header[1]), score: questionTerms.size > 0 ? Math.round(10 * covered / questionTerms.size) : 0 }];
+        });
+
+        return JSON.stringify(ratings);
+    }
+
+    function transform(prompt, task) {
+        const question = (extractSection(prompt, "\nQUESTION:", [`\n${task}`]) || "").replace(/\?+$/, "");
+        if (task === "PASSAGE:") {
+            return `In Node.js, ${question.replace(/^(how|what|why|when|where|which|can|do|does|is|are)\b\s*/i, "")}.`;
+        }
+        if (task === "STEP-BACK QUESTION:") {
+            const topic = tokenize(question).slice(-3).join(" ");
+            return `What are the fundamentals of ${topic} in Node.js?`;
+        }
+        const parts = question.split(/\?\s+|\s+and\s+(?=(?:how|what|why|when|where|which|can|do|does|is|are)\b)/i)
+            .map(part => part.trim())
+            .filter(Boolean);
+        return JSON.stringify(parts.length > 1 ? parts.map(part => `${part}?`) : []);
+    }
+
+    function recommend(prompt) {
+        const models = JSON.parse(extractSection(prompt, "MODELS:", ["\nUSER QUERY:"]) || "[]");
+        const queryTerms = new Set(tokenize(extractSection(prompt, "USER QUERY:", ["\nReply with"]) || ""));
+
+        const ranked = models
+            .map((model, position) => {
+                const terms = new Set(tokenize(`${model.name} ${model.bestFor} ${(model.capabilities || []).join(" ")}`));
+                const matched = [...queryTerms].filter(term => terms.has(term));
+                return { model, position, matched, score: queryTerms.size > 0 ? Math.round(100 * matched.length / queryTerms.size) : 0 };
+            })
+            .sort((a, b) => b.score - a.score || a.position - b.position);
+        const [best, ...others] = ranked;
+        if (!best) {
+            return "{}";
+        }
+        const { inputPer1K, outputPer1K, notes } = best.model.pricing;
+        const monthly = best.model.estimatedMonthlyCostUsd;
+
+        return JSON.stringify({
+            recommendedModel: best.model.name,
+            score: best.score,
+            alternatives: others.slice(0, 3).map(({ model, score }) => ({ model: model.name, score, reason: `Best for: ${model.bestFor}` })),
+            costEstimate: typeof monthly === "number"
+                ? `About $${monthly} per month`
+                : inputPer1K !== null && outputPer1K !== null
+                    ? `$${inputPer1K} per 1K input tokens and $${outputPer1K} per 1K output tokens`
+                    : notes,
+            rationale: best.matched.length > 0
+                ? `${best.model.name} matches "${best.matched.join(", ")}" in what it is best for: ${best.model.bestFor}.`
+                : `No model matches the query closely; ${best.model.name} is listed first.`,
+            caveats: [best.model.limitations]
+        });
+    }
+
+    function generate(prompt) {
+        // Prompts end with the heading of the part the model should write
+        const task = prompt.trim().split("\n").pop().trim();
+        if (task === "STANDALONE QUESTION:") {
+            return condense(prompt);
+        }
+        if (["PASSAGE:", "STEP-BACK QUESTION:", "SUB-QUESTIONS:"].includes(task)) {
+            return transform(prompt, task);
+        }
+        if (task === "RECOMMENDATION JSON:") {
+            return recommend(prompt);
+        }
+        return task === "SCORES:" ? score(prompt) : answer(prompt);
+    }
+
+    return {
+        name: "local",
+        embeddingModel: `local-hash-${dimensions}`,
+        generationModel: "local-extractive",
+        dimensions,
+        // Runs in-process, so calls cost nothing
+        async loadPricing() {
+            return {
+                [`local-hash-${dimensions}`]: { inputPer1K: 0, outputPer1K: 0 },
+                "local-extractive": { inputPer1K: 0, outputPer1K: 0 }
+            };
+        },
+
+        async embed(text) {
+            return embed(text);
+        },
+
+        async embedBatch(texts) {
+            return texts.map(embed);
+        },
+
+        async generate(prompt) {
+            return generate(prompt);
+        },
+
+        // Streams the same text word by word, yielding to the event loop between
+        // words so a cancellation can arrive mid-answer as it would over the network
+        async *generateStream(prompt, { signal } = {}) {
+            for (const token of generate(prompt).match(/\S+\s*/g) || []) {
+                if (signal?.aborted) {
+                    return;
+                }
+                await new Promise(resolve => setImmediate(resolve));
+                yield token;
+            }
+        }
+    };
+}
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    local: createLocalProvider
+};
+
+/**
+ * Creates the embedding and generation provider selected by config.
+ * The provider name comes from `options.provider`, then LLM_PROVIDER, then "gemini".
+ * Calls made inside a trace are recorded as spans with their token usage and cost (see telemetry.js).
+ * @param {Object} [options] - Provider name plus provider-specific options
+ * @returns {Object} Provider with name, dimensions, loadPricing() resolving to USD per 1K tokens by model, embed(text), embedBatch(texts) returning
+ *   one vector per text, generate(prompt, { json, signal, onUsage }) and generateStream(prompt, { signal, onUsage }), an
+ *   async iterable of text chunks. `json` asks for a reply that is only JSON where the provider supports it;
+ *   `onUsage` is called with { inputTokens, outputTokens } by providers that report token counts.
+ */
+export function createProvider(options = {}) {
+    const name = (options.provider || process.env.LLM_PROVIDER || "gemini").toLowerCase();
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+
+    return instrumentProvider(factory(options));
+}
@@ -0,0 +1,218 @@
+// queryTransforms.js - Rewrite a question into the queries the multi strategy searches with
+
+import { logger } from "./telemetry.js";
+
+/**
+ * Generates text for a transform prompt and parses it, reusing the result
+ * of an identical prompt when a cache is given. Results that fail to parse
+ * are not cached.
+ * @param {string} prompt - Prompt for the generation model
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [cache] - Cache from createCache()
+ * @param {Function} parse - Turns the response into a list of queries, or null if it is unusable
+ * @returns {Promise<Array<string>|null>} Queries, or null
+ */
+async function generateQueries(prompt, provider, cache, parse) {
+    const cached = await cache?.get("variations", provider.generationModel, prompt);
+    if (cached) {
+        return cached;
+    }
+
+    const queries = parse((await provider.generate(prompt)).trim());
+    if (queries) {
+        await cache?.set("variations", provider.generationModel, prompt, queries);
+    }
+    return queries;
+}
+
+/**
+ * Parses a JSON array of strings from a response, tolerating code fences
+ * @param {string} text - Response text
+ * @returns {Array<string>|null} Strings, or null if the response is not such an array
+ */
+function parseJsonList(text) {
+    try {
+        const list = JSON.parse(text.replace(/```json|```/g, "").trim());
+        return Array.isArray(list) && list.every(item => typeof item === "string") ? list : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Asks the provider for three rephrasings of a query, each from a different angle.
+ * With a cache, the variations of an identical query are reused; fallback
+ * variations used when the response cannot be parsed are not cached.
+ * @param {string} originalQuery - Query as asked
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [options] - Options
+ * @param {Object} [options.cache] - Cache from createCache()
+ * @returns {Promise<Array<string>>} The original query followed by its variations
+ */
+export async function generateQueryVariations(originalQuery, provider, { cache } = {}) {
+    try {
+        const prompt = `
+Generate three different versions of the following query to retrieve relevant information about Node.js.
+Create variations that:
+1. Focus on technical details and specifications
+2. Focus on practical use cases and examples
+3. Focus on conceptual understanding and fundamentals
+
+Original query: "${originalQuery}"
+
+Format your response as a JSON array with only the query variations. For example:
+["variation 1", "variation 2", "variation 3"]
+`;
+
+        const variations = await generateQueries(prompt, provider, cache, parseJsonList);
+        if (variations) {
+            return [originalQuery, ...variations];
+        }
+
+        logger.warn("Error parsing query variations: the response is not a JSON array of strings. Using templated variations.", { model: provider.generationModel });
+        // If parsing fails, generate some simple variations
+        return [
+            originalQuery,
+            `What are the technical aspects of ${originalQuery}?`,
+            `Examples of ${originalQuery} in Node.js`,
+            `Explain the concept of ${originalQuery} in Node.js`
+        ];
+    } catch (error) {
+        logger.error("Error generating query variations, searching with the question alone", { error, model: provider.generationModel });
+        // Return just the original query if there's an error
+        return [originalQuery];
+    }
+}
+
+/**
+ * Hypothetical document embeddings (HyDE): asks for a passage that would
+ * answer the question and searches with it, since a passage sits closer to
+ * the documentation's chunks than a question does
+ * @param {string} query - Question
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [cache] - Cache from createCache()
+ * @returns {Promise<Array<string>>} The hypothetical passage
+ */
+async function hypotheticalDocument(query, provider, cache) {
+    const prompt = `
+Write a short passage, as it might appear in Node.js documentation, that answers the question below.
+Write three to five factual sentences. Do not mention that the passage is hypothetical.
+
+QUESTION:
+${query}
+
+PASSAGE:
+`;
+    return await generateQueries(prompt, provider, cache, text => text ? [text] : null) || [];
+}
+
+/**
+ * Step-back prompting: asks for the more general question behind a specific
+ * one, which retrieves the background a specific question takes for granted
+ * @param {string} query - Question
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [cache] - Cache from createCache()
+ * @returns {Promise<Array<string>>} The step-back question
+ */
+async function stepBackQuestion(query, provider, cache) {
+    const prompt = `
+Rewrite the question below as a more general question about the Node.js concept or mechanism behind it.
+For example, "Why does my readStream.pipe() stop after the first file?" steps back to "How do Node.js streams and piping work?"
+Reply with the question only.
+
+QUESTION:
+${query}
+
+STEP-BACK QUESTION:
+`;
+    return await generateQueries(prompt, provider, cache, text => text ? [text.split("\n")[0].trim()] : null) || [];
+}
+
+/**
+ * Query decomposition: splits a multi-part question into self-contained
+ * sub-questions. Each is searched on its own, and the answer step answers
+ * them separately before combining the answers.
+ * @param {string} query - Question
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [cache] - Cache from createCache()
+ * @returns {Promise<Array<string>>} Sub-questions; none if the question has only one part
+ */
+async function subQuestions(query, provider, cache) {
+    const prompt = `
+Break the question below into the separate sub-questions that must be answered to answer it fully.
+Each sub-question must make sense on its own. Use at most four. If the question asks only one thing, reply with an empty array.
+Format your response as a JSON array of strings, for example:
+["How do I read a file in Node.js?", "How do I parse JSON in Node.js?"]
+
+QUESTION:
+${query}
+
+SUB-QUESTIONS:
+`;
+    const questions = await generateQueries(prompt, provider, cache, parseJsonList) || [];
+    return questions.length > 1 ? questions.slice(0, 4) : [];
+}
+
+// Query transforms by name. Each turns a question into extra queries to search with.
+export const QUERY_TRANSFORMS = {
+    variations: async (query, provider, cache) => (await generateQueryVariations(query, provider, { cache })).slice(1),
+    hyde: hypotheticalDocument,
+    stepback: stepBackQuestion,
+    decompose: subQuestions
+};
+
+export const TRANSFORM_NAMES = Object.keys(QUERY_TRANSFORMS);
+
+/**
+ * Reads a list of transforms, given as an array or a string separated by
+ * commas or plus signs, e.g. "hyde,stepback" or "hyde+stepback"
+ * @param {string|Array<string>} value - Transform names
+ * @returns {Array<string>} Validated transform names
+ */
+export function parseTransforms(value) {
+    const names = (Array.isArray(value) ? value : String(value).split(/[,+]/))
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    if (names.length === 0) {
+        throw new Error(`Name at least one query transform: ${TRANSFORM_NAMES.join(", ")}`);
+    }
+    const unknown = names.filter(name => !Object.hasOwn(QUERY_TRANSFORMS, name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown query transform(s): ${unknown.join(", ")}. Expected: ${TRANSFORM_NAMES.join(", ")}`);
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Applies transforms to a question. Combined transforms run in parallel and
+ * their queries are pooled; the question itself always comes first. A
+ * transform that fails is logged and contributes nothing.
+ * @param {string} query - Question
+ * @param {string|Array<string>} transforms - Transform names, as for parseTransforms()
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [options] - Options
+ * @param {Object} [options.cache] - Cache from createCache()
+ * @returns {Promise<Array<{query: string, transform: string}>>} Queries with the transform that produced them ("original" for the question)
+ */
+export async function transformQuery(query, transforms, provider, { cache } = {}) {
+    const names = parseTransforms(transforms);
+    const produced = await Promise.all(names.map(async name => {
+        try {
+            return (await QUERY_TRANSFORMS[name](query, provider, cache)).map(text => ({ query: text, transform: name }));
+        } catch (error) {
+            logger.error(`Error applying the ${name} query transform`, { error, transform: name, model: provider.generationModel });
+            return [];
+        }
+    }));
+
+    // The same text from two transforms is searched once, credited to the first
+    const seen = new Set();
+    return [{ query, transform: "original" }, ...produced.flat()].filter(entry => {
+        const key = entry.query.trim().toLowerCase();
+        if (!key || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
@@ -0,0 +1,459 @@
+// repl.js - Interactive prompt with a command dispatcher shared by the RAG scripts
+
+import readline from 'readline';
+import { indexPaths, manifestChunking } from "./indexer.js";
+import { describeChunking } from "./chunkers.js";
+import { loadManifest } from "./manifest.js";
+import { SEARCH_MODES, RETRIEVAL_STRATEGIES } from "./retrieval.js";
+import { RERANKER_NAMES } from "./rerankers.js";
+import { printCitationReport } from "./citations.js";
+import { parseFilterQuery, describeFilter } from "./filters.js";
+import { CACHE_KINDS, printCacheReport } from "./cache.js";
+import { TRANSFORM_NAMES } from "./queryTransforms.js";
+import { trace, printTraceSummary } from "./telemetry.js";
+
+// Allowed values for settings that are not simply positive numbers
+const SETTING_RULES = {
+    strategy: { choices: Object.keys(RETRIEVAL_STRATEGIES) },
+    mode: { choices: SEARCH_MODES },
+    reranker: { choices: RERANKER_NAMES },
+    vectorWeight: { min: 0, max: 1 },
+    transforms: { listOf: TRANSFORM_NAMES }
+};
+
+/**
+ * Returns an onProgress callback that draws a progress bar on TTYs and
+ * prints a line every tenth of the way otherwise
+ * @param {string} label - Text shown before the bar
+ * @returns {Function} Callback taking { done, total }
+ */
+export function createProgressReporter(label) {
+    let lastDecile = -1;
+
+    return ({ done, total }) => {
+        const ratio = total > 0 ? done / total : 1;
+
+        if (process.stdout.isTTY) {
+            const width = 30;
+            const filled = Math.round(ratio * width);
+            process.stdout.write(`\r${label} [${"#".repeat(filled)}${".".repeat(width - filled)}] ${done}/${total}`);
+            if (done >= total) {
+                process.stdout.write("\n");
+            }
+        } else if (Math.floor(ratio * 10) > lastDecile) {
+            lastDecile = Math.floor(ratio * 10);
+            console.log(`${label} ${done}/${total}`);
+        }
+    };
+}
+
+/**
+ * Creates the index management commands and the `set` command. A pipeline
+ * from createRagPipeline() can be passed as the options.
+ * @param {Object} options - Command dependencies
+ * @param {Object} options.provider - Provider from createProvider()
+ * @param {Object} options.vectorStore - Vector store from createVectorStore()
+ * @param {Array<string>} options.docsPaths - Targets indexed by `index` and `reindex`
+ * @param {Object} options.settings - Mutable session settings, e.g. { k: 4, strategy: "single", mode: "hybrid", reranker: "none" }
+ * @returns {Object} Commands keyed by name, each with description, run(args) and, for
+ *   commands taking arguments, usage and accepts(args)
+ */
+export function createIndexCommands({ provider, vectorStore, docsPaths, settings }) {
+    return {
+        index: {
+            description: "Index new and changed documents",
+            async run() {
+                await indexPaths(docsPaths, { provider, vectorStore, onProgress: createProgressReporter("Indexing") });
+            }
+        },
+
+        reindex: {
+            description: "Drop the collection and index every document from scratch",
+            async run() {
+                await indexPaths(docsPaths, { provider, vectorStore, rebuild: true, onProgress: createProgressReporter("Indexing") });
+            }
+        },
+
+        stats: {
+            description: "Show collection statistics",
+            async run() {
+                if (!await vectorStore.collectionExists()) {
+                    console.log(`Collection ${vectorStore.collectionName} does not exist yet. Type 'index' to create it.`);
+                    return;
+                }
+
+                const info = await vectorStore.info();
+                const manifest = await loadManifest(vectorStore.collectionName);
+                console.log(`\nCollection:      ${vectorStore.collectionName} (${vectorStore.name})`);
+                console.log(`Points:          ${info.pointsCount}`);
+                console.log(`Vector size:     ${info.vectorSize}`);
+                console.log(`Sources:         ${Object.keys(manifest.sources).length}`);
+                console.log(`Embedding model: ${manifest.embeddingModel || provider.embeddingModel}`);
+                const chunking = manifestChunking(manifest);
+                console.log(`Chunking:        ${chunking ? describeChunking(chunking) : "none yet"}`);
+                console.log(`Last indexed:    ${manifest.updatedAt || "unknown"}`);
+            }
+        },
+
+        sources: {
+            description: "List indexed documents",
+            async run() {
+                const manifest = await loadManifest(vectorStore.collectionName);
+                const entries = Object.entries(manifest.sources);
+
+                if (entries.length === 0) {
+                    console.log("No documents indexed yet. Type 'index' to index documents.");
+                    return;
+                }
+
+                console.log(`\n${entries.length} indexed documents:`);
+                entries
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .forEach(([source, entry]) => {
+                        console.log(`  ${source} - ${entry.chunks.length} chunks, indexed ${entry.indexedAt}`);
+                    });
+            }
+        },
+
+        set: {
+            description: "Show settings, or change one",
+            usage: "set [name] [value]",
+            accepts: ([name]) => Object.hasOwn(settings, name),
+            async run([name, value]) {
+                if (!name) {
+                    Object.entries(settings).forEach(([key, current]) => console.log(`  ${key} = ${current}`));
+                    return;
+                }
+                if (!Object.hasOwn(settings, name)) {
+                    console.log(`Unknown setting "${name}". Available: ${Object.keys(settings).join(", ")}`);
+                    return;
+                }
+                if (value === undefined) {
+                    console.log(`  ${name} = ${settings[name]}`);
+                    return;
+                }
+
+                // Keep the type of the current value so numbers stay numbers and lists stay lists
+                const rule = SETTING_RULES[name] || {};
+                const parsed = typeof settings[name] === "number" ? Number(value)
+                    : rule.listOf ? [...new Set(value.split(/[,+]/).map(item => item.trim()).filter(Boolean))]
+                        : value;
+                if (rule.listOf && (parsed.length === 0 || parsed.some(item => !rule.listOf.includes(item)))) {
+                    console.log(`"${value}" is not a valid value for ${name}. Expected a comma-separated list of: ${rule.listOf.join(", ")}.`);
+                    return;
+                }
+                if (rule.choices && !rule.choices.includes(parsed)) {
+                    console.log(`"${value}" is not a valid value for ${name}. Expected one of: ${rule.choices.join(", ")}.`);
+                    return;
+                }
+                if (rule.min !== undefined && !(parsed >= rule.min && parsed <= rule.max)) {
+                    console.log(`"${value}" is not a valid value for ${name}. Expected a number from ${rule.min} to ${rule.max}.`);
+                    return;
+                }
+                if (typeof settings[name] === "number" && rule.min === undefined && (!Number.isFinite(parsed) || parsed <= 0)) {
+                    console.log(`"${value}" is not a valid value for ${name}. Expected a positive number.`);
+                    return;
+                }
+                settings[name] = parsed;
+                console.log(`  ${name} = ${parsed}`);
+                if (name === "transforms" && settings.strategy !== "multi") {
+                    console.log("Query transforms apply to the multi strategy. Type 'set strategy multi' to use them.");
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Creates the `history` and `reset` commands for a chat history
+ * @param {Object} history - History from createChatHistory()
+ * @returns {Object} Commands keyed by name
+ */
+export function createHistoryCommands(history) {
+    return {
+        history: {
+            description: "Show the conversation so far",
+            async run() {
+                if (history.isEmpty()) {
+                    console.log("No conversation yet.");
+                    return;
+                }
+                history.turns().forEach((turn, i) => {
+                    console.log(`\n[${i + 1}] You: ${turn.question}`);
+                    if (turn.standaloneQuestion !== turn.question) {
+                        console.log(`    Searched as: ${turn.standaloneQuestion}`);
+                    }
+                    console.log(`    Answer: ${turn.answer.substring(0, 150)}${turn.answer.length > 150 ? "..." : ""}`);
+                });
+            }
+        },
+
+        reset: {
+            description: "Clear the conversation history",
+            async run() {
+                history.clear();
+                console.log("Conversation history cleared.");
+            }
+        }
+    };
+}
+
+/**
+ * Creates the `trace` command, which shows the stage timings, token usage
+ * and cost of the last question
+ * @param {Function} lastTrace - Returns the last question's trace, or null before the first
+ * @returns {Object} Commands keyed by name
+ */
+export function createTraceCommands(lastTrace) {
+    return {
+        trace: {
+            description: "Show stage timings, token usage and cost of the last question",
+            async run() {
+                const current = lastTrace();
+                if (!current) {
+                    console.log("No question asked yet.");
+                    return;
+                }
+                printTraceSummary(current.summarize());
+            }
+        }
+    };
+}
+
+/**
+ * Creates the `cache` command, which shows hit rates and size or clears the cache
+ * @param {Object} cache - Cache from createCache()
+ * @returns {Object} Commands keyed by name
+ */
+export function createCacheCommands(cache) {
+    return {
+        cache: {
+            description: "Show cache hit rates and size, or clear it",
+            usage: `cache [clear [${Object.keys(CACHE_KINDS).join("|")}]]`,
+            accepts: ([action, kind, ...rest]) => action === "clear" && rest.length === 0
+                && (kind === undefined || Object.hasOwn(CACHE_KINDS, kind)),
+            async run([action, kind]) {
+                if (action === "clear") {
+                    await cache.clear(kind);
+                    console.log(kind ? `Cleared cached ${kind}.` : "Cache cleared.");
+                    return;
+                }
+                if (!cache.enabled) {
+                    console.log("The cache is off (CACHE_ENABLED=false).");
+                    return;
+                }
+                printCacheReport(cache.stats(), await cache.info());
+                if (!cache.answers) {
+                    console.log("Answers are not cached; set CACHE_ANSWERS=true to cache them.");
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Starts a prompt loop. A line that is exactly a command name, or a command
+ * name followed by arguments its accepts() allows, runs that command; every
+ * other line is handed to onQuery as a question. `help` and `exit` are built in.
+ * Ctrl+C while a question is being answered aborts the signal passed to
+ * onQuery; Ctrl+C at the prompt quits.
+ * @param {Object} options - REPL options
+ * @param {string} options.prompt - Prompt text
+ * @param {Object} options.commands - Commands from createIndexCommands() and friends
+ * @param {Function} options.onQuery - Async handler called with (question, { signal })
+ * @returns {readline.Interface} The readline interface
+ */
+export function startRepl({ prompt, commands, onQuery }) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+
+    const allCommands = {
+        help: {
+            description: "List commands",
+            async run() {
+                console.log("\nCommands:");
+                Object.entries(allCommands).forEach(([name, command]) => {
+                    console.log(`  ${(command.usage || name).padEnd(20)} ${command.description}`);
+                });
+                console.log("Anything else is treated as a question. Start it with filters such as");
+                console.log("@source:node.pdf pages:100-200 type:pdf tag:guides after:2025-01-01 to narrow the search.");
+            }
+        },
+        ...commands,
+        exit: {
+            description: "Quit",
+            async run() {
+                console.log('Goodbye!');
+                rl.close();
+            }
+        }
+    };
+
+    // Controller for the question being answered, if any
+    let activeController = null;
+    let closed = false;
+
+    rl.on('close', () => {
+        closed = true;
+    });
+
+    rl.on('SIGINT', () => {
+        if (activeController) {
+            activeController.abort();
+        } else {
+            allCommands.exit.run();
+        }
+    });
+
+    const ask = () => {
+        rl.question(prompt, async (line) => {
+            const input = line.trim();
+            const [name, ...args] = input.split(/\s+/);
+            const candidate = allCommands[name.toLowerCase()];
+            const command = candidate && (args.length === 0 || candidate.accepts?.(args)) ? candidate : null;
+
+            try {
+                if (command) {
+                    await command.run(args);
+                } else if (input) {
+                    activeController = new AbortController();
+                    await onQuery(input, { signal: activeController.signal });
+                }
+            } catch (error) {
+                console.error(command ? `Error running "${name}":` : "Error processing query:", error);
+            } finally {
+                activeController = null;
+            }
+
+            // Ask another question, unless the user quit or closed the input
+            if (!closed) {
+                ask();
+            }
+        });
+    };
+
+    ask();
+    return rl;
+}
+
+/**
+ * Creates the question handler of the chat scripts: splits filters such as
+ * "@source:node.pdf" off the question, answers it with the pipeline while
+ * streaming the answer, and prints the citation report. Each question runs in its own trace.
+ * @param {Object} pipeline - Pipeline from createRagPipeline()
+ * @param {Object} [options] - Options
+ * @param {Function} [options.onTrace] - Called with each question's trace as it starts
+ * @returns {Function} onQuery handler for startRepl()
+ */
+export function createQuestionHandler(pipeline, { onTrace } = {}) {
+    return async (input, { signal } = {}) => {
+        let parsed;
+        try {
+            parsed = parseFilterQuery(input);
+        } catch (error) {
+            console.log(error.message);
+            return;
+        }
+
+        const { query, filter } = parsed;
+        if (!query) {
+            console.log("Type a question after the filters.");
+            return;
+        }
+
+        return trace("rag.question", { "rag.collection": pipeline.vectorStore.collectionName }, async span => {
+            onTrace?.(span.trace);
+
+            // Rewrite follow-ups into standalone questions before retrieval
+            const standaloneQuery = await pipeline.condense(query);
+            if (standaloneQuery !== query) {
+                console.log(`\nStandalone question: "${standaloneQuery}"`);
+            }
+
+            const parallel = pipeline.settings.strategy === "multi";
+            console.log(`\nSearching for: "${standaloneQuery}"${parallel ? " using parallel query retrieval..." : ""}`);
+            if (filter) {
+                console.log(`Filter: ${describeFilter(filter)}`);
+            }
+            const searchResults = await pipeline.search(standaloneQuery, { filter });
+
+            if (searchResults.length === 0) {
+                console.log("No relevant information found.");
+                return;
+            }
+            console.log(`\nFound ${searchResults.length} relevant chunks.`);
+
+            // Generate answer from the retrieved context, printing it as it streams in
+            console.log("\nGenerating answer based on context... (press Ctrl+C to stop)");
+            console.log("\n=== ANSWER ===");
+            const answer = await pipeline.answer(standaloneQuery, searchResults, {
+                signal,
+                onToken: token => process.stdout.write(token)
+            });
+            process.stdout.write("\n");
+
+            if (signal?.aborted) {
+                console.log("[Generation cancelled]");
+                console.log("==============");
+                return;
+            }
+            console.log("==============");
+            pipeline.history.add(query, answer, standaloneQuery);
+
+            // Show the sources behind the citations and flag unsupported sentences
+            printCitationReport(answer, searchResults);
+        });
+    };
+}
+
+/**
+ * Returns the chat banner, naming the provider and model that answer
+ * @param {Object} pipeline - Pipeline from createRagPipeline()
+ * @returns {string} Banner, e.g. "Node.js RAG System with Gemini (gemini-2.0-flash)"
+ */
+export function chatTitle(pipeline) {
+    const { name, generationModel } = pipeline.provider;
+    const title = `Node.js RAG System with ${name.charAt(0).toUpperCase()}${name.slice(1)} (${generationModel})`;
+    return pipeline.settings.strategy === "multi" ? `${title} & Parallel Query Retrieval` : title;
+}
+
+/**
+ * Runs the interactive chat over a pipeline: prepares the collection, then
+ * answers questions until the user quits
+ * @param {Object} pipeline - Pipeline from createRagPipeline()
+ * @param {Object} [options] - Chat options
+ * @param {string} [options.title] - Banner printed at startup (defaults to chatTitle())
+ * @param {string} [options.prompt] - Prompt text
+ * @returns {Promise<readline.Interface>} The readline interface
+ */
+export async function startChat(pipeline, { title = chatTitle(pipeline), prompt = '\nEnter your question about Node.js (or type "help" for commands): ' } = {}) {
+    console.log(title);
+    console.log("-".repeat(title.length));
+    console.log("Loading vector store...");
+
+    const { status, pointCount } = await pipeline.prepare();
+    if (status === "chunking_changed") {
+        console.log("The chunking settings differ from the ones this collection was indexed with.");
+        console.log("Searching the existing index. Type 'reindex' to rebuild it with the new settings.");
+    } else if (status === "ready") {
+        console.log(`Vector store ready with ${pointCount} indexed documents.`);
+    }
+
+    let lastTrace = null;
+    return startRepl({
+        prompt,
+        commands: {
+            ...createIndexCommands(pipeline),
+            ...createHistoryCommands(pipeline.history),
+            ...createCacheCommands(pipeline.cache),
+            ...createTraceCommands(() => lastTrace)
+        },
+        onQuery: createQuestionHandler(pipeline, {
+            onTrace: current => {
+                lastTrace = current;
+            }
+        })
+    });
+}
@@ -0,0 +1,406 @@
+// requirements.js - Rule-based requirements from a recommendation query, and the catalog shortlist that meets them
+
+import { classifyTask, MAKES_IMAGE, MAKES_VIDEO } from './router.js';
+
+// Usage assumed when the query does not say
+export const DEFAULT_REQUESTS_PER_MONTH = 10000;
+export const DEFAULT_INPUT_TOKENS = 1000;
+export const DEFAULT_OUTPUT_TOKENS = 500;
+
+// Candidates sent on to the recommendation model
+export const DEFAULT_SHORTLIST_SIZE = 5;
+
+// Rough conversions for lengths given in pages or words
+const TOKENS_PER_PAGE = 500;
+const TOKENS_PER_WORD = 4 / 3;
+
+// Context lengths above this also prefer long-context models
+const LONG_CONTEXT_TOKENS = 32000;
+
+// Months per period, for turning rates and budgets into monthly figures
+const MONTHS_PER = {
+    minute: 1 / 43200, hour: 1 / 720, day: 1 / 30, week: 12 / 52, month: 1, year: 12
+};
+
+const PERIOD_WORDS = {
+    minute: "minute", min: "minute", hour: "hour", hr: "hour", hourly: "hour",
+    day: "day", daily: "day", week: "week", weekly: "week",
+    month: "month", mo: "month", monthly: "month", year: "year", yr: "year", annually: "year", yearly: "year"
+};
+
+// "10k", "1.5 million", "20,000"
+const AMOUNT = String.raw`(\d[\d,]*(?:\.\d+)?)\s*(k|m|b|thousand|million|billion)?\b`;
+const PER = String.raw`\s*(?:\/|per|a|an|each|every)\s*`;
+const PERIOD = String.raw`(minute|min|hour|hr|day|week|month|mo|year|yr)\b`;
+const ADVERB = String.raw`\s*(hourly|daily|weekly|monthly|yearly|annually)\b`;
+
+const UNIT_WORDS = "requests|queries|calls|messages|chats|conversations|questions|prompts|documents|docs|files|tickets|emails|reviews|articles|images|pictures|videos|clips|users|customers|pages";
+
+const PATTERNS = {
+    budget: new RegExp(String.raw`(?:\$\s*${AMOUNT}|${AMOUNT}\s*(?:usd|dollars)\b)(?:${PER}(request|query|call|${PERIOD.slice(1, -3)})\b|${ADVERB})?`, "i"),
+    tokenVolume: new RegExp(String.raw`${AMOUNT}\s*tokens?(?:${PER}${PERIOD}|${ADVERB})`, "i"),
+    requestVolume: new RegExp(String.raw`${AMOUNT}\s*(?:\w+\s+)?(?:${UNIT_WORDS})(?:${PER}${PERIOD}|${ADVERB})`, "i"),
+    contextTokens: new RegExp(String.raw`${AMOUNT}[\s-]*tokens?\b`, "i"),
+    contextPages: new RegExp(String.raw`${AMOUNT}[\s-]*pages?\b`, "i"),
+    contextWords: new RegExp(String.raw`${AMOUNT}[\s-]*words?\b`, "i"),
+    longInput: /\b(long|large|lengthy|entire|whole|full)\s+(documents?|books?|codebases?|repositor(y|ies)|contracts?|reports?|transcripts?|manuals?|papers?)\b/i,
+    selfHosted: /\bself[- ]?host(ed|ing)?\b|\bon[- ]?prem(ise|ises)?\b|\bair[- ]?gapped\b|\bopen[- ]?(source|weights?)\b|\bown (servers?|hardware|infrastructure|gpus?|data ?cent(er|re))\b|\b(run|host|deploy)\w*\s+(it\s+|them\s+)?(locally|offline|on[- ]device)\b/i,
+    cheap: /\b(cheap|cheapest|low[- ]cost|inexpensive|affordable|cost[- ]effective|tight budget|free)\b/i,
+    makesVideo: MAKES_VIDEO,
+    makesImage: MAKES_IMAGE,
+    edits: /\bedit\w*\b/i,
+    readsImage: /\b(images?|photos?|pictures?|screenshots?|scans?|scanned|diagrams?)\b/i,
+    readsAudio: /\b(audio|speech|voice|podcasts?|recordings?|transcri\w*)\b/i,
+    readsVideo: /\b(videos?|footage)\b/i
+};
+
+/**
+ * Reads an amount such as "10k", "1.5 million" or "20,000"
+ * @param {string} number - Digits, with optional commas and decimals
+ * @param {string} [unit] - Multiplier word or letter
+ * @returns {number} The amount
+ */
+function parseAmount(number, unit) {
+    const multiplier = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, billion: 1e9 }[unit?.toLowerCase()] || 1;
+    return Number(number.replace(/,/g, "")) * multiplier;
+}
+
+/**
+ * Converts an amount per period to an amount per month
+ * @param {number} amount - Amount
+ * @param {string} period - Period word, e.g. "day", "daily" or "yr"
+ * @returns {number} Amount per month
+ */
+function perMonth(amount, period) {
+    return amount / MONTHS_PER[PERIOD_WORDS[period.toLowerCase()]];
+}
+
+/**
+ * Formats a monthly amount in USD
+ * @param {number} amount - Amount in USD
+ * @returns {string} e.g. "$12.50/month"
+ */
+export function formatMonthlyCost(amount) {
+    return `$${amount < 1 ? amount.toFixed(4) : amount.toFixed(2)}/month`;
+}
+
+/**
+ * Extracts what a model must do, and at what scale, from a recommendation query.
+ * Only what the query states is extracted; usage it does not give is filled
+ * in from the defaults and listed in `assumptions`.
+ * @param {string} query - User's query about what they want to do with an AI model
+ * @returns {Object} Requirements: output and input modalities, task and preferred
+ *   capabilities, monthlyBudget (USD or null), requestsPerMonth, inputTokens and
+ *   outputTokens per request, contextTokens (or null), selfHosted, preferCheap and assumptions
+ */
+export function extractRequirements(query) {
+    const assumptions = [];
+    let text = query;
+
+    // Matches are cut out of the text so "1M tokens per month" is not also read as a context length
+    const take = pattern => {
+        const match = text.match(pattern);
+        if (match) {
+            text = text.slice(0, match.index) + " " + text.slice(match.index + match[0].length);
+        }
+        return match;
+    };
+
+    let output = "text";
+    let prefers;
+    let task;
+    if (PATTERNS.makesVideo.test(query)) {
+        output = "video";
+        task = "video";
+        prefers = [PATTERNS.edits.test(query) ? "video-editing" : "video-generation"];
+    } else if (PATTERNS.makesImage.test(query)) {
+        output = "image";
+        task = "image";
+        prefers = [PATTERNS.edits.test(query) ? "image-editing" : "image-generation"];
+    }
+
+    const inputs = ["text"];
+    if (output === "text") {
+        for (const [modality, pattern] of [["image", PATTERNS.readsImage], ["audio", PATTERNS.readsAudio], ["video", PATTERNS.readsVideo]]) {
+            if (pattern.test(query)) {
+                inputs.push(modality);
+            }
+        }
+        const classified = classifyTask(query);
+        ({ task, prefers } = classified.modality === "text" ? classified : { task: "vision", prefers: ["vision"] });
+    }
+
+    const budget = take(PATTERNS.budget);
+    let budgetPeriod = null;
+    if (budget) {
+        const [, dollars, dollarsUnit, number, numberUnit, per, adverb] = budget;
+        budgetPeriod = (per || adverb || "month").toLowerCase();
+        if (!per && !adverb) {
+            assumptions.push("the budget is per month");
+        }
+        budget.amount = dollars ? parseAmount(dollars, dollarsUnit) : parseAmount(number, numberUnit);
+    }
+
+    let requestsPerMonth = null;
+    let tokensPerMonth = null;
+    const tokenVolume = take(PATTERNS.tokenVolume);
+    if (tokenVolume) {
+        tokensPerMonth = perMonth(parseAmount(tokenVolume[1], tokenVolume[2]), tokenVolume[3] || tokenVolume[4]);
+    } else {
+        const requestVolume = take(PATTERNS.requestVolume);
+        if (requestVolume) {
+            requestsPerMonth = perMonth(parseAmount(requestVolume[1], requestVolume[2]), requestVolume[3] || requestVolume[4]);
+        }
+    }
+
+    let contextTokens = null;
+    const tokens = take(PATTERNS.contextTokens);
+    const pages = !tokens && take(PATTERNS.contextPages);
+    const words = !tokens && !pages && take(PATTERNS.contextWords);
+    if (tokens) {
+        contextTokens = parseAmount(tokens[1], tokens[2]);
+    } else if (pages) {
+        contextTokens = parseAmount(pages[1], pages[2]) * TOKENS_PER_PAGE;
+        assumptions.push(`about ${TOKENS_PER_PAGE} tokens per page`);
+    } else if (words) {
+        contextTokens = parseAmount(words[1], words[2]) * TOKENS_PER_WORD;
+    }
+    contextTokens = contextTokens === null ? null : Math.ceil(contextTokens);
+
+    if (output === "text" && (PATTERNS.longInput.test(query) || contextTokens > LONG_CONTEXT_TOKENS)) {
+        prefers = [...new Set([...prefers, "long-context"])];
+    }
+
+    const inputTokens = contextTokens ?? DEFAULT_INPUT_TOKENS;
+    const outputTokens = DEFAULT_OUTPUT_TOKENS;
+    // Image and video models are not priced per token, so their token counts are not worth stating
+    if (output === "text") {
+        if (contextTokens === null) {
+            assumptions.push(`${DEFAULT_INPUT_TOKENS} input tokens per request`);
+        }
+        assumptions.push(`${DEFAULT_OUTPUT_TOKENS} output tokens per request`);
+    }
+
+    if (tokensPerMonth !== null) {
+        requestsPerMonth = tokensPerMonth / (inputTokens + outputTokens);
+    } else if (requestsPerMonth === null) {
+        requestsPerMonth = DEFAULT_REQUESTS_PER_MONTH;
+        assumptions.push(`${DEFAULT_REQUESTS_PER_MONTH} requests per month`);
+    }
+
+    let monthlyBudget = null;
+    if (budget) {
+        monthlyBudget = ["request", "query", "call"].includes(budgetPeriod)
+            ? budget.amount * requestsPerMonth
+            : perMonth(budget.amount, budgetPeriod);
+    }
+
+    return {
+        output,
+        inputs,
+        task,
+        prefers,
+        monthlyBudget,
+        requestsPerMonth: Math.round(requestsPerMonth),
+        inputTokens,
+        outputTokens,
+        contextTokens,
+        selfHosted: PATTERNS.selfHosted.test(query),
+        preferCheap: PATTERNS.cheap.test(query),
+        assumptions
+    };
+}
+
+/**
+ * Describes requirements as short phrases, for prompts and the command line
+ * @param {Object} requirements - Result of extractRequirements()
+ * @returns {Array<string>} One phrase per requirement
+ */
+export function describeRequirements(requirements) {
+    const lines = [
+        `Task: ${requirements.task} (prefers ${requirements.prefers.join(", ")})`,
+        `Input: ${requirements.inputs.join(", ")}; output: ${requirements.output}`,
+        `Volume: ${requirements.requestsPerMonth.toLocaleString("en-US")} requests per month`
+            + (requirements.output === "text" ? ` of about ${requirements.inputTokens} input and ${requirements.outputTokens} output tokens` : "")
+    ];
+    if (requirements.contextTokens !== null) {
+        lines.push(`Context: at least ${requirements.contextTokens.toLocaleString("en-US")} tokens per request`);
+    }
+    if (requirements.monthlyBudget !== null) {
+        lines.push(`Budget: ${formatMonthlyCost(requirements.monthlyBudget)}`);
+    }
+    if (requirements.selfHosted) {
+        lines.push("Deployment: self-hosted, so only open-weight models");
+    }
+    if (requirements.preferCheap) {
+        lines.push("Priority: lowest cost");
+    }
+    if (requirements.assumptions.length > 0) {
+        lines.push(`Assumed: ${requirements.assumptions.join("; ")}`);
+    }
+    return lines;
+}
+
+/**
+ * Estimates what a model costs per month at the required usage, from its
+ * per-token pricing. Self-hosted open-weight models have no per-token cost.
+ * @param {Object} model - Catalog model
+ * @param {Object} requirements - Result of extractRequirements()
+ * @returns {{monthlyCost: number|null, costNote: string}} Estimated USD per month, or null
+ *   when it cannot be computed, and how the figure was reached
+ */
+export function estimateMonthlyCost(model, requirements) {
+    const { requestsPerMonth, inputTokens, outputTokens, selfHosted } = requirements;
+    if (selfHosted && model.openWeights) {
+        return { monthlyCost: null, costNote: "self-hosted: no per-token cost, you pay for your own hardware" };
+    }
+
+    const { inputPer1K, outputPer1K, notes } = model.pricing;
+    if (inputPer1K === null || outputPer1K === null) {
+        return { monthlyCost: null, costNote: `no per-token price: ${notes}` };
+    }
+    const monthlyCost = requestsPerMonth * (inputTokens * inputPer1K + outputTokens * outputPer1K) / 1000;
+    return {
+        monthlyCost,
+        costNote: `${requestsPerMonth.toLocaleString("en-US")} requests x (${inputTokens} input tokens at $${inputPer1K}/1K + ${outputTokens} output tokens at $${outputPer1K}/1K)`
+    };
+}
+
+/**
+ * Filters the catalog down to the models that meet a query's requirements
+ * and ranks them. Deprecated models, models without the required input or
+ * output modality, models whose context window is too small, closed models
+ * when self-hosting, and models whose estimated monthly cost is over the
+ * budget are excluded with the reason. Models without a per-token price are
+ * kept, since the budget cannot rule them out, and rank after priced ones.
+ * With `relevance` from a semantic search, only the models it retrieved are
+ * candidates. The rest are ranked by how many preferred capabilities they
+ * have, then by relevance, then by cost, or by cost first when the query asks
+ * for the cheapest option.
+ * @param {string|Object} query - Query, or requirements from extractRequirements()
+ * @param {Array} modelDatabase - Array of AI model objects
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit] - Candidates to keep (default 5)
+ * @param {Map<string, number>} [options.relevance] - Similarity of each retrieved model to the query, by name
+ * @returns {{requirements: Object, shortlist: Array<Object>, excluded: Array<{model: string, reason: string}>}}
+ *   Requirements used, ranked candidates with model, matched capabilities, relevance (or null),
+ *   monthlyCost and costNote, and every model left out
+ */
+export function shortlistModels(query, modelDatabase, { limit = DEFAULT_SHORTLIST_SIZE, relevance } = {}) {
+    const requirements = typeof query === "string" ? extractRequirements(query) : query;
+    const { output, inputs, contextTokens, outputTokens, selfHosted, monthlyBudget } = requirements;
+
+    const candidates = [];
+    const excluded = [];
+    modelDatabase.forEach((model, position) => {
+        const { monthlyCost, costNote } = estimateMonthlyCost(model, requirements);
+        const missingInputs = inputs.filter(modality => !model.modalities.input.includes(modality));
+
+        let reason = null;
+        if (model.status === "deprecated") {
+            reason = `is deprecated${model.replacedBy ? `; use ${model.replacedBy}` : ""}`;
+        } else if (!model.modalities.output.includes(output)) {
+            reason = `produces ${model.modalities.output.join(", ")}, not ${output}`;
+        } else if (missingInputs.length > 0) {
+            reason = `does not accept ${missingInputs.join(", ")} input`;
+        } else if (contextTokens !== null && model.contextWindow !== null && contextTokens + outputTokens > model.contextWindow) {
+            reason = `its ${model.contextWindow}-token context window is too small for ${contextTokens} tokens`;
+        } else if (selfHosted && !model.openWeights) {
+            reason = "its weights are not available to self-host";
+        } else if (monthlyBudget !== null && monthlyCost !== null && monthlyCost > monthlyBudget) {
+            reason = `estimated ${formatMonthlyCost(monthlyCost)} is over the ${formatMonthlyCost(monthlyBudget)} budget`;
+        } else if (relevance && !relevance.has(model.name)) {
+            reason = "was not retrieved as relevant to the query";
+        }
+        if (reason) {
+            excluded.push({ model: model.name, reason });
+            return;
+        }
+
+        const matched = requirements.prefers.filter(capability => model.capabilities.includes(capability));
+        candidates.push({ model, matched, relevance: relevance?.get(model.name) ?? null, monthlyCost, costNote, position });
+    });
+
+    const byScore = (a, b) => b.matched.length - a.matched.length;
+    const byRelevance = (a, b) => (b.relevance ?? 0) - (a.relevance ?? 0);
+    const byCost = (a, b) => (a.monthlyCost ?? Infinity) - (b.monthlyCost ?? Infinity);
+    candidates.sort((a, b) => (requirements.preferCheap
+        ? byCost(a, b) || byScore(a, b) || byRelevance(a, b)
+        : byScore(a, b) || byRelevance(a, b) || byCost(a, b))
+        || a.position - b.position);
+
+    const shortlist = candidates.slice(0, limit).map(({ position, ...candidate }) => candidate);
+    candidates.slice(limit).forEach(({ model }) => excluded.push({ model: model.name, reason: "ranked below the shortlist" }));
+    return { requirements, shortlist, excluded };
+}
+
+/**
+ * Creates the error for a query that no model meets
+ * @param {Object} result - Result of shortlistModels() with an empty shortlist
+ * @returns {Error} Error with code "no_matching_model" and details listing why each model was excluded
+ */
+export function noMatchingModelError({ excluded }) {
+    const error = new Error("No model in the catalog meets the requirements of the query.");
+    error.code = "no_matching_model";
+    error.details = excluded.map(({ model, reason }) => `${model}: ${reason}`);
+    return error;
+}
+
+/**
+ * Builds a recommendation from a shortlist alone, in the same form as a
+ * structured recommendation, for when the recommendation model is unavailable
+ * @param {Object} result - Result of shortlistModels()
+ * @returns {Object} Recommendation with recommendedModel, provider, score, alternatives,
+ *   costEstimate, rationale, caveats, attempts (0) and source ("rules")
+ * @throws {Error} From noMatchingModelError() when the shortlist is empty
+ */
+export function recommendFromShortlist({ requirements, shortlist, excluded }) {
+    if (shortlist.length === 0) {
+        throw noMatchingModelError({ excluded });
+    }
+    const score = candidate => requirements.prefers.length > 0
+        ? Math.round(100 * candidate.matched.length / requirements.prefers.length)
+        : 0;
+    const cost = candidate => candidate.monthlyCost === null ? candidate.costNote : `estimated ${formatMonthlyCost(candidate.monthlyCost)}`;
+    const [best, ...others] = shortlist;
+
+    return {
+        recommendedModel: best.model.name,
+        provider: best.model.provider,
+        score: score(best),
+        alternatives: others.slice(0, 4).map(candidate => ({
+            model: candidate.model.name,
+            provider: candidate.model.provider,
+            score: score(candidate),
+            reason: `${cost(candidate)}; best for ${candidate.model.bestFor.toLowerCase()}`
+        })),
+        costEstimate: best.monthlyCost === null ? best.costNote : `${formatMonthlyCost(best.monthlyCost)} (${best.costNote})`,
+        rationale: `${best.model.name} ranks first of the models that meet the requirements`
+            + (best.matched.length > 0 ? `, with ${best.matched.join(", ")}` : "")
+            + `${requirements.preferCheap && best.monthlyCost !== null ? " at the lowest cost" : ""}. Best for: ${best.model.bestFor}.`,
+        caveats: [best.model.limitations, ...requirements.assumptions.map(assumption => `Assumes ${assumption}.`)],
+        attempts: 0,
+        source: "rules"
+    };
+}
+
+/**
+ * Reduces a shortlist to plain data for JSON output: model names instead of catalog entries
+ * @param {Object} result - Result of shortlistModels()
+ * @returns {{requirements: Object, shortlist: Array<Object>, excluded: Array<Object>}} Requirements,
+ *   candidates with model, provider, matched, relevance, monthlyCost and costNote, and the models left out
+ */
+export function summarizeShortlist({ requirements, shortlist, excluded }) {
+    return {
+        requirements,
+        shortlist: shortlist.map(({ model, matched, relevance, monthlyCost, costNote }) => ({
+            model: model.name,
+            provider: model.provider,
+            matched,
+            relevance: relevance === null ? null : Number(relevance.toFixed(4)),
+            monthlyCost: monthlyCost === null ? null : Number(monthlyCost.toFixed(4)),
+            costNote
+        })),
+        excluded
+    };
+}
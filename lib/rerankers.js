@@ -0,0 +1,167 @@
+// rerankers.js - Rescore retrieved chunks against the original question before answering
+
+import { tokenize } from "./text.js";
+import { logger } from "./telemetry.js";
+
+// Characters of each chunk shown to the LLM reranker
+const LLM_PASSAGE_LENGTH = 600;
+
+/**
+ * Returns the adjacent term pairs of a text, for phrase matching
+ * @param {Array<string>} terms - Terms from tokenize()
+ * @returns {Set<string>} Bigrams joined by a space
+ */
+function bigrams(terms) {
+    const pairs = new Set();
+    for (let i = 0; i < terms.length - 1; i++) {
+        pairs.add(`${terms[i]} ${terms[i + 1]}`);
+    }
+    return pairs;
+}
+
+/**
+ * Scores a chunk by how much of the question it covers: the share of question
+ * terms it contains, plus a smaller share for question phrases it repeats
+ * @param {string} query - Question
+ * @param {string} text - Chunk text
+ * @returns {number} Score from 0 to 1
+ */
+function lexicalScore(query, text) {
+    const queryTerms = tokenize(query);
+    const uniqueTerms = new Set(queryTerms);
+    if (uniqueTerms.size === 0) {
+        return 0;
+    }
+
+    const textTerms = tokenize(text);
+    const textSet = new Set(textTerms);
+    const termCoverage = [...uniqueTerms].filter(term => textSet.has(term)).length / uniqueTerms.size;
+
+    const queryPairs = bigrams(queryTerms);
+    if (queryPairs.size === 0) {
+        return termCoverage;
+    }
+    const textPairs = bigrams(textTerms);
+    const phraseCoverage = [...queryPairs].filter(pair => textPairs.has(pair)).length / queryPairs.size;
+
+    return 0.7 * termCoverage + 0.3 * phraseCoverage;
+}
+
+/**
+ * Replaces each result's score with its reranked score, keeping the retrieval
+ * score in `scores.retrieval`, and returns the best k
+ * @param {Array<Object>} results - Search results
+ * @param {Array<number>} rerankScores - New score of each result, in the same order
+ * @param {number} k - Number of results to keep
+ * @returns {Array<Object>} Reranked results
+ */
+function applyScores(results, rerankScores, k) {
+    return results
+        .map((result, index) => ({
+            ...result,
+            score: rerankScores[index],
+            scores: { ...result.scores, retrieval: result.score, rerank: rerankScores[index] }
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k);
+}
+
+/**
+ * Creates a reranker that scores chunks by term and phrase overlap with the
+ * question. Needs no API calls.
+ * @returns {Object} Reranker with rerank()
+ */
+function createLexicalReranker() {
+    return {
+        name: "lexical",
+
+        async rerank(query, results, { k = 4 } = {}) {
+            return applyScores(results, results.map(result => lexicalScore(query, result.pageContent)), k);
+        }
+    };
+}
+
+/**
+ * Creates a reranker that asks the generation model to rate every candidate
+ * against the question in a single prompt. Falls back to the lexical reranker
+ * if the model's reply cannot be parsed.
+ * @param {Object} options - Reranker options
+ * @param {Object} options.provider - Provider from createProvider()
+ * @returns {Object} Reranker with rerank()
+ */
+function createLlmReranker({ provider }) {
+    const fallback = createLexicalReranker();
+
+    return {
+        name: "llm",
+
+        async rerank(query, results, { k = 4 } = {}) {
+            if (results.length === 0) {
+                return [];
+            }
+
+            const passages = results.map((result, index) => {
+                const text = result.pageContent.replace(/\s+/g, " ").trim();
+                return `[${index + 1}] ${text.length > LLM_PASSAGE_LENGTH ? `${text.substring(0, LLM_PASSAGE_LENGTH)}...` : text}`;
+            }).join("\n\n");
+
+            const prompt = `
+Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (answers it directly).
+Judge each passage on its own content, not on its position in the list.
+Respond with only a JSON array with one entry per passage, for example:
+[{"passage": 1, "score": 7}, {"passage": 2, "score": 0}]
+
+QUESTION:
+${query}
+
+PASSAGES:
+${passages}
+
+SCORES:
+`;
+
+            try {
+                const responseText = await provider.generate(prompt);
+                const ratings = JSON.parse(responseText.replace(/```json|```/g, '').trim());
+
+                const scores = results.map(() => 0);
+                ratings.forEach(({ passage, score }) => {
+                    if (Number.isInteger(passage) && passage >= 1 && passage <= results.length && Number.isFinite(score)) {
+                        scores[passage - 1] = Math.min(Math.max(score, 0), 10) / 10;
+                    }
+                });
+                return applyScores(results, scores, k);
+            } catch (error) {
+                logger.error("Error reranking with the generation model, falling back to lexical reranking", { error: error.message, model: provider.generationModel });
+                return fallback.rerank(query, results, { k });
+            }
+        }
+    };
+}
+
+const RERANKERS = {
+    none: () => null,
+    lexical: createLexicalReranker,
+    llm: createLlmReranker
+};
+
+// Names accepted by createReranker()
+export const RERANKER_NAMES = Object.keys(RERANKERS);
+
+/**
+ * Creates the reranker selected by config.
+ * The name comes from `options.reranker`, then RERANKER, then "none".
+ * @param {Object} [options] - Reranker name plus reranker-specific options
+ * @param {Object} [options.provider] - Provider from createProvider(), used by the llm reranker
+ * @returns {Object|null} Reranker with name and rerank(query, results, { k }), or null for "none"
+ */
+export function createReranker(options = {}) {
+    const name = (options.reranker || process.env.RERANKER || "none").toLowerCase();
+    const factory = RERANKERS[name];
+
+    if (!factory) {
+        throw new Error(`Unknown reranker "${name}". Expected one of: ${RERANKER_NAMES.join(", ")}`);
+    }
+
+    return factory(options);
+}
@@ -0,0 +1,372 @@
+// retrieval.js - Vector, keyword and hybrid search over a collection, with single and multi-query strategies
+
+import { loadKeywordIndex, searchKeywordIndex } from "./keywordIndex.js";
+import { createReranker } from "./rerankers.js";
+import { normalizeFilter } from "./filters.js";
+import { transformQuery, parseTransforms } from "./queryTransforms.js";
+import { logger, withSpan } from "./telemetry.js";
+
+// How results are found: dense vectors, BM25 keywords, or both fused by rank
+export const SEARCH_MODES = ["vector", "keyword", "hybrid"];
+
+// Reciprocal rank fusion constant; larger values flatten the gap between ranks
+const RRF_K = 60;
+
+// Collections already warned about having no keyword index
+const warnedCollections = new Set();
+
+/**
+ * Returns the search mode, fusion weight, reranker and query transforms
+ * configured by SEARCH_MODE, HYBRID_VECTOR_WEIGHT, RERANKER and QUERY_TRANSFORMS
+ * @returns {{mode: string, vectorWeight: number, reranker: string, transforms: Array<string>}} Search settings
+ * @throws {Error} If HYBRID_VECTOR_WEIGHT is not a number from 0 to 1
+ */
+export function searchDefaults() {
+    const vectorWeight = Number(process.env.HYBRID_VECTOR_WEIGHT || 0.5);
+    if (!Number.isFinite(vectorWeight) || vectorWeight < 0 || vectorWeight > 1) {
+        throw new Error(`HYBRID_VECTOR_WEIGHT must be a number from 0 to 1, not "${process.env.HYBRID_VECTOR_WEIGHT}".`);
+    }
+
+    return {
+        mode: process.env.SEARCH_MODE || "hybrid",
+        vectorWeight,
+        reranker: process.env.RERANKER || "none",
+        transforms: parseTransforms(process.env.QUERY_TRANSFORMS || "variations")
+    };
+}
+
+/**
+ * Returns the error thrown for a failed retrieval step: it says which step
+ * failed and where, and keeps the original error as its cause
+ * @param {string} code - "embedding_failed" or "search_failed"
+ * @param {string} message - What failed, e.g. "Embedding the query with embedding-001 failed"
+ * @param {Error} error - Original error
+ * @param {Object} details - Context, such as the model or the collection
+ * @returns {Error} Error with code and details
+ */
+function retrievalError(code, message, error, details) {
+    const wrapped = new Error(`${message}: ${error.message}`, { cause: error });
+    wrapped.code = code;
+    wrapped.details = details;
+    return wrapped;
+}
+
+/**
+ * Returns how many candidates to retrieve for k results: more than k when a
+ * reranker will pick the best of them
+ * @param {number} k - Number of results wanted
+ * @param {Object|null} reranker - Reranker from createReranker()
+ * @returns {number} Candidates to retrieve (RERANK_CANDIDATES, or three times k and at least 10)
+ */
+function candidateCount(k, reranker) {
+    if (!reranker) {
+        return k;
+    }
+    return Math.max(Number(process.env.RERANK_CANDIDATES) || Math.max(k * 3, 10), k);
+}
+
+/**
+ * Ranks chunks by BM25 over the collection's keyword index and fetches their
+ * payloads from the vector store
+ * @param {string} query - Query text
+ * @param {Object} vectorStore - Vector store from createVectorStore()
+ * @param {number} limit - Number of results
+ * @param {Object|null} filter - Filter from normalizeFilter()
+ * @returns {Promise<Array<Object>|null>} Hits with id, score and payload, or null if the collection has no keyword index
+ */
+async function keywordSearch(query, vectorStore, limit, filter) {
+    return withSpan("rag.keyword_search", { "rag.stage": "search", "rag.limit": limit }, async span => {
+        let index;
+        try {
+            index = await loadKeywordIndex(vectorStore.collectionName);
+        } catch (error) {
+            throw retrievalError("search_failed", `Loading the keyword index of ${vectorStore.collectionName} failed`, error, { collection: vectorStore.collectionName });
+        }
+        if (Object.keys(index.chunks).length === 0) {
+            if (!warnedCollections.has(vectorStore.collectionName)) {
+                warnedCollections.add(vectorStore.collectionName);
+                logger.warn(`Collection ${vectorStore.collectionName} has no keyword index yet. Run 'reindex' to build it; until then only vector search is used.`);
+            }
+            span.setAttributes({ "rag.keyword_index": false });
+            return null;
+        }
+
+        const hits = searchKeywordIndex(index, query, { limit, filter });
+        let points;
+        try {
+            points = new Map((await vectorStore.retrieve(hits.map(hit => hit.id))).map(point => [point.id, point]));
+        } catch (error) {
+            throw retrievalError("search_failed", `Fetching keyword hits from ${vectorStore.name} collection ${vectorStore.collectionName} failed`, error,
+                { store: vectorStore.name, collection: vectorStore.collectionName });
+        }
+        span.setAttributes({ "rag.hits": hits.length });
+        return hits
+            .filter(hit => points.has(hit.id))
+            .map(hit => ({ ...hit, payload: points.get(hit.id).payload }));
+    });
+}
+
+/**
+ * Finds the chunks nearest to a query vector in the vector store
+ * @param {Array<number>} vector - Query vector
+ * @param {Object} vectorStore - Vector store from createVectorStore()
+ * @param {number} limit - Number of results
+ * @param {Object|null} filter - Filter from normalizeFilter()
+ * @returns {Promise<Array<Object>>} Hits with id, score and payload
+ */
+async function vectorSearch(vector, vectorStore, limit, filter) {
+    return withSpan("rag.vector_search", { "rag.stage": "search", "rag.limit": limit }, async span => {
+        try {
+            const hits = await vectorStore.search(vector, { limit, filter });
+            span.setAttributes({ "rag.hits": hits.length });
+            return hits;
+        } catch (error) {
+            throw retrievalError("search_failed", `Searching ${vectorStore.name} collection ${vectorStore.collectionName} failed`, error,
+                { store: vectorStore.name, collection: vectorStore.collectionName });
+        }
+    });
+}
+
+/**
+ * Embeds a query, reusing the embedding of an earlier identical query when a cache is given
+ * @param {string} query - Query text
+ * @param {Object} provider - Provider from createProvider()
+ * @param {Object} [cache] - Cache from createCache()
+ * @returns {Promise<Array<number>>} Query vector
+ * @throws {Error} With code "embedding_failed", naming the embedding model, when the provider fails
+ */
+async function embedQuery(query, provider, cache) {
+    return withSpan("rag.embed", { "rag.stage": "embedding", "rag.cache": Boolean(cache) }, async () => {
+        try {
+            if (!cache) {
+                return await provider.embed(query);
+            }
+            return await cache.remember("embeddings", provider.embeddingModel, { provider: provider.name, text: query }, () => provider.embed(query));
+        } catch (error) {
+            throw retrievalError("embedding_failed", `Embedding the query with ${provider.embeddingModel} failed`, error,
+                { provider: provider.name, model: provider.embeddingModel });
+        }
+    });
+}
+
+/**
+ * Reranks candidates in a span of the rerank stage
+ * @param {Object} reranker - Reranker from createReranker()
+ * @param {string} query - Query to score the candidates against
+ * @param {Array<Object>} candidates - Retrieved candidates
+ * @param {number} k - Number of results
+ * @returns {Promise<Array<Object>>} Best k candidates, rescored
+ */
+async function rerank(reranker, query, candidates, k) {
+    return withSpan("rag.rerank", { "rag.stage": "rerank", "rag.reranker": reranker.name, "rag.candidates": candidates.length },
+        () => reranker.rerank(query, candidates, { k }));
+}
+
+/**
+ * Fuses ranked lists with weighted reciprocal rank fusion: each list adds
+ * weight / (RRF_K + rank) to every hit it contains
+ * @param {Array<{hits: Array<Object>, weight: number}>} rankings - Ranked hit lists and their weights
+ * @returns {Array<Object>} Hits with a `fused` score, best first
+ */
+export function reciprocalRankFusion(rankings) {
+    const fused = new Map();
+
+    rankings.forEach(({ hits, weight }) => {
+        hits.forEach((hit, rank) => {
+            const entry = fused.get(hit.id) || { ...hit, fused: 0 };
+            entry.fused += weight / (RRF_K + rank + 1);
+            fused.set(hit.id, entry);
+        });
+    });
+
+    return Array.from(fused.values()).sort((a, b) => b.fused - a.fused);
+}
+
+/**
+ * Finds the k chunks most relevant to a query. In hybrid mode both retrievers
+ * over-fetch candidates and their rankings are fused, so an exact API name
+ * found by BM25 can outrank prose that is only semantically close.
+ * `score` is the fused score scaled so a chunk ranked first by both retrievers
+ * scores 1; `scores` keeps each retriever's raw score (null if it missed the chunk).
+ * @param {string} query - Query to search with
+ * @param {Object} options - Search options
+ * @param {Object} options.provider - Provider from createProvider()
+ * @param {Object} options.vectorStore - Vector store from createVectorStore()
+ * @param {number} [options.k] - Number of results
+ * @param {string} [options.mode] - "vector", "keyword" or "hybrid" (defaults to SEARCH_MODE or "hybrid")
+ * @param {number} [options.vectorWeight] - Share of the fused score given to vector ranks, from 0 to 1
+ * @param {Object} [options.filter] - Metadata filter for normalizeFilter(), e.g. { source: "node.pdf", pages: "100-200" }
+ * @param {Object} [options.cache] - Cache from createCache() for query embeddings
+ * @returns {Promise<Array<Object>>} Results with id, pageContent, metadata, score and scores
+ */
+async function searchChunks(query, { provider, vectorStore, k = 4, mode, vectorWeight, filter, cache }) {
+    const defaults = searchDefaults();
+    mode = mode || defaults.mode;
+    vectorWeight = vectorWeight ?? defaults.vectorWeight;
+    filter = normalizeFilter(filter);
+
+    if (!SEARCH_MODES.includes(mode)) {
+        throw new Error(`Unknown search mode "${mode}". Expected one of: ${SEARCH_MODES.join(", ")}`);
+    }
+
+    const candidates = mode === "hybrid" ? Math.max(k * 4, 20) : k;
+    let [vectorHits, keywordHits] = await Promise.all([
+        mode === "keyword" ? [] : embedQuery(query, provider, cache).then(vector => vectorSearch(vector, vectorStore, candidates, filter)),
+        mode === "vector" ? [] : keywordSearch(query, vectorStore, candidates, filter)
+    ]);
+
+    // Without a keyword index, hybrid search is plain vector search
+    if (keywordHits === null) {
+        keywordHits = [];
+        if (mode === "hybrid") {
+            mode = "vector";
+            vectorHits = vectorHits.slice(0, k);
+        }
+    }
+
+    const vectorScores = new Map(vectorHits.map(hit => [hit.id, hit.score]));
+    const keywordScores = new Map(keywordHits.map(hit => [hit.id, hit.score]));
+    const topKeywordScore = keywordHits.length > 0 ? keywordHits[0].score : 1;
+
+    let ranked;
+    if (mode === "vector") {
+        ranked = vectorHits;
+    } else if (mode === "keyword") {
+        // BM25 scores are unbounded, so scale them against the best hit
+        ranked = keywordHits.map(hit => ({ ...hit, score: hit.score / topKeywordScore }));
+    } else {
+        const maxFused = 1 / (RRF_K + 1);
+        ranked = reciprocalRankFusion([
+            { hits: vectorHits, weight: vectorWeight },
+            { hits: keywordHits, weight: 1 - vectorWeight }
+        ]).map(hit => ({ ...hit, score: hit.fused / maxFused }));
+    }
+
+    // Transform results to match the expected format
+    return ranked.slice(0, k).map(hit => ({
+        id: hit.id,
+        pageContent: hit.payload.content,
+        metadata: hit.payload.metadata,
+        score: hit.score,
+        scores: {
+            vector: vectorScores.get(hit.id) ?? null,
+            keyword: keywordScores.get(hit.id) ?? null
+        }
+    }));
+}
+
+/**
+ * Returns the k chunks most relevant to a query. With a reranker, more
+ * candidates are retrieved and the reranker picks the best k; their `score`
+ * is then the reranked score and `scores.retrieval` the score they were retrieved with.
+ * @param {string} query - Query to search with
+ * @param {Object} options - Search options, as for searchChunks(): provider, vectorStore, k, mode, vectorWeight, filter and cache, plus:
+ * @param {string} [options.reranker] - "none", "lexical" or "llm" (defaults to RERANKER or "none")
+ * @returns {Promise<Array<Object>>} Results with id, pageContent, metadata, score and scores
+ * @throws {Error} With code "embedding_failed" or "search_failed" when a step of the search fails
+ */
+export async function similaritySearch(query, options) {
+    const { provider, vectorStore, k = 4 } = options;
+    try {
+        const reranker = createReranker({ reranker: options.reranker, provider });
+        const candidates = await searchChunks(query, { ...options, k: candidateCount(k, reranker) });
+        return reranker ? await rerank(reranker, query, candidates, k) : candidates;
+    } catch (error) {
+        logger.error("Error performing similarity search", { error, collection: vectorStore.collectionName, mode: options.mode });
+        throw error;
+    }
+}
+
+/**
+ * Searches with a single query, tagging each result with the query that retrieved it
+ * @param {string} query - Query to search with
+ * @param {Object} options - Search options, as for similaritySearch()
+ * @returns {Promise<Array<Object>>} Results with id, pageContent, metadata, score, scores and query
+ * @throws {Error} As similaritySearch() does
+ */
+export async function singleQuerySearch(query, options) {
+    const results = await searchChunks(query, options);
+    // Include the query that retrieved each result
+    return results.map(result => ({ ...result, query }));
+}
+
+/**
+ * Searches with the query and the queries its transforms generate (by
+ * default three variations) in parallel, then merges the results, keeping
+ * the best-scoring copy of each chunk. Each result's `query` is the query that
+ * retrieved it and `transform` the transform that produced that query.
+ * Scores from different queries are not comparable, so with a reranker every
+ * query over-fetches and the merged candidates are rescored against the original query.
+ * A query whose search fails is logged and contributes nothing; if every query fails, the error is thrown.
+ * @param {string} originalQuery - Query as asked
+ * @param {Object} options - Search options, as for similaritySearch(), plus:
+ * @param {string|Array<string>} [options.transforms] - Query transforms: variations, hyde, stepback
+ *   and decompose, alone or combined (defaults to QUERY_TRANSFORMS or "variations")
+ * @returns {Promise<Array<Object>>} Top k merged results
+ * @throws {Error} With code "embedding_failed" or "search_failed" and, in details, each query's error, when every query fails
+ */
+export async function parallelQuerySearch(originalQuery, options) {
+    const { provider, k = 4 } = options;
+    // Checked before searching, so a misspelt transform or reranker fails instead of falling back
+    const transforms = parseTransforms(options.transforms || searchDefaults().transforms);
+    const reranker = createReranker({ reranker: options.reranker, provider });
+    const searchOptions = { ...options, k: candidateCount(k, reranker) };
+
+    logger.info(`Transforming the query (${transforms.join(", ")})...`);
+    const queries = await withSpan("rag.transform", { "rag.stage": "transform", "rag.transforms": transforms }, async span => {
+        const transformed = await transformQuery(originalQuery, transforms, provider, { cache: options.cache });
+        span.setAttributes({ "rag.queries": transformed.length });
+        return transformed;
+    });
+    logger.info(`Searching with ${queries.length} queries.`);
+
+    // Log the queries for debugging
+    queries.forEach(({ query, transform }, i) => logger.info(`Query ${i} (${transform}): ${query}`, { transform }));
+
+    // Perform searches in parallel, each in its own span
+    const searches = await Promise.allSettled(queries.map(({ query, transform }) => withSpan("rag.query", { "rag.transform": transform },
+        async () => (await singleQuerySearch(query, searchOptions)).map(result => ({ ...result, transform })))));
+
+    const failures = searches
+        .map((search, i) => ({ ...queries[i], error: search.reason }))
+        .filter((_, i) => searches[i].status === "rejected");
+    failures.forEach(({ query, transform, error }) => {
+        logger.error(`Error searching with the ${transform} query "${query}"`, { error, transform });
+    });
+    if (failures.length === queries.length) {
+        const [first] = failures;
+        const error = new Error(`Every query failed to search. ${first.error.message}`, { cause: first.error });
+        error.code = first.error.code || "search_failed";
+        error.details = failures.map(({ query, transform, error: cause }) => ({ query, transform, error: cause.message }));
+        throw error;
+    }
+
+    // Flatten results from all queries
+    const flatResults = searches.filter(search => search.status === "fulfilled").flatMap(search => search.value);
+
+    // Remove duplicates by chunk ID (keeping the highest scoring instance); chunks
+    // that merely start alike, such as pages under the same header, stay apart
+    const resultsById = new Map();
+
+    flatResults.forEach(result => {
+        if (!resultsById.has(result.id) || resultsById.get(result.id).score < result.score) {
+            resultsById.set(result.id, result);
+        }
+    });
+
+    // Get unique results and sort by score
+    const mergedResults = Array.from(resultsById.values())
+        .sort((a, b) => b.score - a.score);
+
+    if (reranker) {
+        logger.info(`Reranking ${mergedResults.length} candidates with the ${reranker.name} reranker...`);
+        return rerank(reranker, originalQuery, mergedResults, k);
+    }
+    return mergedResults.slice(0, k);
+}
+
+// Retrieval strategies by name: one search, or the query plus the queries its transforms generate
+export const RETRIEVAL_STRATEGIES = {
+    single: similaritySearch,
+    multi: parallelQuerySearch
+};
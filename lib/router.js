@@ -0,0 +1,357 @@
+// router.js - Routes a prompt to a model from the catalog: classifies the task, picks candidates under constraints and calls them with fallback
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createProvider } from './providers.js';
+import { LATENCY_CLASSES } from './catalog.js';
+import { estimateTokens } from './text.js';
+import { logger } from './telemetry.js';
+
+// Prompts that ask for a video or an image to be produced: a generation verb followed by
+// the medium, or a named generation task. Mentioning a photo or a clip alone is not enough.
+export const MAKES_VIDEO = /\b(generat|creat|mak|produc|render|animat|edit)\w*\b[^.?!]{0,40}\b(videos?|animations?|clips?|footage)\b|\b(video|animation)\s+(generation|generator|creation|editing|editor)\b|\btext[- ]to[- ]video\b/i;
+export const MAKES_IMAGE = /\b(generat|creat|mak|produc|render|draw|design|edit)\w*\b[^.?!]{0,40}\b(images?|pictures?|photos?|illustrations?|logos?|artwork|art)\b|\b(image|picture|photo|art)\s+(generation|generator|creation|editing|editor)\b|\btext[- ]to[- ]image\b/i;
+
+// Task types, checked in order; the first whose pattern matches the prompt wins.
+// `modality` is what the model must produce, `prefers` the capabilities that rank candidates.
+const TASK_RULES = [
+    { task: "video", modality: "video", prefers: ["video-generation"], pattern: MAKES_VIDEO },
+    { task: "image", modality: "image", prefers: ["image-generation"], pattern: MAKES_IMAGE },
+    { task: "code", modality: "text", prefers: ["code", "reasoning"], pattern: /\b(code|coding|function|bug|debug|refactor|javascript|typescript|python|sql|regex|stack trace)\b/i },
+    { task: "summarization", modality: "text", prefers: ["summarization", "long-context"], pattern: /\b(summari[sz](e|es|ed|ing|ation)|summary|tl;?dr|condense)\b/i },
+    { task: "reasoning", modality: "text", prefers: ["reasoning", "math"], pattern: /\b(prove|calculate|solve|math|logic|analy[sz]e|compare|plan)\b/i },
+    { task: "creative", modality: "text", prefers: ["creative"], pattern: /\b(story|poem|creative|slogan|lyrics|essay)\b/i }
+];
+
+const DEFAULT_TASK = { task: "chat", modality: "text", prefers: ["chat"] };
+
+export const TASK_TYPES = [...TASK_RULES, DEFAULT_TASK].map(rule => rule.task);
+
+// Prompts longer than this many estimated tokens also prefer long-context models
+const LONG_PROMPT_TOKENS = 8000;
+
+/**
+ * Classifies the task a prompt asks for
+ * @param {string} prompt - Prompt to route
+ * @returns {{task: string, modality: string, prefers: Array<string>}} Task type, output modality and preferred capabilities
+ */
+export function classifyTask(prompt) {
+    const rule = TASK_RULES.find(candidate => candidate.pattern.test(prompt)) || DEFAULT_TASK;
+    const prefers = estimateTokens(prompt) > LONG_PROMPT_TOKENS && rule.modality === "text"
+        ? [...new Set([...rule.prefers, "long-context"])]
+        : rule.prefers;
+    return { task: rule.task, modality: rule.modality, prefers };
+}
+
+/**
+ * Ranks the catalog models that can handle a task within the constraints.
+ * Deprecated models, models that do not produce the task's modality, lack a
+ * required capability, cannot fit the prompt in their context window, or are
+ * slower or costlier than allowed are excluded with the reason. The rest are
+ * ranked by how many preferred capabilities they have, then by cost.
+ * @param {Object} task - Result of classifyTask()
+ * @param {Array} modelDatabase - Array of AI model objects
+ * @param {Object} [constraints] - Routing constraints
+ * @param {number} [constraints.maxCost] - Highest estimated cost of the request in USD
+ * @param {string} [constraints.maxLatency] - Slowest latency class allowed: "fast", "medium" or "slow"
+ * @param {Array<string>} [constraints.require] - Capabilities every candidate must have
+ * @param {number} [constraints.promptTokens] - Estimated prompt tokens, for the cost estimate
+ * @param {number} [constraints.outputTokens] - Expected reply tokens, for the cost estimate (default 500)
+ * @returns {{candidates: Array<Object>, excluded: Array<{model: string, reason: string}>}} Ranked candidates
+ *   with model, matched capabilities, estimatedCost and score, and the models left out
+ */
+export function selectCandidates(task, modelDatabase, constraints = {}) {
+    const { maxCost, maxLatency, require = [], promptTokens = 0, outputTokens = 500 } = constraints;
+    if (maxLatency !== undefined && !LATENCY_CLASSES.includes(maxLatency)) {
+        throw new Error(`Unknown latency "${maxLatency}". Expected one of: ${LATENCY_CLASSES.join(", ")}`);
+    }
+
+    const candidates = [];
+    const excluded = [];
+    modelDatabase.forEach((model, position) => {
+        const { inputPer1K, outputPer1K } = model.pricing;
+        const estimatedCost = inputPer1K === null || outputPer1K === null
+            ? null
+            : (promptTokens * inputPer1K + outputTokens * outputPer1K) / 1000;
+        const missing = require.filter(capability => !model.capabilities.includes(capability));
+
+        let reason = null;
+        if (model.status === "deprecated") {
+            reason = `is deprecated${model.replacedBy ? `; use ${model.replacedBy}` : ""}`;
+        } else if (!model.modalities.output.includes(task.modality)) {
+            reason = `produces ${model.modalities.output.join(", ")}, not ${task.modality}`;
+        } else if (missing.length > 0) {
+            reason = `lacks ${missing.join(", ")}`;
+        } else if (model.contextWindow !== null && promptTokens + outputTokens > model.contextWindow) {
+            reason = `the request does not fit its ${model.contextWindow}-token context window`;
+        } else if (maxLatency && LATENCY_CLASSES.indexOf(model.latency) > LATENCY_CLASSES.indexOf(maxLatency)) {
+            reason = `latency ${model.latency} is slower than ${maxLatency}`;
+        } else if (maxCost !== undefined && estimatedCost === null) {
+            reason = "has no per-token price to check against the cost limit";
+        } else if (maxCost !== undefined && estimatedCost > maxCost) {
+            reason = `estimated cost $${estimatedCost.toFixed(4)} is over $${maxCost}`;
+        }
+        if (reason) {
+            excluded.push({ model: model.name, reason });
+            return;
+        }
+
+        const matched = task.prefers.filter(capability => model.capabilities.includes(capability));
+        candidates.push({ model, matched, estimatedCost, score: matched.length, position });
+    });
+
+    // Unpriced models rank after priced ones of the same score
+    candidates.sort((a, b) => b.score - a.score
+        || (a.estimatedCost ?? Infinity) - (b.estimatedCost ?? Infinity)
+        || a.position - b.position);
+    return { candidates: candidates.map(({ position, ...candidate }) => candidate), excluded };
+}
+
+/**
+ * Sends a chat completion to an OpenAI-compatible API
+ * @param {string} baseUrl - API base URL
+ * @param {string} apiKey - API key
+ * @param {string} model - Model ID
+ * @param {string} prompt - Prompt
+ * @param {AbortSignal} [signal] - Aborts the request
+ * @returns {Promise<string>} Reply text
+ */
+async function openAIChat(baseUrl, apiKey, model, prompt, signal) {
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+        body: JSON.stringify({ model, messages: [{ role: "user", content: prompt }] }),
+        signal
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(body.error?.message || `${baseUrl} answered ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return body.choices[0].message.content;
+}
+
+// Adapters by catalog provider. Each names the environment variable holding its
+// API key and sends a prompt to the model's apiModel. Providers without an
+// adapter, or whose key is not set, are served by a stub.
+const ADAPTERS = {
+    Google: {
+        env: "GOOGLE_API_KEY",
+        generate: (model, prompt, signal) => createProvider({ provider: "gemini", generationModel: model.apiModel }).generate(prompt, { signal })
+    },
+    OpenAI: {
+        env: "OPENAI_API_KEY",
+        generate: (model, prompt, signal) => openAIChat("https://api.openai.com/v1", process.env.OPENAI_API_KEY, model.apiModel, prompt, signal)
+    },
+    DeepSeek: {
+        env: "DEEPSEEK_API_KEY",
+        generate: (model, prompt, signal) => openAIChat("https://api.deepseek.com", process.env.DEEPSEEK_API_KEY, model.apiModel, prompt, signal)
+    },
+    Anthropic: {
+        env: "ANTHROPIC_API_KEY",
+        async generate(model, prompt, signal) {
+            const response = await fetch("https://api.anthropic.com/v1/messages", {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "x-api-key": process.env.ANTHROPIC_API_KEY,
+                    "anthropic-version": "2023-06-01"
+                },
+                body: JSON.stringify({ model: model.apiModel, max_tokens: 1024, messages: [{ role: "user", content: prompt }] }),
+                signal
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                const error = new Error(body.error?.message || `Anthropic answered ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return body.content.map(part => part.text || "").join("");
+        }
+    }
+};
+
+/**
+ * Returns the adapter that sends prompts to a model: the provider's adapter
+ * for text tasks when its API key is set and the catalog gives the model's API
+ * ID, otherwise a local stub that answers without a network call and says
+ * which model it stands in for
+ * @param {Object} model - Catalog entry
+ * @param {Object} task - Result of classifyTask()
+ * @returns {{name: string, stub: boolean, generate: Function}} Adapter with generate(prompt, signal)
+ */
+export function createAdapter(model, task) {
+    // The adapters send chat prompts, so image and video models are always stubbed
+    const adapter = task.modality === "text" ? ADAPTERS[model.provider] : null;
+    if (adapter && process.env[adapter.env] && model.apiModel) {
+        return {
+            name: model.provider.toLowerCase(),
+            stub: false,
+            generate: (prompt, signal) => adapter.generate(model, prompt, signal)
+        };
+    }
+
+    let missing = `there is no ${model.provider} ${task.modality} adapter`;
+    if (adapter) {
+        missing = process.env[adapter.env] ? "the catalog has no apiModel for it" : `${adapter.env} is not set`;
+    }
+    return {
+        name: "stub",
+        stub: true,
+        async generate(prompt) {
+            return `[stub] ${model.name} would handle this ${task.task} request (${estimateTokens(prompt)} prompt tokens) here, but ${missing}.`;
+        }
+    };
+}
+
+/**
+ * Appends a routing decision to the log, one JSON object per line
+ * @param {string} logFile - Log file
+ * @param {Object} decision - Decision to record
+ */
+async function logDecision(logFile, decision) {
+    try {
+        await fs.mkdir(path.dirname(logFile), { recursive: true });
+        await fs.appendFile(logFile, `${JSON.stringify(decision)}\n`);
+    } catch (error) {
+        logger.error("Error writing the routing log", { error, logFile });
+    }
+}
+
+/**
+ * Creates a router over a model catalog. route() classifies the prompt, ranks
+ * the models that meet the constraints and sends the prompt to the best one,
+ * falling back to the next candidate when a call fails. Every decision, with
+ * the candidates, the excluded models and each attempt, is appended to the log.
+ * @param {Array} modelDatabase - Array of AI model objects
+ * @param {Object} [options] - Router options
+ * @param {string} [options.logFile] - Decision log (defaults to RAG_DATA_DIR/router/decisions.jsonl)
+ * @param {number} [options.maxAttempts] - Candidates tried before giving up (default 3)
+ * @param {Function} [options.adapterFor] - Returns the adapter for (model, task) (defaults to createAdapter)
+ * @returns {Object} Router with logFile, plan(prompt, constraints) and route(prompt, { constraints, task, signal })
+ */
+export function createRouter(modelDatabase, options = {}) {
+    const logFile = options.logFile || path.resolve(process.env.RAG_DATA_DIR || "./.rag", "router", "decisions.jsonl");
+    const maxAttempts = options.maxAttempts ?? 3;
+    const adapterFor = options.adapterFor || createAdapter;
+
+    // Classifies a prompt, or takes the named task, and ranks the candidates for it
+    function rank(prompt, constraints = {}, taskName) {
+        let task = classifyTask(prompt);
+        if (taskName) {
+            const rule = [...TASK_RULES, DEFAULT_TASK].find(candidate => candidate.task === taskName);
+            if (!rule) {
+                throw new Error(`Unknown task "${taskName}". Expected one of: ${TASK_TYPES.join(", ")}`);
+            }
+            task = { task: rule.task, modality: rule.modality, prefers: rule.prefers };
+        }
+        const fullConstraints = { promptTokens: estimateTokens(prompt), ...constraints };
+        return { task, constraints: fullConstraints, ...selectCandidates(task, modelDatabase, fullConstraints) };
+    }
+
+    /**
+     * Classifies a prompt and ranks the candidates without calling any model
+     * @param {string} prompt - Prompt to route
+     * @param {Object} [constraints] - Constraints as for selectCandidates()
+     * @param {string} [taskName] - Task type to use instead of the classified one
+     * @returns {Object} Plan with task, promptTokens, constraints, candidates
+     *   [{ model, provider, score, matched, latency, estimatedCost }] and excluded
+     */
+    function plan(prompt, constraints, taskName) {
+        return summarize(rank(prompt, constraints, taskName));
+    }
+
+    function summarize(ranked) {
+        return {
+            task: ranked.task.task,
+            promptTokens: ranked.constraints.promptTokens,
+            constraints: ranked.constraints,
+            candidates: ranked.candidates.map(({ model, matched, estimatedCost, score }) => ({
+                model: model.name, provider: model.provider, score, matched, latency: model.latency, estimatedCost
+            })),
+            excluded: ranked.excluded
+        };
+    }
+
+    return {
+        logFile,
+        plan,
+
+        /**
+         * Routes a prompt and returns the reply of the first candidate that answers
+         * @param {string} prompt - Prompt to route
+         * @param {Object} [routeOptions] - Options
+         * @param {Object} [routeOptions.constraints] - Constraints as for selectCandidates()
+         * @param {string} [routeOptions.task] - Task type to use instead of the classified one
+         * @param {AbortSignal} [routeOptions.signal] - Aborts the current call
+         * @returns {Promise<Object>} Decision with id, task, model, adapter, stub, reply, attempts,
+         *   candidates and excluded; model and reply are null when every attempt failed
+         */
+        async route(prompt, { constraints, task, signal } = {}) {
+            const started = Date.now();
+            const planned = rank(prompt, constraints, task);
+            const decision = {
+                id: `${started.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+                timestamp: new Date(started).toISOString(),
+                ...summarize(planned),
+                attempts: [],
+                model: null,
+                adapter: null,
+                stub: false,
+                reply: null
+            };
+
+            for (const { model } of planned.candidates.slice(0, maxAttempts)) {
+                const adapter = adapterFor(model, planned.task);
+                const attemptStarted = Date.now();
+                try {
+                    const reply = await adapter.generate(prompt, signal);
+                    decision.attempts.push({ model: model.name, adapter: adapter.name, ok: true, latencyMs: Date.now() - attemptStarted });
+                    Object.assign(decision, { model: model.name, adapter: adapter.name, stub: adapter.stub, reply });
+                    break;
+                } catch (error) {
+                    decision.attempts.push({ model: model.name, adapter: adapter.name, ok: false, error: error.message, latencyMs: Date.now() - attemptStarted });
+                    if (signal?.aborted) {
+                        break;
+                    }
+                    logger.warn(`Routing to ${model.name} failed (${error.status || error.message}); trying the next candidate.`, { model: model.name, adapter: adapter.name });
+                }
+            }
+
+            decision.latencyMs = Date.now() - started;
+            await logDecision(logFile, { ...decision, reply: undefined });
+            if (decision.model) {
+                logger.info(`Routed ${decision.task} request to ${decision.model} via ${decision.adapter} (${decision.attempts.length} attempt(s), ${decision.latencyMs}ms).`,
+                    { task: decision.task, model: decision.model, adapter: decision.adapter, attempts: decision.attempts.length, latencyMs: decision.latencyMs });
+            } else {
+                logger.warn(`Could not route ${decision.task} request: ${planned.candidates.length === 0 ? "no model meets the constraints" : "every candidate failed"}.`,
+                    { attempts: decision.attempts.length });
+            }
+            return decision;
+        }
+    };
+}
+
+/**
+ * Prints a routing plan or decision: the task, the ranked candidates, the
+ * models excluded and why, and each attempt made
+ * @param {Object} decision - Result of router.plan() or router.route()
+ */
+export function printRoutingDecision(decision) {
+    console.log(`\nTask: ${decision.task} (${decision.promptTokens} prompt tokens)`);
+    if (decision.candidates.length > 0) {
+        const width = Math.max(5, ...decision.candidates.map(candidate => candidate.model.length));
+        console.log(`\n${"Rank".padEnd(6)}${"Model".padEnd(width + 2)}${"Score".padStart(5)}  ${"Latency".padEnd(9)}${"Est. cost".padStart(10)}  Matched`);
+        decision.candidates.forEach((candidate, i) => {
+            const cost = candidate.estimatedCost === null ? "-" : `$${candidate.estimatedCost.toFixed(4)}`;
+            console.log(`${String(i + 1).padEnd(6)}${candidate.model.padEnd(width + 2)}${String(candidate.score).padStart(5)}  ${candidate.latency.padEnd(9)}${cost.padStart(10)}  ${candidate.matched.join(", ") || "-"}`);
+        });
+    }
+    if (decision.excluded.length > 0) {
+        console.log(`\nExcluded: ${decision.excluded.map(entry => `${entry.model} (${entry.reason})`).join("; ")}`);
+    }
+    for (const attempt of decision.attempts || []) {
+        console.log(`Attempt: ${attempt.model} via ${attempt.adapter} - ${attempt.ok ? "ok" : `failed: ${attempt.error}`} (${attempt.latencyMs}ms)`);
+    }
+}
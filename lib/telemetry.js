@@ -0,0 +1,726 @@
+// telemetry.js - Structured logs, request IDs and traces with per-stage timings, token usage and cost, exported as OpenTelemetry (OTLP/JSON)
+
+import { AsyncLocalStorage } from "async_hooks";
+import { randomBytes } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { estimateTokens } from "./text.js";
+
+// Log formats: messages for people, or one JSON object per line on stderr for log pipelines
+export const LOG_FORMATS = ["text", "json"];
+
+// Log levels, least severe first
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// Pipeline stages reported in trace summaries, in the order they run
+export const TRACE_STAGES = ["condense", "transform", "embedding", "search", "rerank", "generation"];
+
+// OTLP span kinds and status codes
+export const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, error: 2 };
+
+// Instrumentation scope reported with every span
+const SCOPE = { name: "rag-pipeline", version: "1.0.0" };
+
+// The span the current work runs in, carried across awaits instead of being passed to every function
+const activeSpan = new AsyncLocalStorage();
+
+// Exports still in flight, so callers about to exit can wait for them
+const pendingExports = new Set();
+
+// Settings already warned about having an unknown value
+const warnedSettings = new Set();
+
+/**
+ * Returns a setting from the environment, or its default with a warning if the value is not one of the choices.
+ * Logging must never fail, so a misspelt value degrades instead of throwing.
+ * @param {string} name - Environment variable
+ * @param {Array<string>} choices - Allowed values
+ * @param {string} fallback - Default
+ * @returns {string} Setting
+ */
+function choiceSetting(name, choices, fallback) {
+    const value = (process.env[name] || fallback).toLowerCase();
+    if (choices.includes(value)) {
+        return value;
+    }
+    if (!warnedSettings.has(name)) {
+        warnedSettings.add(name);
+        console.warn(`Unknown ${name} "${value}". Expected one of: ${choices.join(", ")}. Using "${fallback}".`);
+    }
+    return fallback;
+}
+
+/**
+ * Turns an error into plain fields for a JSON log line
+ * @param {Error} error - Error to describe
+ * @returns {Object} Name, message, code, status, details, cause and stack, where present
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) {
+        return { message: String(error) };
+    }
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined ? { code: error.code } : {}),
+        ...(error.status !== undefined ? { status: error.status } : {}),
+        ...(error.details !== undefined ? { details: error.details } : {}),
+        ...(error.cause ? { cause: error.cause.message || String(error.cause) } : {}),
+        stack: error.stack
+    };
+}
+
+/**
+ * Formats log fields as "(name: value, ...)" for the text format
+ * @param {Object} fields - Fields other than the error
+ * @returns {string} Suffix, empty without fields
+ */
+function formatFields(fields) {
+    const entries = Object.entries(fields).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) {
+        return "";
+    }
+    return ` (${entries.map(([key, value]) => `${key}: ${typeof value === "string" || typeof value === "number" ? value : JSON.stringify(value)}`).join(", ")})`;
+}
+
+/**
+ * Writes a log line. In the json format every line carries the time, level,
+ * message, the request ID and span ID of the work it came from, and the
+ * fields. In the text format messages read as they always have: info and
+ * debug lines go to stdout, warnings and errors to stderr with their fields.
+ * @param {string} level - One of LOG_LEVELS
+ * @param {string} message - Message
+ * @param {Object} [fields] - Structured fields; `error` is serialized with its cause and stack
+ * @param {boolean} [telemetry] - Whether this is a telemetry record, printed in the text format only at debug level
+ */
+function write(level, message, fields = {}, telemetry = false) {
+    const minimum = choiceSetting("LOG_LEVEL", LOG_LEVELS, "info");
+    const format = choiceSetting("LOG_FORMAT", LOG_FORMATS, "text");
+    const visibleLevel = telemetry && format === "text" ? "debug" : level;
+    if (LOG_LEVELS.indexOf(visibleLevel) < LOG_LEVELS.indexOf(minimum)) {
+        return;
+    }
+
+    const { error, ...rest } = fields;
+    if (format === "json") {
+        const span = activeSpan.getStore();
+        process.stderr.write(`${JSON.stringify({
+            time: new Date().toISOString(),
+            level,
+            message,
+            ...(span ? { requestId: span.traceId, spanId: span.spanId } : {}),
+            ...rest,
+            ...(error !== undefined ? { error: serializeError(error) } : {})
+        })}\n`);
+        return;
+    }
+
+    if (level === "warn" || level === "error") {
+        const text = `${message}${formatFields(rest)}`;
+        const print = level === "warn" ? console.warn : console.error;
+        if (error !== undefined) {
+            print(`${text}:`, error);
+        } else {
+            print(text);
+        }
+        return;
+    }
+    console.log(telemetry ? `${message}${formatFields(rest)}` : message);
+}
+
+// Structured logger. LOG_FORMAT selects text or json, LOG_LEVEL the least severe level written.
+export const logger = {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+
+    // Usage of a model call or the summary of a request: an info line in the json format,
+    // printed in the text format only with LOG_LEVEL=debug so it does not interleave with answers
+    record: (message, fields) => write("info", message, fields, true)
+};
+
+/**
+ * Returns random bytes as lowercase hex, as trace and span IDs are written
+ * @param {number} bytes - Number of bytes
+ * @returns {string} Hex string
+ */
+function randomHex(bytes) {
+    return randomBytes(bytes).toString("hex");
+}
+
+/**
+ * Returns the current time in milliseconds since the epoch, with sub-millisecond precision
+ * @returns {number} Time
+ */
+function now() {
+    return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Parses a W3C traceparent header, so a request continues the caller's trace
+ * @param {string} [header] - Header value, e.g. "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"
+ * @returns {{traceId: string, parentSpanId: string}|null} Trace and parent span, or null if absent or malformed
+ */
+export function parseTraceparent(header) {
+    const match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec((header || "").trim().toLowerCase());
+    if (!match || match[1] === "ff" || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+        return null;
+    }
+    return { traceId: match[2], parentSpanId: match[3] };
+}
+
+/**
+ * Returns the traceparent header that continues a span's trace downstream
+ * @param {Object} span - Span
+ * @returns {string} Header value
+ */
+export function formatTraceparent(span) {
+    return `00-${span.traceId}-${span.spanId}-01`;
+}
+
+// Span used outside a trace: work runs as usual and nothing is recorded
+const NOOP_SPAN = {
+    recording: false,
+    traceId: null,
+    spanId: null,
+    trace: null,
+    setAttributes() {
+        return this;
+    },
+    addEvent() {},
+    recordError() {},
+    end() {}
+};
+
+/**
+ * Starts a span in a trace and adds it to the trace's spans
+ * @param {Object} trace - Trace the span belongs to
+ * @param {string} name - Span name
+ * @param {Object} attributes - Initial attributes
+ * @param {Object|null} parent - Parent span, or null for the trace's root
+ * @param {number} kind - One of SPAN_KINDS
+ * @returns {Object} Span with setAttributes(), addEvent(), recordError() and end()
+ */
+function startSpan(trace, name, attributes, parent, kind) {
+    const span = {
+        recording: true,
+        trace,
+        traceId: trace.traceId,
+        spanId: randomHex(8),
+        parentSpanId: parent ? parent.spanId : trace.remoteParentSpanId,
+        name,
+        kind,
+        startTime: now(),
+        endTime: null,
+        attributes: { ...attributes },
+        events: [],
+        status: { code: STATUS_CODES.unset },
+
+        setAttributes(values) {
+            Object.assign(span.attributes, values);
+            return span;
+        },
+
+        addEvent(eventName, eventAttributes = {}) {
+            span.events.push({ name: eventName, time: now(), attributes: eventAttributes });
+        },
+
+        // Marks the span failed and records the error as an OpenTelemetry exception event
+        recordError(error) {
+            span.status = { code: STATUS_CODES.error, message: error?.message || String(error) };
+            span.addEvent("exception", {
+                "exception.type": error?.name || "Error",
+                "exception.message": error?.message || String(error),
+                ...(error?.stack ? { "exception.stacktrace": error.stack } : {})
+            });
+        },
+
+        end() {
+            span.endTime = span.endTime ?? now();
+        }
+    };
+    trace.spans.push(span);
+    return span;
+}
+
+/**
+ * Runs work in a span that is a child of the current one, ending it when the
+ * work settles and marking it failed if the work throws. Outside a trace the
+ * work runs with a span that records nothing, so library functions can be
+ * instrumented without starting traces of their own.
+ * @param {string} name - Span name
+ * @param {Object} attributes - Initial attributes; `rag.stage` assigns the span's time to one of TRACE_STAGES
+ * @param {Function} fn - Work, called with the span
+ * @param {Object} [options] - Options
+ * @param {number} [options.kind] - One of SPAN_KINDS (default internal)
+ * @returns {Promise<*>} The work's result
+ */
+export async function withSpan(name, attributes, fn, { kind = SPAN_KINDS.internal } = {}) {
+    const parent = activeSpan.getStore();
+    if (!parent) {
+        return fn(NOOP_SPAN);
+    }
+
+    const span = startSpan(parent.trace, name, attributes, parent, kind);
+    try {
+        return await activeSpan.run(span, () => fn(span));
+    } catch (error) {
+        span.recordError(error);
+        throw error;
+    } finally {
+        span.end();
+    }
+}
+
+/**
+ * Runs work in a new trace, or in a child span when a trace is already
+ * running. The trace's ID is the request ID of its log lines. When the root
+ * span ends, the trace's summary is logged and the trace is exported.
+ * @param {string} name - Root span name, e.g. "rag.ask" or "POST /ask"
+ * @param {Object} attributes - Initial attributes
+ * @param {Function} fn - Work, called with the span
+ * @param {Object} [options] - Options
+ * @param {number} [options.kind] - One of SPAN_KINDS (default internal)
+ * @param {string} [options.traceparent] - W3C traceparent header of the caller, whose trace is continued
+ * @returns {Promise<*>} The work's result
+ */
+export async function trace(name, attributes, fn, { kind = SPAN_KINDS.internal, traceparent } = {}) {
+    if (activeSpan.getStore()) {
+        return withSpan(name, attributes, fn, { kind });
+    }
+
+    // Checked before the work runs, so a misspelt exporter fails instead of dropping traces
+    const exporters = parseExporters(process.env.TRACE_EXPORTERS);
+    const remote = parseTraceparent(traceparent);
+    const current = {
+        traceId: remote?.traceId || randomHex(16),
+        remoteParentSpanId: remote?.parentSpanId || null,
+        spans: []
+    };
+    current.summarize = () => summarizeTrace(current);
+
+    const root = startSpan(current, name, attributes, null, kind);
+    try {
+        return await activeSpan.run(root, () => fn(root));
+    } catch (error) {
+        root.recordError(error);
+        throw error;
+    } finally {
+        root.end();
+        finishTrace(current, exporters);
+    }
+}
+
+/**
+ * Returns the span the current work runs in
+ * @returns {Object|null} Span, or null outside a trace
+ */
+export function currentSpan() {
+    return activeSpan.getStore() || null;
+}
+
+/**
+ * Sums the time covered by a set of intervals, counting overlaps once, so
+ * parallel searches add their wall-clock time rather than their total time
+ * @param {Array<Array<number>>} intervals - [start, end] pairs
+ * @returns {number} Covered time
+ */
+function coveredTime(intervals) {
+    let total = 0;
+    let reach = -Infinity;
+    [...intervals].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        if (end > reach) {
+            total += end - Math.max(start, reach);
+            reach = end;
+        }
+    });
+    return total;
+}
+
+/**
+ * Summarizes a trace: its duration, the wall-clock time of each stage, and
+ * the model calls with their token counts and estimated cost. Spans still
+ * running are measured up to now.
+ * @param {Object} trace - Trace, e.g. currentSpan().trace
+ * @returns {Object} { requestId, name, durationMs, stages, usage: { calls, inputTokens,
+ *   outputTokens, costUsd, estimated }, calls: [{ stage, operation, model, inputTokens,
+ *   outputTokens, costUsd, estimated, durationMs }] }. costUsd is null when any call's
+ *   model has no known price; estimated is true when any token count was estimated.
+ */
+export function summarizeTrace(trace) {
+    const time = now();
+    const [root] = trace.spans;
+    const byId = new Map(trace.spans.map(span => [span.spanId, span]));
+    const stageOf = span => {
+        for (let current = span; current; current = byId.get(current.parentSpanId)) {
+            if (current.attributes["rag.stage"]) {
+                return current.attributes["rag.stage"];
+            }
+        }
+        return null;
+    };
+
+    const intervals = {};
+    trace.spans.forEach(span => {
+        const stage = span.attributes["rag.stage"];
+        if (stage) {
+            (intervals[stage] = intervals[stage] || []).push([span.startTime, span.endTime ?? time]);
+        }
+    });
+    const stages = Object.fromEntries(TRACE_STAGES
+        .filter(stage => intervals[stage])
+        .map(stage => [stage, Math.round(coveredTime(intervals[stage]))]));
+
+    const calls = trace.spans
+        .filter(span => span.attributes["gen_ai.operation.name"])
+        .map(span => ({
+            stage: stageOf(span),
+            operation: span.attributes["gen_ai.operation.name"],
+            model: span.attributes["gen_ai.request.model"],
+            inputTokens: span.attributes["gen_ai.usage.input_tokens"] ?? 0,
+            outputTokens: span.attributes["gen_ai.usage.output_tokens"] ?? 0,
+            costUsd: span.attributes["rag.cost_usd"] ?? null,
+            estimated: span.attributes["rag.usage.estimated"] ?? true,
+            durationMs: Math.round((span.endTime ?? time) - span.startTime)
+        }));
+    const costUsd = calls.some(call => call.costUsd === null)
+        ? null
+        : calls.reduce((sum, call) => sum + call.costUsd, 0);
+
+    return {
+        requestId: trace.traceId,
+        name: root.name,
+        durationMs: Math.round((root.endTime ?? time) - root.startTime),
+        stages,
+        usage: {
+            calls: calls.length,
+            inputTokens: calls.reduce((sum, call) => sum + call.inputTokens, 0),
+            outputTokens: calls.reduce((sum, call) => sum + call.outputTokens, 0),
+            costUsd: costUsd === null ? null : Math.round(costUsd * 1e6) / 1e6,
+            estimated: calls.some(call => call.estimated)
+        },
+        calls
+    };
+}
+
+/**
+ * Records the token usage and estimated cost of a model call on its span and logs it.
+ * A model the provider has no price for is recorded without a cost.
+ * @param {Object} span - Span of the call
+ * @param {Object} provider - Provider the call went to
+ * @param {Object} usage - { inputTokens, outputTokens, estimated }
+ */
+async function recordUsage(span, provider, usage) {
+    if (!span.recording) {
+        return;
+    }
+    const model = span.attributes["gen_ai.request.model"];
+    const price = (await provider.loadPricing?.())?.[model];
+    const costUsd = price
+        ? Math.round((usage.inputTokens * price.inputPer1K + usage.outputTokens * (price.outputPer1K || 0)) / 1000 * 1e8) / 1e8
+        : null;
+
+    span.setAttributes({
+        "gen_ai.usage.input_tokens": usage.inputTokens,
+        "gen_ai.usage.output_tokens": usage.outputTokens,
+        "rag.usage.estimated": usage.estimated,
+        "rag.cost_usd": costUsd
+    });
+    logger.record("Model call", {
+        operation: span.attributes["gen_ai.operation.name"],
+        model,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
+        estimated: usage.estimated,
+        costUsd,
+        durationMs: Math.round(now() - span.startTime)
+    });
+}
+
+/**
+ * Wraps a provider so every embedding and generation call inside a trace runs
+ * in a client span carrying the OpenTelemetry GenAI attributes: the operation,
+ * the model, and the input and output token counts. Counts come from the
+ * provider when it reports them through `onUsage` and are estimated from the
+ * text otherwise. The cost is computed from the prices the provider's
+ * loadPricing() resolves to, USD per 1K tokens by model name. Outside a
+ * trace the calls pass straight through.
+ * @param {Object} provider - Provider from a provider factory
+ * @returns {Object} Provider with the same properties and instrumented methods
+ */
+export function instrumentProvider(provider) {
+    const attributes = (operation, model) => ({
+        "gen_ai.operation.name": operation,
+        "gen_ai.system": provider.name,
+        "gen_ai.request.model": model
+    });
+
+    // Runs one call in a span; `run` receives the onUsage callback to pass to the provider
+    function call(operation, model, inputTokens, run) {
+        return withSpan(`${operation} ${model}`, attributes(operation, model), async span => {
+            let reported = null;
+            const result = await run(usage => {
+                reported = usage;
+            });
+            await recordUsage(span, provider, reported
+                ? { ...reported, estimated: false }
+                : { inputTokens, outputTokens: operation === "chat" ? estimateTokens(result) : 0, estimated: true });
+            return result;
+        }, { kind: SPAN_KINDS.client });
+    }
+
+    return {
+        ...provider,
+
+        embed(text) {
+            return call("embeddings", provider.embeddingModel, estimateTokens(text), () => provider.embed(text));
+        },
+
+        ...(provider.embedBatch ? {
+            embedBatch(texts) {
+                const tokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+                return call("embeddings", provider.embeddingModel, tokens, () => provider.embedBatch(texts));
+            }
+        } : {}),
+
+        generate(prompt, options = {}) {
+            return call("chat", provider.generationModel, estimateTokens(prompt), onUsage => provider.generate(prompt, { ...options, onUsage }));
+        },
+
+        // A stream's span runs from the first token requested until the stream ends or is abandoned
+        async *generateStream(prompt, options = {}) {
+            const parent = activeSpan.getStore();
+            const model = provider.generationModel;
+            const span = parent
+                ? startSpan(parent.trace, `chat ${model}`, { ...attributes("chat", model), "rag.streamed": true }, parent, SPAN_KINDS.client)
+                : NOOP_SPAN;
+            let reported = null;
+            let output = "";
+            try {
+                for await (const token of provider.generateStream(prompt, { ...options, onUsage: usage => { reported = usage; } })) {
+                    output += token;
+                    yield token;
+                }
+            } catch (error) {
+                span.recordError(error);
+                throw error;
+            } finally {
+                if (options.signal?.aborted) {
+                    span.setAttributes({ "rag.aborted": true });
+                }
+                await recordUsage(span, provider, reported
+                    ? { ...reported, estimated: false }
+                    : { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(output), estimated: true });
+                span.end();
+            }
+        }
+    };
+}
+
+/**
+ * Converts an attribute value to an OTLP AnyValue
+ * @param {*} value - Attribute value
+ * @returns {Object} AnyValue
+ */
+function otlpValue(value) {
+    if (typeof value === "boolean") {
+        return { boolValue: value };
+    }
+    if (typeof value === "number") {
+        return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    if (Array.isArray(value)) {
+        return { arrayValue: { values: value.map(otlpValue) } };
+    }
+    return { stringValue: typeof value === "string" ? value : JSON.stringify(value) };
+}
+
+/**
+ * Converts attributes to OTLP key-value pairs, dropping null and undefined values
+ * @param {Object} attributes - Attributes
+ * @returns {Array<Object>} Key-value pairs
+ */
+function otlpAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => ({ key, value: otlpValue(value) }));
+}
+
+/**
+ * Converts milliseconds since the epoch to the nanosecond string OTLP expects
+ * @param {number} ms - Time
+ * @returns {string} Nanoseconds since the epoch
+ */
+function unixNano(ms) {
+    return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+/**
+ * Converts a trace to an OTLP/JSON ExportTraceServiceRequest, the body an
+ * OpenTelemetry Collector accepts on /v1/traces
+ * @param {Object} trace - Trace, e.g. currentSpan().trace
+ * @returns {Object} { resourceSpans: [...] }
+ */
+export function toOtlp(trace) {
+    return {
+        resourceSpans: [{
+            resource: { attributes: otlpAttributes({ "service.name": process.env.OTEL_SERVICE_NAME || "langchain-genai" }) },
+            scopeSpans: [{
+                scope: SCOPE,
+                spans: trace.spans.map(span => ({
+                    traceId: span.traceId,
+                    spanId: span.spanId,
+                    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+                    name: span.name,
+                    kind: span.kind,
+                    startTimeUnixNano: unixNano(span.startTime),
+                    endTimeUnixNano: unixNano(span.endTime ?? span.startTime),
+                    attributes: otlpAttributes(span.attributes),
+                    events: span.events.map(event => ({
+                        timeUnixNano: unixNano(event.time),
+                        name: event.name,
+                        attributes: otlpAttributes(event.attributes)
+                    })),
+                    status: span.status
+                }))
+            }]
+        }]
+    };
+}
+
+/**
+ * Returns the OTLP/HTTP traces endpoint: OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, or
+ * /v1/traces under OTEL_EXPORTER_OTLP_ENDPOINT, or a collector on localhost
+ * @returns {string} URL
+ */
+function otlpEndpoint() {
+    if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+        return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+    }
+    return `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || "http://localhost:4318").replace(/\/+$/, "")}/v1/traces`;
+}
+
+/**
+ * Parses OTEL_EXPORTER_OTLP_HEADERS, e.g. "authorization=Bearer%20abc,x-team=search"
+ * @returns {Object} Headers
+ */
+function otlpHeaders() {
+    return Object.fromEntries((process.env.OTEL_EXPORTER_OTLP_HEADERS || "")
+        .split(",")
+        .map(pair => pair.split("="))
+        .filter(([key, ...value]) => key.trim() && value.length > 0)
+        .map(([key, ...value]) => [key.trim(), decodeURIComponent(value.join("=").trim())]));
+}
+
+// Trace exporters by name. Each receives the OTLP/JSON document of one finished trace.
+const EXPORTERS = {
+    // One document per line in TRACE_FILE, the layout of the Collector's file exporter
+    async file(payload) {
+        const file = path.resolve(process.env.TRACE_FILE || path.join(process.env.RAG_DATA_DIR || "./.rag", "traces", "traces.jsonl"));
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, `${JSON.stringify(payload)}\n`);
+    },
+
+    // OTLP/HTTP with a JSON body, to an OpenTelemetry Collector or any backend that accepts OTLP
+    async otlp(payload) {
+        const response = await fetch(otlpEndpoint(), {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...otlpHeaders() },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout(10000)
+        });
+        if (!response.ok) {
+            throw new Error(`${otlpEndpoint()} answered ${response.status} ${response.statusText}`);
+        }
+    }
+};
+
+export const TRACE_EXPORTERS = Object.keys(EXPORTERS);
+
+/**
+ * Parses a comma-separated list of trace exporters. Without one, traces are
+ * sent over OTLP when an OTLP endpoint is configured and kept in memory only otherwise.
+ * @param {string|Array<string>} [value] - Exporter names, e.g. "file,otlp", or "none"
+ * @returns {Array<string>} Exporter names
+ */
+export function parseExporters(value) {
+    if (value === undefined || value === "") {
+        return process.env.OTEL_EXPORTER_OTLP_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT ? ["otlp"] : [];
+    }
+    const names = (Array.isArray(value) ? value : String(value).split(","))
+        .map(name => name.trim().toLowerCase())
+        .filter(name => name && name !== "none");
+    const unknown = names.filter(name => !Object.hasOwn(EXPORTERS, name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown trace exporter(s) ${unknown.map(name => `"${name}"`).join(", ")}. Expected: ${TRACE_EXPORTERS.join(", ")} or none`);
+    }
+    return [...new Set(names)];
+}
+
+/**
+ * Logs a finished trace's summary and exports it in the background. A failed
+ * export is logged and never fails the request it traced.
+ * @param {Object} trace - Finished trace
+ * @param {Array<string>} exporters - Exporter names from parseExporters()
+ */
+function finishTrace(trace, exporters) {
+    logger.record("Request finished", summarizeTrace(trace));
+    if (exporters.length === 0) {
+        return;
+    }
+
+    const payload = toOtlp(trace);
+    exporters.forEach(name => {
+        const pending = EXPORTERS[name](payload)
+            .catch(error => logger.warn(`Error exporting a trace with the ${name} exporter`, { error: error.message, traceId: trace.traceId }))
+            .finally(() => pendingExports.delete(pending));
+        pendingExports.add(pending);
+    });
+}
+
+/**
+ * Waits for trace exports still in flight, e.g. before a server exits
+ * @returns {Promise<void>} Resolves when every export has finished or failed
+ */
+export async function flushTraces() {
+    await Promise.all([...pendingExports]);
+}
+
+/**
+ * Formats a trace summary as one line: duration, stage times, tokens and cost
+ * @param {Object} summary - Result of summarizeTrace()
+ * @returns {string} Line, e.g. "Request 4bf9...: 1432ms (embedding 12ms, search 3ms, generation 1402ms); 2 model calls, 1204 input and 210 output tokens, about $0.000204"
+ */
+export function formatTraceSummary(summary) {
+    const stages = Object.entries(summary.stages).map(([stage, ms]) => `${stage} ${ms}ms`).join(", ");
+    const { calls, inputTokens, outputTokens, costUsd, estimated } = summary.usage;
+    const usage = calls === 0
+        ? "no model calls"
+        : `${calls} model call${calls === 1 ? "" : "s"}, ${inputTokens} input and ${outputTokens} output tokens${estimated ? " (estimated)" : ""}, `
+            + (costUsd === null ? "cost unknown" : `about $${costUsd}`);
+    return `Request ${summary.requestId}: ${summary.durationMs}ms${stages ? ` (${stages})` : ""}; ${usage}`;
+}
+
+/**
+ * Prints a trace summary: the stage times and each model call
+ * @param {Object} summary - Result of summarizeTrace()
+ */
+export function printTraceSummary(summary) {
+    console.log(`\n${formatTraceSummary(summary)}`);
+    if (summary.calls.length === 0) {
+        return;
+    }
+
+    const modelWidth = Math.max(5, ...summary.calls.map(call => call.model.length));
+    console.log(`\n${"Stage".padEnd(12)}${"Operation".padEnd(12)}${"Model".padEnd(modelWidth + 2)}${"Input".padStart(7)}${"Output".padStart(8)}${"Cost".padStart(12)}${"Time".padStart(9)}`);
+    summary.calls.forEach(call => {
+        const cost = call.costUsd === null ? "-" : `$${call.costUsd}`;
+        console.log(`${(call.stage || "-").padEnd(12)}${call.operation.padEnd(12)}${call.model.padEnd(modelWidth + 2)}`
+            + `${String(call.inputTokens).padStart(7)}${String(call.outputTokens).padStart(8)}${cost.padStart(12)}${`${call.durationMs}ms`.padStart(9)}`);
+    });
+    if (summary.usage.estimated) {
+        console.log("\nToken counts the provider did not report are estimated at about four characters per token.");
+    }
+}
@@ -0,0 +1,58 @@
+// text.js - Small text helpers shared by the local provider and lexical scoring
+
+// Common English words that carry no meaning for matching
+const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "at", "be", "but", "by", "can", "do", "does", "for",
+    "from", "how", "i", "if", "in", "into", "is", "it", "its", "of", "on", "or", "so",
+    "that", "the", "their", "then", "there", "these", "this", "to", "was", "what",
+    "when", "where", "which", "who", "why", "will", "with", "you", "your"
+]);
+
+/**
+ * Splits text into lowercase terms, dropping stop words.
+ * Dotted identifiers such as `fs.createReadStream` are kept whole and also
+ * split into their parts so both forms can match.
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Terms in order of appearance
+ */
+export function tokenize(text) {
+    const words = (text || "").toLowerCase().match(/[a-z0-9_$]+(?:[.\-][a-z0-9_$]+)*/g) || [];
+    const terms = [];
+
+    for (const word of words) {
+        if (!STOP_WORDS.has(word)) {
+            terms.push(word);
+        }
+        if (/[.\-]/.test(word)) {
+            for (const part of word.split(/[.\-]/)) {
+                if (part && !STOP_WORDS.has(part)) {
+                    terms.push(part);
+                }
+            }
+        }
+    }
+
+    return terms;
+}
+
+/**
+ * Splits text into sentences on terminal punctuation and blank lines.
+ * Citation markers such as "[2]" after a full stop stay with their sentence.
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Trimmed, non-empty sentences
+ */
+export function splitSentences(text) {
+    return (text || "")
+        .split(/(?<=[.!?])\s+(?!\[\d)|\n{2,}/)
+        .map(sentence => sentence.replace(/\s+/g, " ").trim())
+        .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Estimates the tokens in a text at about four characters per token
+ * @param {string} text - Text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || "").length / 4);
+}
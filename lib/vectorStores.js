@@ -0,0 +1,287 @@
+// vectorStores.js - Vector store backends: Qdrant and a file-based local store
+
+import { QdrantClient } from "@qdrant/js-client-rest";
+import fs from "fs/promises";
+import { randomUUID } from "crypto";
+import path from "path";
+import { matchesFilter, toQdrantFilter } from "./filters.js";
+
+// Payload indexes created with every Qdrant collection, so metadata filters stay fast
+const QDRANT_PAYLOAD_INDEXES = [
+    { field_name: "metadata.source", field_schema: "keyword" },
+    { field_name: "metadata.fileType", field_schema: "keyword" },
+    { field_name: "metadata.tags", field_schema: "keyword" },
+    { field_name: "metadata.page", field_schema: "integer" },
+    { field_name: "metadata.ingestedAt", field_schema: "datetime" }
+];
+
+/**
+ * Creates a store backed by a Qdrant server
+ * @param {Object} options - Store options
+ * @param {string} options.collectionName - Collection to operate on
+ * @param {string} [options.url] - Qdrant URL (defaults to QDRANT_URL)
+ * @param {string} [options.apiKey] - Qdrant API key (defaults to QDRANT_API_KEY)
+ * @returns {Object} Vector store
+ */
+function createQdrantStore(options) {
+    const collectionName = options.collectionName;
+    const client = new QdrantClient({
+        url: options.url || process.env.QDRANT_URL,
+        apiKey: options.apiKey || process.env.QDRANT_API_KEY
+    });
+
+    return {
+        name: "qdrant",
+        collectionName,
+
+        async collectionExists() {
+            const collections = await client.getCollections();
+            return collections.collections.some(c => c.name === collectionName);
+        },
+
+        async createCollection(vectorSize) {
+            await client.createCollection(collectionName, {
+                vectors: {
+                    size: vectorSize,
+                    distance: "Cosine"
+                }
+            });
+            for (const index of QDRANT_PAYLOAD_INDEXES) {
+                await client.createPayloadIndex(collectionName, { ...index, wait: true });
+            }
+        },
+
+        async upsert(points) {
+            await client.upsert(collectionName, { points });
+        },
+
+        async search(vector, { limit = 4, filter = null } = {}) {
+            const hits = await client.search(collectionName, { vector, limit, filter: toQdrantFilter(filter) });
+            return hits.map(hit => ({ id: hit.id, score: hit.score, payload: hit.payload }));
+        },
+
+        async retrieve(ids) {
+            if (ids.length === 0) {
+                return [];
+            }
+            const points = await client.retrieve(collectionName, { ids, with_payload: true, with_vector: false });
+            return points.map(point => ({ id: point.id, payload: point.payload }));
+        },
+
+        async count() {
+            const result = await client.count(collectionName, { exact: true });
+            return result.count;
+        },
+
+        async delete(ids) {
+            if (ids.length > 0) {
+                await client.delete(collectionName, { points: ids });
+            }
+        },
+
+        async deleteCollection() {
+            await client.deleteCollection(collectionName);
+        },
+
+        async info() {
+            const collectionInfo = await client.getCollection(collectionName);
+            return {
+                pointsCount: collectionInfo.points_count,
+                vectorSize: collectionInfo.config.params.vectors.size
+            };
+        }
+    };
+}
+
+/**
+ * Computes the cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} Similarity in [-1, 1], or 0 if either vector is zero
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Creates an in-process store that keeps vectors in a JSON file and answers
+ * searches by brute-force cosine similarity. Suited to laptops and CI where
+ * no Qdrant server is available.
+ * @param {Object} options - Store options
+ * @param {string} options.collectionName - Collection to operate on
+ * @param {string} [options.dataDir] - Directory for store files (defaults to RAG_DATA_DIR or ./.rag)
+ * @returns {Object} Vector store
+ */
+function createLocalStore(options) {
+    const collectionName = options.collectionName;
+    const dataDir = options.dataDir || process.env.RAG_DATA_DIR || "./.rag";
+    const filePath = path.resolve(dataDir, "vectors", `${collectionName}.json`);
+
+    // Loaded lazily on first access; null means the collection does not exist
+    let collection;
+
+    async function load() {
+        if (collection !== undefined) {
+            return collection;
+        }
+        try {
+            const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+            collection = {
+                vectorSize: data.vectorSize,
+                points: new Map(data.points.map(point => [point.id, point]))
+            };
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+            collection = null;
+        }
+        return collection;
+    }
+
+    // Saves of this store run one after another, each writing the state as it is when it starts
+    let saving = Promise.resolve();
+
+    async function write() {
+        // The collection was deleted after this save was queued
+        if (!collection) {
+            return;
+        }
+        const data = {
+            vectorSize: collection.vectorSize,
+            points: Array.from(collection.points.values())
+        };
+        // Write to a temporary file first so a crash never leaves a truncated store. The name
+        // is unique so saves from other stores or processes never write the same temporary file.
+        const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        try {
+            await fs.writeFile(tempPath, JSON.stringify(data));
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    function save() {
+        saving = saving.catch(() => {}).then(write);
+        return saving;
+    }
+
+    async function requireCollection() {
+        const current = await load();
+        if (!current) {
+            throw new Error(`Collection ${collectionName} does not exist.`);
+        }
+        return current;
+    }
+
+    return {
+        name: "local",
+        collectionName,
+
+        async collectionExists() {
+            return (await load()) !== null;
+        },
+
+        async createCollection(vectorSize) {
+            if (await load()) {
+                throw new Error(`Collection ${collectionName} already exists.`);
+            }
+            collection = { vectorSize, points: new Map() };
+            await save();
+        },
+
+        async upsert(points) {
+            const current = await requireCollection();
+            for (const point of points) {
+                if (point.vector.length !== current.vectorSize) {
+                    throw new Error(`Vector size ${point.vector.length} does not match collection size ${current.vectorSize}.`);
+                }
+                current.points.set(point.id, point);
+            }
+            await save();
+        },
+
+        async search(vector, { limit = 4, filter = null } = {}) {
+            const current = await requireCollection();
+            const hits = [];
+            for (const point of current.points.values()) {
+                if (!matchesFilter(point.payload.metadata, filter)) {
+                    continue;
+                }
+                hits.push({ id: point.id, score: cosineSimilarity(vector, point.vector), payload: point.payload });
+            }
+            return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+        },
+
+        async retrieve(ids) {
+            const current = await requireCollection();
+            return ids
+                .filter(id => current.points.has(id))
+                .map(id => ({ id, payload: current.points.get(id).payload }));
+        },
+
+        async count() {
+            return (await requireCollection()).points.size;
+        },
+
+        async delete(ids) {
+            const current = await requireCollection();
+            ids.forEach(id => current.points.delete(id));
+            await save();
+        },
+
+        async deleteCollection() {
+            // Saves queued from now on find no collection; one still in flight would bring the file back
+            collection = null;
+            await saving.catch(() => {});
+            await fs.rm(filePath, { force: true });
+        },
+
+        async info() {
+            const current = await requireCollection();
+            return {
+                pointsCount: current.points.size,
+                vectorSize: current.vectorSize
+            };
+        }
+    };
+}
+
+const STORES = {
+    qdrant: createQdrantStore,
+    local: createLocalStore
+};
+
+/**
+ * Creates the vector store selected by config.
+ * The backend comes from `options.store`, then VECTOR_STORE, then "qdrant".
+ * Every store exposes collectionExists(), createCollection(vectorSize),
+ * upsert(points), search(vector, { limit, filter }), retrieve(ids), count(), delete(ids),
+ * deleteCollection() and info().
+ * @param {Object} options - Store name, collection name and backend-specific options
+ * @returns {Object} Vector store
+ */
+export function createVectorStore(options = {}) {
+    const name = (options.store || process.env.VECTOR_STORE || "qdrant").toLowerCase();
+    const factory = STORES[name];
+
+    if (!factory) {
+        throw new Error(`Unknown vector store "${name}". Expected one of: ${Object.keys(STORES).join(", ")}`);
+    }
+
+    return factory({
+        ...options,
+        collectionName: options.collectionName || process.env.COLLECTION_NAME || "learning_langchain"
+    });
+}
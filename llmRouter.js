@@ -1,125 +1,105 @@
 // Import required libraries
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import * as readline from 'readline';
 import * as dotenv from 'dotenv';
-import fs from 'fs/promises';
-import path from 'path';
+import { loadAIModelData, recommendAIModel } from './lib/modelRecommender.js';
+import { createCatalogIndex, retrieveShortlist } from './lib/catalogIndex.js';
+import { createRouter, printRoutingDecision } from './lib/router.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize the Gemini API with your API key
-const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+// With --route, prompts are sent to the best model instead of asking which model to use
+const routing = process.argv.includes('--route');
 
 /**
- * Loads AI model data from the JSON file
- * @returns {Promise<Array>} Array of AI model objects
- */
-async function loadAIModelData() {
-    try {
-        const filePath = path.resolve('./aiModels.json');
-        const fileData = await fs.readFile(filePath, 'utf8');
-        const modelData = JSON.parse(fileData);
-        return modelData.models;
-    } catch (error) {
-        console.error("Error loading AI model data:", error);
-        process.exit(1);
-    }
-}
-
-/**
- * Creates a prompt for Gemini to analyze the user's query and recommend an AI model
- * @param {string} userQuery - User's query about what they want to do with an AI model
- * @param {Array} modelDatabase - Array of AI model objects
- * @returns {string} The formatted prompt
- */
-function createModelSelectorPrompt(userQuery, modelDatabase) {
-    const modelData = modelDatabase.map(model => `
-    Model: ${model.name}
-    Provider: ${model.provider}
-    Best for: ${model.bestFor}
-    Pricing: ${model.pricing}
-    Limitations: ${model.limitations}
-  `).join('\n');
-
-    return `
-    You are a knowledgeable AI model selector. Your job is to recommend the best AI model based on the user's needs.
-    
-    Below is information about various AI models:
-    ${modelData}
-    
-    User Query: "${userQuery}"
-    
-    Based on the user's query, please analyze which AI model would be the best fit.
-    
-    In your response, provide:
-    1. The recommended AI model name
-    2. Why this model is the best fit for their needs
-    3. Pricing considerations
-    4. Any limitations or alternatives they should consider
-    5. A brief suggestion on how they might implement their solution
-    
-    Format your response in a clear, structured way with headings.
-  `;
-}
-
-/**
- * Uses Gemini to analyze a query and recommend the best AI model
- * @param {string} query - User's query about what they want to do with an AI model
- * @param {Array} modelDatabase - Array of AI model objects
- * @returns {Promise<string>} Gemini's recommendation
- */
-async function recommendAIModel(query, modelDatabase) {
-    try {
-        // Get the Gemini model (using the latest model)
-        const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
-
-        // Create the prompt
-        const prompt = createModelSelectorPrompt(query, modelDatabase);
-
-        // Generate content using Gemini
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        return text;
-    } catch (error) {
-        console.error("Error recommending AI model:", error);
-        return "Sorry, I encountered an error while trying to recommend an AI model. Please check your API key and try again.";
-    }
-}
-
-/**
- * Creates a CLI interface to get user queries and provide recommendations
+ * Creates a CLI interface to get user queries and provide recommendations,
+ * or with --route, to route each prompt to a model and print its reply
  */
 async function main() {
     try {
         // Load model data from JSON file
         const modelDatabase = await loadAIModelData();
+        const router = routing ? createRouter(modelDatabase) : null;
+        // Recommendations retrieve candidates from the embedded catalog, which follows edits to the file
+        const catalogIndex = routing ? null : createCatalogIndex();
 
         const rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout
         });
 
-        console.log("\n===== AI Model Recommender =====");
-        console.log("Describe what you want to build or the problem you're trying to solve,");
-        console.log("and I'll recommend the best AI model for your needs.");
-        console.log("Type 'exit' to quit.\n");
+        if (routing) {
+            console.log("\n===== AI Model Router =====");
+            console.log("Enter a prompt and it will be sent to the catalog model best suited to it.");
+            console.log(`Routing decisions are logged to ${router.logFile}.`);
+            console.log("Type 'exit' to quit. Press Ctrl+C to stop a request.\n");
+        } else {
+            console.log("\n===== AI Model Recommender =====");
+            console.log("Describe what you want to build or the problem you're trying to solve,");
+            console.log("and I'll recommend the best AI model for your needs.");
+            console.log("Type 'exit' to quit. Press Ctrl+C to stop a recommendation.\n");
+        }
+
+        // Controller for the recommendation being generated, if any
+        let activeController = null;
+
+        rl.on('SIGINT', () => {
+            if (activeController) {
+                activeController.abort();
+            } else {
+                console.log(`\nThank you for using the AI Model ${routing ? "Router" : "Recommender"}. Goodbye!`);
+                rl.close();
+            }
+        });
 
         // Function to ask questions and get recommendations
         const askQuestion = () => {
             rl.question("\nYour query: ", async (query) => {
                 if (query.toLowerCase() === 'exit') {
-                    console.log("Thank you for using the AI Model Recommender. Goodbye!");
+                    console.log(`Thank you for using the AI Model ${routing ? "Router" : "Recommender"}. Goodbye!`);
                     rl.close();
                     return;
                 }
 
+                if (routing) {
+                    activeController = new AbortController();
+                    const decision = await router.route(query, { signal: activeController.signal });
+                    activeController = null;
+                    printRoutingDecision(decision);
+                    if (decision.reply !== null) {
+                        console.log(`\n=== ${decision.model}${decision.stub ? " (stub)" : ""} ===\n${decision.reply}`);
+                    }
+                    askQuestion();
+                    return;
+                }
+
                 console.log("\nAnalyzing your needs...");
-                const recommendation = await recommendAIModel(query, modelDatabase);
+
+                // A catalog edited into an invalid state cannot be shortlisted from until it is fixed
+                let shortlist;
+                try {
+                    shortlist = await retrieveShortlist(query, catalogIndex);
+                } catch (error) {
+                    console.error("Error reading the model catalog:", error.message);
+                    askQuestion();
+                    return;
+                }
                 console.log("\n=== RECOMMENDATION ===\n");
-                console.log(recommendation);
+
+                // Print the recommendation as it streams in
+                activeController = new AbortController();
+                const { signal } = activeController;
+                await recommendAIModel(query, shortlist.shortlist.map(candidate => candidate.model), {
+                    shortlist,
+                    signal,
+                    onToken: token => process.stdout.write(token)
+                });
+                activeController = null;
+
+                process.stdout.write("\n");
+                if (signal.aborted) {
+                    console.log("[Recommendation cancelled]");
+                }
                 console.log("\n========================\n");
 
                 askQuestion(); // Continue the loop
@@ -133,12 +113,14 @@ async function main() {
     }
 }
 
-// Check if GOOGLE_API_KEY is available
-if (!process.env.GOOGLE_API_KEY) {
-    console.error("Error: GOOGLE_API_KEY is not set in your environment variables.");
-    console.log("Please create a .env file with your Google AI API key:");
+// Check if GOOGLE_API_KEY is available when the Gemini provider is selected.
+// Neither mode needs it: routing stubs providers without a key, and
+// recommendations fall back to the catalog rules.
+const usesGemini = (process.env.LLM_PROVIDER || "gemini").toLowerCase() === "gemini";
+if (usesGemini && !routing && !process.env.GOOGLE_API_KEY) {
+    console.warn("Warning: GOOGLE_API_KEY is not set, so recommendations will come from the catalog rules alone.");
+    console.log("To get recommendations from Gemini, create a .env file with your Google AI API key:");
     console.log("GOOGLE_API_KEY=your_api_key_here");
-    process.exit(1);
 }
 
 // Start the application
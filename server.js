@@ -0,0 +1,37 @@
+// Import necessary packages
+import dotenv from 'dotenv';
+import { createRagPipeline } from "./lib/pipeline.js";
+import { createApiServer } from "./lib/api.js";
+import { flushTraces } from "./lib/telemetry.js";
+
+// Load environment variables from .env file
+dotenv.config();
+
+/**
+ * Starts the HTTP API on PORT (default 3000)
+ */
+function main() {
+    try {
+        const pipeline = createRagPipeline();
+        const { provider, vectorStore } = pipeline;
+        const port = Number(process.env.PORT || 3000);
+
+        const server = createApiServer({ pipeline });
+        server.listen(port, () => {
+            console.log(`RAG API listening on http://localhost:${port} (provider: ${provider.name}, store: ${vectorStore.name}, collection: ${vectorStore.collectionName})`);
+        });
+
+        // Finish in-flight requests and trace exports before exiting
+        const shutdown = () => {
+            console.log("Shutting down...");
+            server.close(() => flushTraces().then(() => process.exit(0)));
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+    } catch (error) {
+        console.error("Error starting API server:", error);
+        process.exit(1);
+    }
+}
+
+main();
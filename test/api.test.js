@@ -0,0 +1,154 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { createApiServer } from "../lib/api.js";
+import { createRagPipeline } from "../lib/pipeline.js";
+import { createProvider } from "../lib/providers.js";
+import { createVectorStore } from "../lib/vectorStores.js";
+import { createCache } from "../lib/cache.js";
+import { createCatalogIndex } from "../lib/catalogIndex.js";
+import { readCatalogFile } from "../lib/catalog.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-api-", { dataDir: true });
+
+let server = null;
+let baseUrl = null;
+let catalogStore = null;
+
+// Started by the first request, once the temporary directory exists
+async function startServer() {
+    const rootDir = path.join(tempDir(), "project");
+    await fs.mkdir(rootDir);
+    await fs.writeFile(path.join(rootDir, "streams.md"), "# Streams\n\nReadable streams emit data events as chunks arrive.\n");
+    await fs.writeFile(path.join(rootDir, "notes.csv"), "a,b\n1,2\n");
+
+    const provider = createProvider({ provider: "local" });
+    const pipeline = createRagPipeline({
+        provider,
+        vectorStore: createVectorStore({ store: "local", collectionName: "api_test", dataDir: tempDir() }),
+        cache: createCache({ enabled: false, dataDir: tempDir() })
+    });
+
+    // A catalog of one closed model, so a query asking to self-host matches nothing
+    const { catalog } = await readCatalogFile("aiModels.json");
+    const catalogFile = path.join(tempDir(), "models.json");
+    await fs.writeFile(catalogFile, JSON.stringify({ ...catalog, models: catalog.models.filter(model => model.name === "GPT-4o") }));
+    catalogStore = createVectorStore({ store: "local", collectionName: "api_test_models", dataDir: tempDir() });
+    const catalogIndex = createCatalogIndex({ provider, vectorStore: catalogStore, file: catalogFile });
+
+    server = createApiServer({ pipeline, recommender: provider, catalogIndex, rootDir });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+after(async () => {
+    if (server) {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+async function request(pathname, init) {
+    if (!server) {
+        await startServer();
+    }
+    return fetch(`${baseUrl}${pathname}`, init);
+}
+
+async function post(pathname, body, headers = {}) {
+    const response = await request(pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+test("invalid bodies are rejected with every failing field", async () => {
+    const { status, body } = await post("/search", { query: "", k: 0, strategy: "fuzzy", color: "red" });
+
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "validation_error");
+    assert.deepEqual(body.error.details.map(detail => detail.field).sort(), ["color", "k", "query", "strategy"]);
+    assert.match(body.error.requestId, /^[0-9a-f]{32}$/);
+});
+
+test("malformed JSON, other content types and bad filters are rejected", async () => {
+    assert.equal((await post("/search", "{not json")).body.error.code, "invalid_json");
+    assert.equal((await post("/search", "[]")).body.error.code, "invalid_json");
+    assert.equal((await post("/search", { query: "x" }, { "Content-Type": "text/plain" })).status, 415);
+
+    const { status, body } = await post("/search", { query: "streams", filter: { pages: "200-100" } });
+    assert.equal(status, 400);
+    assert.equal(body.error.details[0].field, "filter");
+});
+
+test("/ingest rejects missing, unsupported and outside paths as validation errors", async () => {
+    for (const [paths, message] of [
+        [["missing.md"], /"missing.md" does not exist/],
+        [["notes.csv"], /"notes.csv" is not a supported file type/],
+        [["../outside.md"], /is outside the project directory/],
+        [[""], /must contain non-empty strings/]
+    ]) {
+        const { status, body } = await post("/ingest", { paths });
+        assert.equal(status, 400, paths[0]);
+        assert.equal(body.error.code, "validation_error");
+        assert.equal(body.error.details[0].field, "paths");
+        assert.match(body.error.details[0].message, message);
+    }
+
+    const both = await post("/ingest", { paths: ["streams.md"], documents: [] });
+    assert.equal(both.status, 400);
+    const documents = await post("/ingest", { documents: [{ content: "text" }] });
+    assert.deepEqual(documents.body.error.details.map(detail => detail.field), ["documents[0].metadata.source"]);
+});
+
+test("ingested documents can be searched, with the request's trace", async () => {
+    const ingested = await post("/ingest", { paths: ["streams.md"], tags: ["guide"] });
+    assert.equal(ingested.status, 200);
+    assert.ok(ingested.body.added > 0);
+
+    const posted = await post("/ingest", { documents: [{ content: "Buffers hold raw bytes.", metadata: { source: "faq/buffers" } }] });
+    assert.deepEqual(posted.body.sources, ["faq/buffers"]);
+
+    const { status, body } = await post("/search", { query: "readable streams data events", k: 2 });
+    assert.equal(status, 200);
+    assert.equal(body.results.length, 2);
+    assert.match(body.results[0].content, /Readable streams/);
+    assert.equal(body.results[0].citation, 1);
+
+    const traceId = "4bf92f3577b34da6a3ce929d0e0e4736";
+    const tagged = await post("/search", { query: "readable streams data events", k: 2, filter: { tags: "guide" } },
+        { traceparent: `00-${traceId}-00f067aa0ba902b7-01` });
+    assert.ok(tagged.body.results.length > 0);
+    assert.ok(tagged.body.results.every(result => result.metadata.source.endsWith("streams.md")));
+    assert.equal(tagged.headers.get("x-request-id"), traceId);
+    assert.equal(tagged.body.trace.requestId, traceId);
+    assert.ok(tagged.body.trace.calls.some(call => call.operation === "embeddings"));
+});
+
+test("/recommend rejects structured streaming before shortlisting any model", async () => {
+    const { status, body } = await post("/recommend", { query: "A support chatbot", structured: true, stream: true });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.error.details, [{ field: "stream", message: "cannot be combined with structured" }]);
+    assert.equal(await catalogStore.collectionExists(), false);
+});
+
+test("/recommend answers 422 when no model matches, structured, streamed or not", async () => {
+    const query = "A support chatbot we self-host on our own servers";
+    for (const options of [{}, { structured: true }, { stream: true }]) {
+        const { status, body } = await post("/recommend", { query, ...options });
+        assert.equal(status, 422, JSON.stringify(options));
+        assert.equal(body.error.code, "no_matching_model");
+        assert.deepEqual(body.error.details, ["GPT-4o: its weights are not available to self-host"]);
+    }
+});
+
+test("unknown endpoints and methods get 404 and 405", async () => {
+    assert.equal((await post("/nothing", {})).status, 404);
+    const response = await request("/search");
+    assert.equal(response.status, 405);
+    assert.equal((await response.json()).error.code, "method_not_allowed");
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCache } from "../lib/cache.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-cache-");
+
+test("remember computes a value once and counts hits and misses", async () => {
+    const cache = createCache({ enabled: true, dataDir: tempDir() });
+    let computed = 0;
+    const compute = async () => {
+        computed++;
+        return [0.1, 0.2];
+    };
+
+    assert.deepEqual(await cache.remember("embeddings", "model-a", "streams", compute), [0.1, 0.2]);
+    assert.deepEqual(await cache.remember("embeddings", "model-a", "streams", compute), [0.1, 0.2]);
+
+    assert.equal(computed, 1);
+    assert.deepEqual(cache.stats().embeddings, { hits: 1, misses: 1, hitRate: 0.5 });
+    assert.equal(cache.stats().answers.hitRate, null);
+});
+
+test("entries are kept apart by scope and keyed by objects as well as strings", async () => {
+    const cache = createCache({ enabled: true, dataDir: tempDir() });
+    await cache.set("variations", "model-a", { query: "streams", count: 3 }, ["a", "b", "c"]);
+
+    assert.deepEqual(await cache.get("variations", "model-a", { query: "streams", count: 3 }), ["a", "b", "c"]);
+    assert.equal(await cache.get("variations", "model-b", { query: "streams", count: 3 }), undefined);
+    await assert.rejects(cache.get("vectors", "model-a", "streams"), /Unknown cache kind "vectors"/);
+});
+
+test("clear removes one scope, one kind or everything, and info measures what is left", async () => {
+    const cache = createCache({ enabled: true, dataDir: tempDir() });
+    await cache.clear();
+    await cache.set("embeddings", "model-a", "one", [1]);
+    await cache.set("embeddings", "model-b", "two", [2]);
+    await cache.set("answers", "docs", "three", "answer");
+
+    await cache.clear("embeddings", "model-a");
+    let info = await cache.info();
+    assert.equal(info.embeddings.entries, 1);
+    assert.equal(info.answers.entries, 1);
+    assert.ok(info.answers.bytes > 0);
+
+    await cache.clear("answers");
+    assert.equal((await cache.info()).answers.entries, 0);
+
+    await cache.clear();
+    info = await cache.info();
+    assert.deepEqual(Object.values(info).map(kind => kind.entries), [0, 0, 0]);
+});
+
+test("a disabled cache stores nothing and always misses", async () => {
+    const cache = createCache({ enabled: false, answers: true, dataDir: tempDir() });
+    await cache.set("embeddings", "model-a", "disabled", [1]);
+
+    assert.equal(cache.answers, false);
+    assert.equal(await cache.get("embeddings", "model-a", "disabled"), undefined);
+    assert.equal((await createCache({ enabled: true, dataDir: tempDir() }).get("embeddings", "model-a", "disabled")), undefined);
+});
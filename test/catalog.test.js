@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadCatalog, readCatalogFile, validateCatalog, describeProblem, queryModels } from "../lib/catalog.js";
+
+const model = (overrides = {}) => ({
+    name: "Test Model",
+    provider: "Test",
+    status: "active",
+    bestFor: "Testing",
+    limitations: "None known",
+    pricing: { inputPer1K: 0.001, outputPer1K: 0.002 },
+    contextWindow: 8000,
+    modalities: { input: ["text"], output: ["text"] },
+    capabilities: ["chat"],
+    latency: "fast",
+    openWeights: false,
+    ...overrides
+});
+
+test("the bundled catalog is valid", async () => {
+    const { catalog } = await readCatalogFile("aiModels.json");
+    assert.deepEqual(validateCatalog(catalog).map(describeProblem), []);
+
+    const { models } = await loadCatalog("aiModels.json");
+    assert.ok(models.length > 0);
+});
+
+test("validateCatalog accepts a well-formed model", () => {
+    assert.deepEqual(validateCatalog({ version: 2, models: [model()] }), []);
+});
+
+test("validateCatalog reports each problem with the entry it belongs to", () => {
+    const problems = validateCatalog({
+        version: 2,
+        models: [
+            model({ name: "Priced", pricing: { inputPer1K: -1, outputPer1K: null } }),
+            model({ name: "Labelled", bestFor: "Best for: everything", status: "retired" }),
+            model({ name: "priced" }),
+            model({ name: "Replaced", replacedBy: "Missing Model" })
+        ]
+    });
+    const described = problems.map(describeProblem);
+
+    assert.ok(described.includes("[0] Priced: pricing.inputPer1K must be a price in USD per 1K tokens, or null"));
+    assert.ok(described.includes("[0] Priced: pricing.notes must describe the pricing when there is no per-token price"));
+    assert.ok(described.includes("[1] Labelled: bestFor starts with a stray \"Best for:\" label"));
+    assert.ok(described.some(problem => problem.startsWith("[1] Labelled: status must be one of")));
+    assert.ok(described.includes("[2] priced: name repeats entry 0"));
+    assert.ok(described.includes("[3] Replaced: replacedBy \"Missing Model\" is not in the catalog"));
+});
+
+test("validateCatalog rejects a file without a list of models", () => {
+    assert.deepEqual(validateCatalog({ models: {} }), [{ index: null, model: null, field: "models", message: "must be a list of models" }]);
+});
+
+test("loadCatalog rejects an invalid catalog as a whole", async () => {
+    await assert.rejects(loadCatalog("package.json"), error => {
+        assert.match(error.message, /has 1 problem\(s\)/);
+        assert.deepEqual(error.details, ["catalog: models must be a list of models"]);
+        return true;
+    });
+});
+
+test("queryModels filters and sorts, leaving deprecated models out by default", () => {
+    const models = [
+        model({ name: "Cheap", pricing: { inputPer1K: 0.0001, outputPer1K: 0.0002 } }),
+        model({ name: "Old", status: "deprecated" }),
+        model({ name: "Vision", capabilities: ["chat", "vision"], modalities: { input: ["text", "image"], output: ["text"] } })
+    ];
+
+    assert.deepEqual(queryModels(models).map(entry => entry.name), ["Cheap", "Vision"]);
+    assert.deepEqual(queryModels(models, { input: "image" }).map(entry => entry.name), ["Vision"]);
+    assert.deepEqual(queryModels(models, { includeDeprecated: true, sortBy: "inputPrice" }).map(entry => entry.name), ["Cheap", "Old", "Vision"]);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { createCatalogIndex, retrieveShortlist } from "../lib/catalogIndex.js";
+import { readCatalogFile } from "../lib/catalog.js";
+import { createProvider } from "../lib/providers.js";
+import { createVectorStore } from "../lib/vectorStores.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-catalog-index-", { dataDir: true });
+
+// Writes a catalog holding the named models of the bundled catalog
+async function writeCatalog(file, names) {
+    const { catalog } = await readCatalogFile("aiModels.json");
+    const models = names.map(name => catalog.models.find(model => model.name === name));
+    await fs.writeFile(file, JSON.stringify({ ...catalog, models }, null, 2));
+}
+
+function createIndex(file) {
+    return createCatalogIndex({
+        provider: createProvider({ provider: "local" }),
+        vectorStore: createVectorStore({ store: "local", collectionName: "catalog_test", dataDir: tempDir() }),
+        file
+    });
+}
+
+test("refresh indexes the catalog once and again only after the file changes", async () => {
+    const file = path.join(tempDir(), "models.json");
+    await writeCatalog(file, ["GPT-4o", "GPT-3.5-Turbo"]);
+    const index = createIndex(file);
+
+    const [first, concurrent] = await Promise.all([index.refresh(), index.refresh()]);
+    assert.equal(first.status, "indexed");
+    assert.equal(concurrent, first);
+    assert.equal(first.added, 2);
+
+    assert.equal((await createIndex(file).refresh()).status, "ready");
+
+    await writeCatalog(file, ["GPT-4o"]);
+    const updated = await index.refresh();
+    assert.equal(updated.status, "updated");
+    assert.equal(updated.removed, 1);
+    assert.deepEqual(updated.models.map(model => model.name), ["GPT-4o"]);
+});
+
+test("search and retrieveShortlist return models from the current catalog", async () => {
+    const file = path.join(tempDir(), "search.json");
+    await writeCatalog(file, ["GPT-4o", "GPT-3.5-Turbo"]);
+    const index = createIndex(file);
+
+    const hits = await index.search("cost-effective chatbots", { limit: 2 });
+    assert.deepEqual(hits.map(hit => hit.model.name).sort(), ["GPT-3.5-Turbo", "GPT-4o"]);
+    assert.ok(hits.every(hit => typeof hit.score === "number"));
+
+    const { shortlist } = await retrieveShortlist("A customer support chatbot", index);
+    assert.ok(shortlist.length > 0);
+    assert.ok(shortlist.every(candidate => ["GPT-4o", "GPT-3.5-Turbo"].includes(candidate.model.name)));
+});
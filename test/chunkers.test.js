@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Document } from "@langchain/core/documents";
+import { resolveChunking, createChunker, describeChunking, sameChunking } from "../lib/chunkers.js";
+import { createProvider } from "../lib/providers.js";
+
+const MARKDOWN = [
+    "# Streams",
+    "",
+    "Streams move data in pieces. They are efficient.",
+    "",
+    "## Readable",
+    "",
+    "A readable stream emits data events.",
+    "",
+    "# Buffers",
+    "",
+    "Buffers hold bytes."
+].join("\n");
+
+const document = () => new Document({ pageContent: MARKDOWN, metadata: { source: "guide.md" } });
+
+test("resolveChunking applies strategy defaults and keeps only the parameters a strategy uses", () => {
+    assert.deepEqual(resolveChunking({ strategy: "recursive" }), { strategy: "recursive", chunkSize: 1000, chunkOverlap: 200 });
+    assert.deepEqual(resolveChunking({ strategy: "structure", chunkSize: 500, chunkOverlap: 50 }), { strategy: "structure", chunkSize: 500 });
+    assert.equal(describeChunking(resolveChunking({ strategy: "token" })), "token (chunkSize 256, chunkOverlap 32)");
+});
+
+test("resolveChunking rejects unknown strategies and impossible sizes", () => {
+    assert.throws(() => resolveChunking({ strategy: "sentences" }), /Unknown chunking strategy/);
+    assert.throws(() => resolveChunking({ strategy: "recursive", chunkSize: 100, chunkOverlap: 100 }), /must be smaller than chunkSize/);
+    assert.throws(() => resolveChunking({ strategy: "token", chunkSize: 0 }), /Invalid chunkSize/);
+});
+
+test("sameChunking compares the strategy and every parameter", () => {
+    assert.equal(sameChunking(resolveChunking({ strategy: "recursive" }), { strategy: "recursive", chunkSize: 1000, chunkOverlap: 200 }), true);
+    assert.equal(sameChunking(resolveChunking({ strategy: "recursive" }), resolveChunking({ strategy: "recursive", chunkSize: 999 })), false);
+});
+
+test("the recursive chunker keeps chunks within the size and records their lines", async () => {
+    const chunks = await createChunker(resolveChunking({ strategy: "recursive", chunkSize: 60, chunkOverlap: 10 })).split([document()]);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.pageContent.length <= 60));
+    assert.deepEqual(chunks[0].metadata.loc.lines, { from: 1, to: 3 });
+    assert.ok(chunks.every(chunk => chunk.metadata.source === "guide.md"));
+});
+
+test("the token chunker splits by token count", async () => {
+    const chunker = createChunker(resolveChunking({ strategy: "token", chunkSize: 8, chunkOverlap: 2 }));
+    const chunks = await chunker.split([document()]);
+
+    assert.ok(chunks.length > 3);
+    assert.ok(chunks.every(chunk => chunk.pageContent.trim().length > 0));
+});
+
+test("the structure chunker splits at headings and names each chunk's section", async () => {
+    const chunks = await createChunker(resolveChunking({ strategy: "structure", chunkSize: 60 })).split([document()]);
+
+    assert.deepEqual(chunks.map(chunk => chunk.metadata.section), ["Streams", "Readable", "Buffers"]);
+    assert.ok(chunks[1].pageContent.startsWith("## Readable"));
+});
+
+test("the semantic chunker keeps every sentence within the size limit", async () => {
+    const provider = createProvider({ provider: "local" });
+    const chunks = await createChunker(resolveChunking({ strategy: "semantic", chunkSize: 80 }), provider).split([document()]);
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.pageContent.length <= 80));
+    for (const sentence of ["Streams move data in pieces.", "A readable stream emits data events.", "Buffers hold bytes."]) {
+        assert.ok(chunks.some(chunk => chunk.pageContent.includes(sentence)), sentence);
+    }
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runCli } from "../lib/cli.js";
+
+// Runs a command and returns the text it wrote to stdout; the test runner's own reports are buffers and pass through
+async function capture(argv) {
+    const write = process.stdout.write;
+    let output = "";
+    process.stdout.write = (chunk, ...rest) => {
+        if (typeof chunk !== "string") {
+            return write.call(process.stdout, chunk, ...rest);
+        }
+        output += chunk;
+        return true;
+    };
+    try {
+        await runCli(argv);
+    } finally {
+        process.stdout.write = write;
+    }
+    return output;
+}
+
+test("catalog --vendor filters by the company behind the model, leaving --provider to the LLM provider", async () => {
+    const { models } = JSON.parse(await capture(["catalog", "--vendor", "Google", "--provider", "local", "--json"]));
+
+    assert.ok(models.length > 0);
+    assert.ok(models.every(model => model.provider === "Google"));
+    assert.equal(process.exitCode, undefined);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createEmbeddingQueue, isRetryableError, backoffDelay } from "../lib/embeddingQueue.js";
+
+function httpError(status) {
+    return Object.assign(new Error(`HTTP ${status}`), { status });
+}
+
+// Embeds each text as [its length], failing the first calls with the given errors
+function fakeProvider({ failures = [], maxBatchSize = 2 } = {}) {
+    const provider = {
+        maxBatchSize,
+        batches: [],
+        inFlight: 0,
+        peak: 0,
+        async embedBatch(texts) {
+            provider.batches.push(texts);
+            provider.inFlight++;
+            provider.peak = Math.max(provider.peak, provider.inFlight);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            provider.inFlight--;
+            const failure = failures.shift();
+            if (failure) {
+                throw failure;
+            }
+            return texts.map(text => [text.length]);
+        }
+    };
+    return provider;
+}
+
+test("isRetryableError retries rate limits, server errors and dropped connections only", () => {
+    assert.equal(isRetryableError(httpError(429)), true);
+    assert.equal(isRetryableError(httpError(503)), true);
+    assert.equal(isRetryableError(httpError(408)), true);
+    assert.equal(isRetryableError(httpError(400)), false);
+    assert.equal(isRetryableError(Object.assign(new Error("reset"), { code: "ECONNRESET" })), true);
+    assert.equal(isRetryableError(Object.assign(new Error("aborted"), { name: "AbortError" })), false);
+    assert.equal(isRetryableError(new TypeError("x is not a function")), false);
+});
+
+test("backoffDelay doubles per attempt, stays under the cap and keeps half as a floor", () => {
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const ceiling = Math.min(1000, 100 * 2 ** attempt);
+        const delay = backoffDelay(attempt, 100, 1000);
+        assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt}: ${delay}`);
+    }
+});
+
+test("the queue batches texts by the provider's batch size and keeps their order", async () => {
+    const provider = fakeProvider({ maxBatchSize: 2 });
+    const queue = createEmbeddingQueue(provider, { concurrency: 2 });
+
+    const vectors = await queue.embedBatch(["a", "bb", "ccc", "dddd", "eeeee"]);
+
+    assert.deepEqual(vectors, [[1], [2], [3], [4], [5]]);
+    assert.deepEqual(provider.batches.map(batch => batch.length).sort(), [1, 2, 2]);
+    assert.equal(provider.peak, 2);
+    assert.deepEqual(queue.stats, { requests: 3, retries: 0, texts: 5 });
+});
+
+test("the queue retries transient failures with backoff", async () => {
+    const provider = fakeProvider({ failures: [httpError(429), httpError(503)] });
+    const retries = [];
+    const queue = createEmbeddingQueue(provider, { concurrency: 1, baseDelay: 1, maxDelay: 4, onRetry: retry => retries.push(retry) });
+
+    assert.deepEqual(await queue.embedBatch(["a", "bb"]), [[1], [2]]);
+    assert.deepEqual(retries.map(retry => [retry.error.status, retry.attempt]), [[429, 1], [503, 2]]);
+    assert.ok(retries.every(retry => retry.delay <= 4));
+    assert.equal(queue.stats.retries, 2);
+});
+
+test("the queue gives up on client errors and after maxRetries", async () => {
+    const rejected = createEmbeddingQueue(fakeProvider({ failures: [httpError(400)] }), { baseDelay: 1, onRetry: () => {} });
+    await assert.rejects(rejected.embed("a"), /HTTP 400/);
+    assert.equal(rejected.stats.retries, 0);
+
+    const exhausted = createEmbeddingQueue(fakeProvider({ failures: [httpError(500), httpError(500), httpError(500)] }),
+        { maxRetries: 2, baseDelay: 1, onRetry: () => {} });
+    await assert.rejects(exhausted.embed("a"), /HTTP 500/);
+    assert.equal(exhausted.stats.requests, 3);
+});
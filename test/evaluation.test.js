@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { loadGoldenSet, scoreRetrieval, compareReports } from "../lib/evaluation.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-evaluation-");
+
+async function goldenFile(lines) {
+    const file = path.join(tempDir(), `golden-${Math.random().toString(36).slice(2)}.jsonl`);
+    await fs.writeFile(file, lines.map(line => (typeof line === "string" ? line : JSON.stringify(line))).join("\n"));
+    return file;
+}
+
+const chunk = (id, page, text = "") => ({ id, pageContent: text, metadata: { source: "docs/node.pdf", page } });
+
+test("scoreRetrieval computes recall, reciprocal rank and nDCG", () => {
+    const items = [{ source: "node.pdf", page: 3 }, { source: "node.pdf", page: 7 }];
+    const scores = scoreRetrieval([chunk("a", 1), chunk("b", 3), chunk("c", 7)], items, 3);
+
+    assert.equal(scores.recall, 1);
+    assert.equal(scores.reciprocalRank, 1 / 2);
+    const dcg = 1 / Math.log2(3) + 1 / Math.log2(4);
+    const ideal = 1 + 1 / Math.log2(3);
+    assert.equal(scores.ndcg, dcg / ideal);
+});
+
+test("scoreRetrieval credits each relevant item once", () => {
+    const scores = scoreRetrieval([chunk("a", 3), chunk("b", 3)], [{ page: 3 }, { page: 7 }], 2);
+
+    assert.equal(scores.recall, 0.5);
+    assert.equal(scores.ndcg, 1 / (1 + 1 / Math.log2(3)));
+});
+
+test("scoreRetrieval does not reward a list shorter than k", () => {
+    const items = [{ chunkId: "a" }, { chunkId: "b" }, { chunkId: "c" }];
+    const scores = scoreRetrieval([chunk("a", 1)], items, 3);
+
+    assert.ok(scores.ndcg < 1);
+    assert.equal(scores.ndcg, 1 / (1 + 1 / Math.log2(3) + 1 / Math.log2(4)));
+});
+
+test("scoreRetrieval matches items by text, ignoring case and whitespace", () => {
+    const scores = scoreRetrieval([chunk("a", 1, "The  pipe()\nmethod connects Streams")], [{ text: "pipe() method connects streams" }], 4);
+
+    assert.equal(scores.recall, 1);
+    assert.equal(scores.reciprocalRank, 1);
+});
+
+test("loadGoldenSet reads questions and their relevant items", async () => {
+    const file = await goldenFile([
+        { id: "streams", question: "What is a stream?", pages: [12, 13], source: "node.pdf" },
+        "",
+        { question: "What is a buffer?", contains: ["Buffer.from"] }
+    ]);
+    const { questions, hash } = await loadGoldenSet(file);
+
+    assert.equal(questions.length, 2);
+    assert.deepEqual(questions[0].items, [{ source: "node.pdf", page: 12 }, { source: "node.pdf", page: 13 }]);
+    assert.equal(questions[1].id, "q2");
+    assert.match(hash, /^[0-9a-f]+$/);
+});
+
+test("loadGoldenSet names the line of a malformed entry", async () => {
+    const valid = { question: "What is a stream?", pages: [12] };
+
+    await assert.rejects(loadGoldenSet(await goldenFile([valid, { question: "Streams?", contains: "stream" }])), /:2: "contains" must be an array/);
+    await assert.rejects(loadGoldenSet(await goldenFile([{ question: "Streams?", pages: 12 }])), /:1: "pages" must be an array of page numbers/);
+    await assert.rejects(loadGoldenSet(await goldenFile([valid, "{not json"])), /:2: invalid JSON/);
+    await assert.rejects(loadGoldenSet(await goldenFile([{ question: "Streams?" }])), /:1: add "pages", "chunks" or "contains"/);
+    await assert.rejects(loadGoldenSet(await goldenFile([{ pages: [1] }])), /:1: "question" must be a non-empty string/);
+});
+
+test("compareReports flags drops beyond the tolerance as regressions", () => {
+    const run = metrics => ({ runs: [{ key: "single|k=5", metrics }] });
+    const rows = compareReports(
+        run({ recall: 0.7, mrr: 0.595, ndcg: 0.8, faithfulness: null }),
+        run({ recall: 0.8, mrr: 0.6, ndcg: 0.8, faithfulness: 0.9 })
+    );
+
+    assert.deepEqual(rows.map(row => [row.metric, row.regression]), [["recall", true], ["mrr", false], ["ndcg", false]]);
+});
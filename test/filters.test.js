@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeFilter, matchesFilter, parseFilterQuery, toQdrantFilter, describeFilter } from "../lib/filters.js";
+
+test("normalizeFilter turns strings into lists and page values into ranges", () => {
+    assert.deepEqual(normalizeFilter({ source: "a.md,b.md", tags: "streams", pages: "100-200" }), {
+        source: ["a.md", "b.md"],
+        tags: ["streams"],
+        pages: { from: 100, to: 200 }
+    });
+    assert.deepEqual(normalizeFilter({ pages: 12 }).pages, { from: 12, to: 12 });
+    assert.deepEqual(normalizeFilter({ pages: "100-" }).pages, { from: 100, to: null });
+    assert.equal(normalizeFilter({}), null);
+    assert.equal(normalizeFilter(null), null);
+});
+
+test("normalizeFilter rejects unknown fields and malformed values", () => {
+    assert.throws(() => normalizeFilter({ author: "me" }), /Unknown filter field "author"/);
+    assert.throws(() => normalizeFilter({ pages: "200-100" }), /range of whole page numbers/);
+    assert.throws(() => normalizeFilter({ pages: "abc" }), /page or a range/);
+    assert.throws(() => normalizeFilter({ ingestedAfter: "yesterday" }), /must be a date/);
+    assert.throws(() => normalizeFilter({ source: [""] }), /non-empty string/);
+    assert.throws(() => normalizeFilter([]), /must be an object/);
+});
+
+test("matchesFilter requires every field of the filter to match", () => {
+    const metadata = { source: "node.pdf", fileType: "pdf", page: 120, tags: ["streams"], ingestedAt: "2025-02-01T00:00:00.000Z" };
+
+    assert.equal(matchesFilter(metadata, null), true);
+    assert.equal(matchesFilter(metadata, normalizeFilter({ source: "node.pdf", pages: "100-200" })), true);
+    assert.equal(matchesFilter(metadata, normalizeFilter({ source: "node.pdf", pages: "1-10" })), false);
+    assert.equal(matchesFilter(metadata, normalizeFilter({ tags: ["events", "streams"] })), true);
+    assert.equal(matchesFilter(metadata, normalizeFilter({ fileType: "markdown" })), false);
+    assert.equal(matchesFilter(metadata, normalizeFilter({ ingestedAfter: "2025-01-01" })), true);
+    assert.equal(matchesFilter(metadata, normalizeFilter({ ingestedBefore: "2025-01-01" })), false);
+    assert.equal(matchesFilter({ source: "node.pdf" }, normalizeFilter({ tags: "streams" })), false);
+});
+
+test("parseFilterQuery splits filter terms out of the query text", () => {
+    const { query, filter } = parseFilterQuery("@source:node.pdf how do streams work pages:100-200 tag:a tag:b");
+
+    assert.equal(query, "how do streams work");
+    assert.deepEqual(filter, { source: ["node.pdf"], pages: { from: 100, to: 200 }, tags: ["a", "b"] });
+    assert.equal(parseFilterQuery("plain question").filter, null);
+    assert.equal(describeFilter(filter), "source node.pdf, tagged a or b, pages 100-200");
+});
+
+test("toQdrantFilter converts each field to a condition on the metadata payload", () => {
+    assert.equal(toQdrantFilter(null), undefined);
+    assert.deepEqual(toQdrantFilter(normalizeFilter({ source: "node.pdf", pages: "100-" })), {
+        must: [
+            { key: "metadata.source", match: { any: ["node.pdf"] } },
+            { key: "metadata.page", range: { gte: 100 } }
+        ]
+    });
+});
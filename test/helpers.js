@@ -0,0 +1,31 @@
+// helpers.js - Setup shared by the test files
+
+import { before, after } from "node:test";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+/**
+ * Creates a temporary directory before the tests of a file run and removes it
+ * after they finish, so tests never touch the project's own data
+ * @param {string} prefix - Start of the directory name
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dataDir] - Also point RAG_DATA_DIR at the directory
+ * @returns {Function} Returns the directory's path once it exists
+ */
+export function useTempDir(prefix, { dataDir = false } = {}) {
+    let dir = null;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+        if (dataDir) {
+            process.env.RAG_DATA_DIR = dir;
+        }
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    return () => dir;
+}
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { Document } from "@langchain/core/documents";
+import { assignChunkIds, addDocumentsToVectorStore } from "../lib/indexer.js";
+import { loadManifest, saveManifest, diffSources, hashFile } from "../lib/manifest.js";
+import { sourcePath } from "../lib/loaders.js";
+import { createProvider } from "../lib/providers.js";
+import { createVectorStore } from "../lib/vectorStores.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-indexer-", { dataDir: true });
+
+const chunk = (source, text) => new Document({ pageContent: text, metadata: { source } });
+
+test("assignChunkIds derives stable IDs from the source and content", () => {
+    const first = assignChunkIds([chunk("a.md", "Streams"), chunk("a.md", "Streams"), chunk("b.md", "Streams")]);
+    const second = assignChunkIds([chunk("a.md", "Streams")]);
+
+    assert.equal(first[0].id, second[0].id);
+    assert.equal(new Set(first.map(entry => entry.id)).size, 3);
+    assert.equal(first[0].contentHash, first[2].contentHash);
+});
+
+test("re-indexing embeds only new chunks and removes the ones that disappeared", async () => {
+    const provider = createProvider({ provider: "local" });
+    const vectorStore = createVectorStore({ store: "local", collectionName: "incremental", dataDir: tempDir() });
+    const documents = [chunk("a.md", "Readable streams emit data."), chunk("a.md", "Writable streams accept data."), chunk("b.md", "Buffers hold bytes.")];
+
+    assert.deepEqual(await addDocumentsToVectorStore(documents, { provider, vectorStore }), { added: 3, unchanged: 0, removed: 0 });
+    assert.deepEqual(await addDocumentsToVectorStore(documents, { provider, vectorStore }), { added: 0, unchanged: 3, removed: 0 });
+
+    const edited = [documents[0], chunk("a.md", "Writable streams accept data and emit drain."), documents[2]];
+    assert.deepEqual(await addDocumentsToVectorStore(edited, { provider, vectorStore }), { added: 1, unchanged: 2, removed: 1 });
+    assert.equal(await vectorStore.count(), 3);
+
+    assert.deepEqual(await addDocumentsToVectorStore([documents[2]], { provider, vectorStore, prune: true }), { added: 0, unchanged: 1, removed: 2 });
+    const manifest = await loadManifest("incremental");
+    assert.deepEqual(Object.keys(manifest.sources), ["b.md"]);
+    assert.equal(manifest.embeddingModel, provider.embeddingModel);
+});
+
+test("a saved manifest tells diffSources which files were added, modified or deleted", async () => {
+    const dir = path.join(tempDir(), "docs");
+    await fs.mkdir(dir, { recursive: true });
+    const [kept, changed, deleted, added] = ["kept.md", "changed.md", "deleted.md", "added.md"].map(name => path.join(dir, name));
+    for (const file of [kept, changed, deleted]) {
+        await fs.writeFile(file, `${path.basename(file)} before`);
+    }
+
+    const manifest = await loadManifest("diff");
+    for (const file of [kept, changed, deleted]) {
+        manifest.sources[sourcePath(file)] = { fileHash: await hashFile(file), chunks: [] };
+    }
+    await saveManifest(manifest);
+
+    await fs.writeFile(changed, "changed.md after");
+    await fs.writeFile(added, "added.md");
+    await fs.rm(deleted);
+
+    assert.deepEqual(await diffSources([kept, changed, added], await loadManifest("diff")), {
+        added: [sourcePath(added)],
+        modified: [sourcePath(changed)],
+        removed: [sourcePath(deleted)]
+    });
+});
+
+test("concurrent manifest saves each write their own temporary file", async () => {
+    const dataDir = path.join(tempDir(), "concurrent");
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        saveManifest({ collectionName: "concurrent", embeddingModel: "local", sources: { [`doc${i}.md`]: {} } }, dataDir)));
+
+    const manifest = await loadManifest("concurrent", dataDir);
+    assert.equal(Object.keys(manifest.sources).length, 1);
+    assert.deepEqual(await fs.readdir(path.join(dataDir, "manifests")), ["concurrent.json"]);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { loadKeywordIndex, saveKeywordIndex, deleteKeywordIndex, indexChunk, searchKeywordIndex } from "../lib/keywordIndex.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-keywords-");
+
+function buildIndex(chunks) {
+    const index = { collectionName: "keywords", updatedAt: null, chunks: {} };
+    Object.entries(chunks).forEach(([id, text]) => indexChunk(index, id, text));
+    return index;
+}
+
+test("searchKeywordIndex ranks chunks by BM25", () => {
+    const index = buildIndex({
+        streams: "createReadStream opens a readable stream over a file",
+        buffers: "Buffer.alloc returns a zero-filled buffer",
+        both: "pipe a readable stream into a buffer"
+    });
+
+    const hits = searchKeywordIndex(index, "createReadStream readable");
+    assert.deepEqual(hits.map(hit => hit.id), ["streams", "both"]);
+    assert.ok(hits[0].score > hits[1].score);
+
+    assert.deepEqual(searchKeywordIndex(index, "createReadStream readable", { limit: 1 }).map(hit => hit.id), ["streams"]);
+    assert.deepEqual(searchKeywordIndex(index, "timers"), []);
+    assert.deepEqual(searchKeywordIndex(index, ""), []);
+});
+
+test("indexChunk replaces a chunk's earlier terms", () => {
+    const index = buildIndex({ chunk: "event loop timers" });
+    indexChunk(index, "chunk", "worker threads");
+
+    assert.deepEqual(searchKeywordIndex(index, "timers"), []);
+    assert.deepEqual(searchKeywordIndex(index, "worker").map(hit => hit.id), ["chunk"]);
+});
+
+test("keyword indexes are saved, loaded and deleted per collection", async () => {
+    const empty = await loadKeywordIndex("keywords", tempDir());
+    assert.deepEqual(empty, { collectionName: "keywords", updatedAt: null, chunks: {} });
+
+    const index = buildIndex({ a: "readable streams" });
+    await saveKeywordIndex(index, tempDir());
+    const loaded = await loadKeywordIndex("keywords", tempDir());
+    assert.deepEqual(loaded.chunks, JSON.parse(JSON.stringify(index.chunks)));
+    assert.ok(loaded.updatedAt);
+
+    await deleteKeywordIndex("keywords", tempDir());
+    assert.deepEqual((await loadKeywordIndex("keywords", tempDir())).chunks, {});
+});
+
+test("terms named like Object.prototype properties are indexed and searched like any other", async () => {
+    const index = buildIndex({
+        classes: "a class constructor runs once per instance",
+        prototypes: "__proto__ points at the prototype; hasOwnProperty checks own keys",
+        other: "readable streams emit data events"
+    });
+
+    for (const [query, id] of [["constructor", "classes"], ["__proto__", "prototypes"], ["hasOwnProperty", "prototypes"]]) {
+        const hits = searchKeywordIndex(index, query);
+        assert.deepEqual(hits.map(hit => hit.id), [id], query);
+        assert.ok(Number.isFinite(hits[0].score), query);
+    }
+    assert.deepEqual(searchKeywordIndex(buildIndex({ other: "readable streams" }), "constructor __proto__"), []);
+
+    await saveKeywordIndex(index, tempDir());
+    const loaded = await loadKeywordIndex("keywords", tempDir());
+    assert.deepEqual(searchKeywordIndex(loaded, "__proto__").map(hit => hit.id), ["prototypes"]);
+    assert.deepEqual(searchKeywordIndex(loaded, "constructor").map(hit => hit.id), ["classes"]);
+});
+
+test("concurrent keyword index saves each write their own temporary file", async () => {
+    const dataDir = path.join(tempDir(), "concurrent");
+    await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        saveKeywordIndex({ ...buildIndex({ [`chunk${i}`]: "readable streams" }), collectionName: "concurrent" }, dataDir)));
+
+    assert.equal(Object.keys((await loadKeywordIndex("concurrent", dataDir)).chunks).length, 1);
+    assert.deepEqual(await fs.readdir(path.join(dataDir, "keywords")), ["concurrent.json"]);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractRequirements, estimateMonthlyCost, shortlistModels, noMatchingModelError, DEFAULT_REQUESTS_PER_MONTH } from "../lib/requirements.js";
+
+const model = (name, overrides = {}) => ({
+    name,
+    provider: "Test",
+    status: "active",
+    bestFor: "Testing",
+    limitations: "None known",
+    pricing: { inputPer1K: 0.001, outputPer1K: 0.002 },
+    contextWindow: 128000,
+    modalities: { input: ["text"], output: ["text"] },
+    capabilities: ["chat"],
+    latency: "fast",
+    openWeights: false,
+    ...overrides
+});
+
+test("extractRequirements reads volume, budget and context from the query", () => {
+    const requirements = extractRequirements("A support chatbot answering 1,000 questions a day over 50-page manuals, budget $200 per month");
+
+    assert.equal(requirements.output, "text");
+    assert.equal(requirements.requestsPerMonth, 30000);
+    assert.equal(requirements.monthlyBudget, 200);
+    assert.equal(requirements.contextTokens, 25000);
+    assert.ok(requirements.assumptions.includes("about 500 tokens per page"));
+    assert.equal(requirements.selfHosted, false);
+});
+
+test("extractRequirements recognises generated media, inputs and deployment", () => {
+    assert.equal(extractRequirements("Generate product images for my shop").output, "image");
+    assert.deepEqual(extractRequirements("Answer questions about scanned invoices").inputs, ["text", "image"]);
+
+    const selfHosted = extractRequirements("The cheapest model we can self-host");
+    assert.equal(selfHosted.selfHosted, true);
+    assert.equal(selfHosted.preferCheap, true);
+    assert.equal(selfHosted.requestsPerMonth, DEFAULT_REQUESTS_PER_MONTH);
+    assert.ok(selfHosted.assumptions.includes(`${DEFAULT_REQUESTS_PER_MONTH} requests per month`));
+});
+
+test("estimateMonthlyCost multiplies the usage by the per-token prices", () => {
+    const requirements = { requestsPerMonth: 1000, inputTokens: 1000, outputTokens: 500, selfHosted: false };
+
+    assert.equal(estimateMonthlyCost(model("Priced"), requirements).monthlyCost, 1000 * (1000 * 0.001 + 500 * 0.002) / 1000);
+    assert.equal(estimateMonthlyCost(model("Unpriced", { pricing: { inputPer1K: null, outputPer1K: null, notes: "Per image" } }), requirements).monthlyCost, null);
+    assert.equal(estimateMonthlyCost(model("Open", { openWeights: true }), { ...requirements, selfHosted: true }).monthlyCost, null);
+});
+
+test("shortlistModels excludes models with the reason and ranks the rest", () => {
+    const models = [
+        model("Pricey", { pricing: { inputPer1K: 1, outputPer1K: 1 } }),
+        model("Cheap", { pricing: { inputPer1K: 0.0001, outputPer1K: 0.0002 } }),
+        model("Painter", { modalities: { input: ["text"], output: ["image"] } }),
+        model("Old", { status: "deprecated", replacedBy: "Cheap" }),
+        model("Small", { contextWindow: 4000 })
+    ];
+    const { shortlist, excluded } = shortlistModels("A chatbot reading 10k-token contracts, budget $50 per month", models);
+
+    assert.deepEqual(shortlist.map(candidate => candidate.model.name), ["Cheap"]);
+    assert.deepEqual(Object.fromEntries(excluded.map(({ model: name, reason }) => [name, reason])), {
+        Pricey: "estimated $105000.00/month is over the $50.00/month budget",
+        Painter: "produces image, not text",
+        Old: "is deprecated; use Cheap",
+        Small: "its 4000-token context window is too small for 10000 tokens"
+    });
+});
+
+test("noMatchingModelError lists why each model was excluded", () => {
+    const { shortlist, excluded } = shortlistModels("Run it on our own servers", [model("Closed")]);
+    const error = noMatchingModelError({ excluded });
+
+    assert.equal(shortlist.length, 0);
+    assert.equal(error.code, "no_matching_model");
+    assert.deepEqual(error.details, ["Closed: its weights are not available to self-host"]);
+});
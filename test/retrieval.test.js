@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { reciprocalRankFusion, similaritySearch, parallelQuerySearch, searchDefaults } from "../lib/retrieval.js";
+import { createProvider } from "../lib/providers.js";
+import { createVectorStore } from "../lib/vectorStores.js";
+import { addDocumentsToVectorStore } from "../lib/indexer.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-retrieval-", { dataDir: true });
+
+test("reciprocalRankFusion adds weight / (60 + rank) from every list", () => {
+    const fused = reciprocalRankFusion([
+        { hits: [{ id: "a" }, { id: "b" }], weight: 0.5 },
+        { hits: [{ id: "b" }, { id: "c" }], weight: 0.5 }
+    ]);
+
+    assert.deepEqual(fused.map(hit => hit.id), ["b", "a", "c"]);
+    assert.equal(fused[0].fused, 0.5 / 62 + 0.5 / 61);
+    assert.equal(fused[1].fused, 0.5 / 61);
+    assert.equal(fused[2].fused, 0.5 / 62);
+});
+
+test("reciprocalRankFusion follows the weights", () => {
+    const fused = reciprocalRankFusion([
+        { hits: [{ id: "vector" }], weight: 0.9 },
+        { hits: [{ id: "keyword" }], weight: 0.1 }
+    ]);
+
+    assert.deepEqual(fused.map(hit => hit.id), ["vector", "keyword"]);
+});
+
+test("searchDefaults rejects a HYBRID_VECTOR_WEIGHT outside 0 to 1", () => {
+    const saved = process.env.HYBRID_VECTOR_WEIGHT;
+    try {
+        for (const value of ["abc", "-0.1", "1.5"]) {
+            process.env.HYBRID_VECTOR_WEIGHT = value;
+            assert.throws(() => searchDefaults(), new RegExp(`HYBRID_VECTOR_WEIGHT must be a number from 0 to 1, not "${value}"`));
+        }
+        process.env.HYBRID_VECTOR_WEIGHT = "0.8";
+        assert.equal(searchDefaults().vectorWeight, 0.8);
+        delete process.env.HYBRID_VECTOR_WEIGHT;
+        assert.equal(searchDefaults().vectorWeight, 0.5);
+    } finally {
+        if (saved === undefined) {
+            delete process.env.HYBRID_VECTOR_WEIGHT;
+        } else {
+            process.env.HYBRID_VECTOR_WEIGHT = saved;
+        }
+    }
+});
+
+test("similaritySearch finds, filters and scores chunks in every mode", async () => {
+    const provider = createProvider({ provider: "local" });
+    const vectorStore = createVectorStore({ store: "local", collectionName: "retrieval_test", dataDir: tempDir() });
+    await addDocumentsToVectorStore([
+        { pageContent: "Readable streams emit data events as chunks arrive.", metadata: { source: "streams.md", tags: ["io"] } },
+        { pageContent: "Buffers hold raw binary data outside the V8 heap.", metadata: { source: "buffers.md" } },
+        { pageContent: "The event loop runs timers, then pending callbacks.", metadata: { source: "loop.md" } }
+    ], { provider, vectorStore, onProgress: () => {} });
+
+    for (const mode of ["vector", "keyword", "hybrid"]) {
+        const [best] = await similaritySearch("readable streams data events", { provider, vectorStore, k: 2, mode });
+        assert.equal(best.metadata.source, "streams.md", mode);
+    }
+
+    const hybrid = await similaritySearch("readable streams data events", { provider, vectorStore, k: 3, mode: "hybrid" });
+    assert.equal(hybrid[0].score, 1);
+    assert.ok(hybrid.every(result => "vector" in result.scores && "keyword" in result.scores));
+
+    const filtered = await similaritySearch("readable streams", { provider, vectorStore, k: 3, filter: { source: "buffers.md" } });
+    assert.deepEqual(filtered.map(result => result.metadata.source), ["buffers.md"]);
+    const tagged = await similaritySearch("binary data", { provider, vectorStore, k: 3, filter: { tags: "io" } });
+    assert.deepEqual(tagged.map(result => result.metadata.source), ["streams.md"]);
+
+    await assert.rejects(similaritySearch("streams", { provider, vectorStore, mode: "fuzzy" }), /Unknown search mode "fuzzy"/);
+});
+
+test("parallelQuerySearch merges results by chunk ID, keeping chunks that only start alike", async () => {
+    const provider = createProvider({ provider: "local" });
+    const vectorStore = createVectorStore({ store: "local", collectionName: "parallel_test", dataDir: tempDir() });
+    const header = "Node.js API reference, chapter on streams and the interfaces that readable and writable streams implement. ";
+    await addDocumentsToVectorStore([
+        { pageContent: `${header}Readable streams emit data events.`, metadata: { source: "readable.md" } },
+        { pageContent: `${header}Writable streams accept data through write().`, metadata: { source: "writable.md" } }
+    ], { provider, vectorStore, onProgress: () => {} });
+
+    const results = await parallelQuerySearch("streams data", { provider, vectorStore, k: 4, mode: "vector", transforms: "variations" });
+
+    assert.deepEqual(results.map(result => result.metadata.source).sort(), ["readable.md", "writable.md"]);
+    assert.equal(new Set(results.map(result => result.id)).size, results.length);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyTask, selectCandidates, createAdapter } from "../lib/router.js";
+import { loadAIModelData } from "../lib/modelRecommender.js";
+
+test("classifyTask picks the task and the modality it needs", () => {
+    assert.deepEqual(classifyTask("Fix this bug in my python code"), { task: "code", modality: "text", prefers: ["code", "reasoning"] });
+    assert.equal(classifyTask("Summarize this report").task, "summarization");
+    assert.equal(classifyTask("Write a poem about autumn").task, "creative");
+    assert.equal(classifyTask("hello there").task, "chat");
+});
+
+test("classifyTask asks for images and videos only when the prompt wants one made", () => {
+    assert.equal(classifyTask("Generate an image of a lighthouse at dusk").task, "image");
+    assert.equal(classifyTask("Design a logo for my bakery").task, "image");
+    assert.equal(classifyTask("Make a short video clip of waves").task, "video");
+    assert.equal(classifyTask("What is the difference between a photo and a picture format like JPEG?").task, "chat");
+    assert.equal(classifyTask("Which video codecs does the browser support?").task, "chat");
+});
+
+test("classifyTask recognises the forms of summarize", () => {
+    for (const prompt of ["Summarize this report", "Summarizing the meeting notes, please", "I need a summarization of the thread", "tl;dr of this article"]) {
+        assert.equal(classifyTask(prompt).task, "summarization", prompt);
+    }
+});
+
+test("classifyTask prefers long-context models for long prompts", () => {
+    const { task, prefers } = classifyTask(`Summarize this: ${"lorem ipsum ".repeat(4000)}`);
+
+    assert.equal(task, "summarization");
+    assert.ok(prefers.includes("long-context"));
+});
+
+test("selectCandidates excludes models that produce the wrong modality or cost too much", async () => {
+    const models = await loadAIModelData();
+    const { candidates, excluded } = selectCandidates(classifyTask("Fix this bug in my python code"), models, { maxCost: 0.01, promptTokens: 1000 });
+
+    assert.ok(candidates.length > 0);
+    assert.ok(candidates.every(candidate => candidate.estimatedCost !== null && candidate.estimatedCost <= 0.01));
+    assert.ok(excluded.some(entry => /^produces (image|video)/.test(entry.reason)));
+    assert.throws(() => selectCandidates(classifyTask("hi"), models, { maxLatency: "instant" }), /Unknown latency/);
+});
+
+test("the Google adapter passes the caller's abort signal to Gemini", async () => {
+    const models = await loadAIModelData();
+    const gemini = models.find(model => model.provider === "Google" && model.apiModel);
+    const saved = { key: process.env.GOOGLE_API_KEY, fetch: globalThis.fetch };
+    process.env.GOOGLE_API_KEY = "test-key";
+    // Stands in for the network: the request only settles when its signal aborts
+    globalThis.fetch = (url, { signal } = {}) => new Promise((resolve, reject) => {
+        if (!signal) {
+            reject(new Error("request sent without a signal"));
+            return;
+        }
+        signal.addEventListener("abort", () => reject(Object.assign(new Error("aborted"), { name: "AbortError" })));
+    });
+    try {
+        const adapter = createAdapter(gemini, classifyTask("hello there"));
+        assert.equal(adapter.name, "google");
+
+        const controller = new AbortController();
+        const reply = adapter.generate("hello", controller.signal);
+        setTimeout(() => controller.abort(), 10);
+        await assert.rejects(reply, /Request aborted/);
+    } finally {
+        globalThis.fetch = saved.fetch;
+        if (saved.key === undefined) {
+            delete process.env.GOOGLE_API_KEY;
+        } else {
+            process.env.GOOGLE_API_KEY = saved.key;
+        }
+    }
+});
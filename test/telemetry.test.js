@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { trace, withSpan, currentSpan, summarizeTrace, toOtlp, parseTraceparent, formatTraceparent, instrumentProvider, parseExporters } from "../lib/telemetry.js";
+
+// Provider that reports usage for generation and leaves embeddings to be estimated
+const provider = instrumentProvider({
+    name: "fake",
+    embeddingModel: "fake-embed",
+    generationModel: "fake-chat",
+    async loadPricing() {
+        return { "fake-embed": { inputPer1K: 0.0001 }, "fake-chat": { inputPer1K: 0.001, outputPer1K: 0.002 } };
+    },
+    async embed() {
+        return [1, 0];
+    },
+    async generate(prompt, { onUsage }) {
+        onUsage({ inputTokens: 1000, outputTokens: 500 });
+        return "answer";
+    }
+});
+
+test("parseTraceparent accepts W3C headers and rejects malformed or all-zero IDs", () => {
+    const header = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+
+    assert.deepEqual(parseTraceparent(header), { traceId: "4bf92f3577b34da6a3ce929d0e0e4736", parentSpanId: "00f067aa0ba902b7" });
+    assert.equal(parseTraceparent(header.toUpperCase()).traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+    assert.equal(parseTraceparent("00-00000000000000000000000000000000-00f067aa0ba902b7-01"), null);
+    assert.equal(parseTraceparent("ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01"), null);
+    assert.equal(parseTraceparent("not a header"), null);
+    assert.equal(parseTraceparent(undefined), null);
+});
+
+test("withSpan runs work without recording it outside a trace", async () => {
+    const result = await withSpan("outside", {}, async span => {
+        assert.equal(span.recording, false);
+        return "done";
+    });
+
+    assert.equal(result, "done");
+    assert.equal(currentSpan(), null);
+});
+
+test("summarizeTrace reports stage times, token usage and cost", async () => {
+    const summary = await trace("rag.ask", {}, async () => {
+        await withSpan("embed query", { "rag.stage": "embedding" }, () => provider.embed("x".repeat(400)));
+        await withSpan("generate", { "rag.stage": "generation" }, () => provider.generate("prompt"));
+        return currentSpan().trace.summarize();
+    });
+
+    assert.match(summary.requestId, /^[0-9a-f]{32}$/);
+    assert.equal(summary.name, "rag.ask");
+    assert.deepEqual(Object.keys(summary.stages), ["embedding", "generation"]);
+    assert.deepEqual(summary.calls.map(call => [call.stage, call.operation, call.model, call.estimated]), [
+        ["embedding", "embeddings", "fake-embed", true],
+        ["generation", "chat", "fake-chat", false]
+    ]);
+    assert.deepEqual({ ...summary.usage }, { calls: 2, inputTokens: 1100, outputTokens: 500, costUsd: 0.00201, estimated: true });
+});
+
+test("a trace continues the caller's traceparent and records errors", async () => {
+    const header = "00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01";
+    let recorded = null;
+
+    await assert.rejects(trace("POST /ask", {}, async root => {
+        recorded = root.trace;
+        assert.equal(formatTraceparent(root), `00-4bf92f3577b34da6a3ce929d0e0e4736-${root.spanId}-01`);
+        await withSpan("failing", {}, async () => {
+            throw new Error("boom");
+        });
+    }, { traceparent: header }), /boom/);
+
+    const [root, failing] = recorded.spans;
+    assert.equal(root.traceId, "4bf92f3577b34da6a3ce929d0e0e4736");
+    assert.equal(root.parentSpanId, "00f067aa0ba902b7");
+    assert.equal(failing.parentSpanId, root.spanId);
+    assert.deepEqual(failing.status, { code: 2, message: "boom" });
+    assert.equal(failing.events[0].name, "exception");
+});
+
+test("toOtlp converts a trace to an OTLP/JSON export request", async () => {
+    const recorded = await trace("rag.search", { "rag.k": 4 }, async root => {
+        await withSpan("search", { "rag.stage": "search", "rag.score": 0.5, "rag.sources": ["a.md"], "rag.empty": null }, () => {});
+        return root.trace;
+    });
+    const [resourceSpans] = toOtlp(recorded).resourceSpans;
+    const [root, child] = resourceSpans.scopeSpans[0].spans;
+
+    assert.deepEqual(resourceSpans.resource.attributes, [{ key: "service.name", value: { stringValue: process.env.OTEL_SERVICE_NAME || "langchain-genai" } }]);
+    assert.equal(root.parentSpanId, undefined);
+    assert.equal(child.parentSpanId, root.spanId);
+    assert.deepEqual(root.attributes, [{ key: "rag.k", value: { intValue: "4" } }]);
+    assert.deepEqual(child.attributes, [
+        { key: "rag.stage", value: { stringValue: "search" } },
+        { key: "rag.score", value: { doubleValue: 0.5 } },
+        { key: "rag.sources", value: { arrayValue: { values: [{ stringValue: "a.md" }] } } }
+    ]);
+    assert.match(root.startTimeUnixNano, /^\d{19}$/);
+    assert.ok(BigInt(root.endTimeUnixNano) >= BigInt(root.startTimeUnixNano));
+});
+
+test("parseExporters rejects unknown exporters", () => {
+    assert.deepEqual(parseExporters("file, otlp,file"), ["file", "otlp"]);
+    assert.deepEqual(parseExporters("none"), []);
+    assert.throws(() => parseExporters("jaeger"), /Unknown trace exporter\(s\) "jaeger"/);
+});
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import path from "path";
+import { createVectorStore } from "../lib/vectorStores.js";
+import { useTempDir } from "./helpers.js";
+
+const tempDir = useTempDir("rag-store-");
+
+const point = (id, vector, metadata = {}) => ({ id, vector, payload: { pageContent: id, metadata } });
+
+test("the local store searches by cosine similarity with metadata filters", async () => {
+    const store = createVectorStore({ store: "local", collectionName: "search", dataDir: tempDir() });
+    await store.createCollection(2);
+    await store.upsert([point("x", [1, 0], { source: "a.md" }), point("y", [0, 1], { source: "b.md" }), point("xy", [1, 1], { source: "b.md" })]);
+
+    assert.deepEqual((await store.search([1, 0], { limit: 2 })).map(hit => hit.id), ["x", "xy"]);
+    assert.deepEqual((await store.search([1, 0], { filter: { source: ["b.md"] } })).map(hit => hit.id), ["xy", "y"]);
+    await assert.rejects(store.upsert([point("z", [1, 0, 0])]), /Vector size 3 does not match collection size 2/);
+});
+
+test("the local store keeps its points in a file that another store can read", async () => {
+    const store = createVectorStore({ store: "local", collectionName: "persisted", dataDir: tempDir() });
+    assert.equal(await store.collectionExists(), false);
+    await store.createCollection(2);
+    await store.upsert([point("a", [1, 0]), point("b", [0, 1])]);
+    await store.delete(["a"]);
+
+    const reopened = createVectorStore({ store: "local", collectionName: "persisted", dataDir: tempDir() });
+    assert.equal(await reopened.collectionExists(), true);
+    assert.deepEqual(await reopened.info(), { pointsCount: 1, vectorSize: 2 });
+    await assert.rejects(reopened.createCollection(2), /already exists/);
+});
+
+test("the local store refuses to work on a collection that does not exist", async () => {
+    const store = createVectorStore({ store: "local", collectionName: "missing", dataDir: tempDir() });
+
+    await assert.rejects(store.count(), /Collection missing does not exist/);
+});
+
+test("concurrent writes to the local store are all saved", async () => {
+    const store = createVectorStore({ store: "local", collectionName: "concurrent", dataDir: tempDir() });
+    await store.createCollection(2);
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.upsert([point(`p${i}`, [1, i])])));
+
+    const reopened = createVectorStore({ store: "local", collectionName: "concurrent", dataDir: tempDir() });
+    assert.equal(await reopened.count(), 20);
+    const files = await fs.readdir(path.join(tempDir(), "vectors"));
+    assert.ok(files.includes("concurrent.json"));
+    assert.deepEqual(files.filter(file => !file.endsWith(".json")), []);
+});
+
+test("a deleted local collection stays deleted", async () => {
+    const store = createVectorStore({ store: "local", collectionName: "deleted", dataDir: tempDir() });
+    await store.createCollection(2);
+    const writing = store.upsert([point("a", [1, 0])]);
+    await store.deleteCollection();
+    await writing;
+
+    assert.equal(await store.collectionExists(), false);
+    await assert.rejects(fs.access(path.join(tempDir(), "vectors", "deleted.json")));
+});